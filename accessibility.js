@@ -0,0 +1,264 @@
+/**
+ * ========================================
+ * ACCESSIBILITY - GLASS HUD
+ * Screen-reader announcements, dialog focus,
+ * reduced motion, high contrast and
+ * colorblind-safe errors
+ * ========================================
+ */
+
+// ========================================
+// ACCESSIBILITY CONFIG
+// ========================================
+const A11Y_SETTINGS_KEY = 'glass-hud.a11y';
+
+// How often the current word is read out: after each word or every N seconds
+const ANNOUNCE_CADENCES = ['off', 'word', '5', '10'];
+
+// Errors interrupt (assertive), but no more than once a second
+const ERROR_ANNOUNCE_GAP_MS = 1000;
+
+// Display toggles and the root class each one sets; unset ones follow the OS
+const DISPLAY_OPTIONS = {
+    reduceMotion: { className: 'reduce-motion', media: '(prefers-reduced-motion: reduce)' },
+    highContrast: { className: 'high-contrast', media: '(prefers-contrast: more)' },
+    colorblindSafe: { className: 'colorblind-safe', media: null }
+};
+
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), input:not([disabled]):not([hidden]), select:not([disabled]), ' +
+    'textarea:not([disabled]), [href], [tabindex]:not([tabindex="-1"])';
+
+const a11yState = {
+    announce: 'off',
+    display: {},
+    lastAnnouncedSecond: 0,
+    lastErrorAt: -Infinity
+};
+
+function loadA11ySettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(A11Y_SETTINGS_KEY)) || {};
+        if (ANNOUNCE_CADENCES.includes(saved.announce)) a11yState.announce = saved.announce;
+        a11yState.display = saved.display && typeof saved.display === 'object' ? saved.display : {};
+    } catch (err) {
+        console.warn('⚠️ Accessibility settings unreadable, using defaults', err);
+    }
+}
+
+function saveA11ySettings() {
+    localStorage.setItem(A11Y_SETTINGS_KEY, JSON.stringify({
+        announce: a11yState.announce,
+        display: a11yState.display
+    }));
+}
+
+function isDisplayOptionOn(option) {
+    const saved = a11yState.display[option];
+    if (typeof saved === 'boolean') return saved;
+
+    const { media } = DISPLAY_OPTIONS[option];
+    return Boolean(media && window.matchMedia && window.matchMedia(media).matches);
+}
+
+// ========================================
+// ACCESSIBILITY VIEW
+// ========================================
+function initAccessibility() {
+    DOM.announceSelect = document.getElementById('announce-cadence');
+    DOM.displayOptionPills = document.querySelectorAll('.timer-pill[data-display-option]');
+    DOM.a11yStatus = document.getElementById('a11y-status');
+    DOM.a11yAlert = document.getElementById('a11y-alert');
+
+    loadA11ySettings();
+
+    DOM.announceSelect.value = a11yState.announce;
+    DOM.announceSelect.addEventListener('keydown', (e) => e.stopPropagation());
+    DOM.announceSelect.addEventListener('change', () => {
+        a11yState.announce = DOM.announceSelect.value;
+        saveA11ySettings();
+        DOM.announceSelect.blur();
+        focusTextInput();
+    });
+
+    DOM.displayOptionPills.forEach(pill => {
+        pill.addEventListener('click', () => {
+            const option = pill.dataset.displayOption;
+            a11yState.display[option] = !isDisplayOptionOn(option);
+            saveA11ySettings();
+            applyDisplayOptions();
+        });
+    });
+
+    // Options nobody has set follow the OS setting live
+    Object.values(DISPLAY_OPTIONS).forEach(({ media }) => {
+        if (!media || !window.matchMedia) return;
+        const query = window.matchMedia(media);
+        if (query.addEventListener) query.addEventListener('change', applyDisplayOptions);
+    });
+
+    document.addEventListener('keydown', trapDialogFocus);
+    applyDisplayOptions();
+}
+
+function applyDisplayOptions() {
+    Object.entries(DISPLAY_OPTIONS).forEach(([option, { className }]) => {
+        document.documentElement.classList.toggle(className, isDisplayOptionOn(option));
+    });
+
+    DOM.displayOptionPills.forEach(pill => {
+        const enabled = isDisplayOptionOn(pill.dataset.displayOption);
+        pill.classList.toggle('active', enabled);
+        pill.setAttribute('aria-pressed', enabled);
+    });
+
+    // The canvas graph reads its marker style when drawn
+    if (DOM.resultsOverlay.classList.contains('show')) {
+        drawPerformanceGraph();
+    }
+}
+
+// ========================================
+// LIVE ANNOUNCEMENTS
+// ========================================
+function announce(message) {
+    // Clearing first makes repeated messages get read again
+    DOM.a11yStatus.textContent = '';
+    requestAnimationFrame(() => {
+        DOM.a11yStatus.textContent = message;
+    });
+}
+
+function announceError(message, timestamp) {
+    if (timestamp - a11yState.lastErrorAt < ERROR_ANNOUNCE_GAP_MS) return;
+
+    a11yState.lastErrorAt = timestamp;
+    DOM.a11yAlert.textContent = message;
+}
+
+/**
+ * Session subscriber (see createSession). Reads the word under the
+ * cursor at the chosen cadence and interrupts for errors.
+ */
+function announceSessionEvent(event, session) {
+    if (a11yState.announce === 'off') return;
+
+    switch (event.type) {
+        case 'start':
+            a11yState.lastAnnouncedSecond = 0;
+            a11yState.lastErrorAt = -Infinity;
+            announce(`Started. ${describeCurrentWord(session)}`);
+            break;
+        case 'input':
+            if (!event.correct) {
+                announceError(`Error: typed ${speakChar(event.key)}, expected ${speakChar(event.expected)}`, event.timestamp);
+            } else if (a11yState.announce === 'word' && /\s/.test(event.expected)) {
+                announce(describeCurrentWord(session));
+            }
+            break;
+        case 'skip':
+            if (a11yState.announce === 'word') announce(describeCurrentWord(session));
+            break;
+        case 'extra':
+            announceError(`Extra letter ${speakChar(event.key)}`, event.timestamp);
+            break;
+        case 'error':
+            announceError(`Expected ${speakChar(event.expected)}`, event.timestamp);
+            break;
+        case 'tick': {
+            const cadence = Number(a11yState.announce);
+            const second = Math.floor(event.elapsed);
+            if (!cadence || second < a11yState.lastAnnouncedSecond + cadence) return;
+
+            a11yState.lastAnnouncedSecond = second;
+            const { wpm, accuracy } = session.getMetrics(event.timestamp);
+            announce(`${describeCurrentWord(session)}. ${Math.round(wpm)} words per minute, ${Math.round(accuracy)}% accuracy`);
+            break;
+        }
+        case 'pause':
+            announce('Paused');
+            break;
+        case 'resume':
+            announce(`Resumed. ${describeCurrentWord(session)}`);
+            break;
+        case 'finish':
+            announce(`Finished. ${event.result.wpm} words per minute, ${event.result.accuracy}% accuracy`);
+            break;
+    }
+}
+
+function describeCurrentWord(session) {
+    const { chars, activeIndex } = session.state;
+    if (activeIndex >= chars.length) return 'End of text';
+
+    let start = activeIndex;
+    while (start > 0 && !/\s/.test(chars[start - 1])) start--;
+    let end = activeIndex;
+    while (end < chars.length && !/\s/.test(chars[end])) end++;
+
+    // Sitting on a space: the next word is what's coming
+    if (start === end) {
+        end = activeIndex + 1;
+        while (end < chars.length && !/\s/.test(chars[end])) end++;
+        return `Space, then ${chars.slice(activeIndex + 1, end).join('')}`;
+    }
+    return `Word: ${chars.slice(start, end).join('')}`;
+}
+
+function speakChar(char) {
+    const names = { ' ': 'space', '\n': 'new line', '\t': 'tab' };
+    return names[char] || char;
+}
+
+// ========================================
+// DIALOG FOCUS
+// ========================================
+/**
+ * Opens an overlay as a modal dialog: focus moves onto the dialog
+ * itself (not a button a stray keystroke could press) and returns
+ * to the typing field when it closes.
+ */
+function openDialog(overlay) {
+    overlay.classList.add('show');
+    overlay.querySelector('.results-glass').focus({ preventScroll: true });
+}
+
+// Side panels (settings, history, ...) restart a running test,
+// which couldn't be typed into behind them
+function openPanel(overlay) {
+    if (isTestRunning()) {
+        restartTest();
+    }
+    openDialog(overlay);
+}
+
+function closeDialog(overlay) {
+    overlay.classList.remove('show');
+
+    // A field inside the closed dialog would otherwise keep focus
+    if (overlay.contains(document.activeElement)) document.activeElement.blur();
+    focusTextInput();
+}
+
+// Tab cycles within whichever overlay is open
+function trapDialogFocus(e) {
+    if (e.key !== 'Tab') return;
+
+    const overlay = document.querySelector('.results-overlay.show');
+    if (!overlay) return;
+
+    const focusable = [...overlay.querySelectorAll(FOCUSABLE_SELECTOR)]
+        .filter(element => !element.closest('[hidden]'));
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = overlay.contains(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
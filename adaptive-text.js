@@ -0,0 +1,183 @@
+/**
+ * ========================================
+ * ADAPTIVE TEXT - HEADLESS GENERATOR
+ * Seeded practice text weighted toward
+ * the keys and bigrams you miss or hesitate on
+ * ========================================
+ *
+ * Output is a pure function of (seed, stats, word list):
+ * the same inputs always produce the same text.
+ */
+
+// ========================================
+// WORD LIST
+// ========================================
+const ADAPTIVE_WORDS = [
+    'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'it',
+    'for', 'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at', 'this',
+    'but', 'his', 'by', 'from', 'they', 'we', 'say', 'her', 'she', 'or',
+    'an', 'will', 'my', 'one', 'all', 'would', 'there', 'their', 'what', 'so',
+    'up', 'out', 'if', 'about', 'who', 'get', 'which', 'go', 'me', 'when',
+    'make', 'can', 'like', 'time', 'no', 'just', 'him', 'know', 'take', 'people',
+    'into', 'year', 'your', 'good', 'some', 'could', 'them', 'see', 'other', 'than',
+    'then', 'now', 'look', 'only', 'come', 'its', 'over', 'think', 'also', 'back',
+    'after', 'use', 'two', 'how', 'our', 'work', 'first', 'well', 'way', 'even',
+    'new', 'want', 'because', 'any', 'these', 'give', 'day', 'most', 'us', 'very',
+    'quick', 'brown', 'fox', 'jumps', 'lazy', 'dog', 'zero', 'quiet', 'quote', 'queen',
+    'jazz', 'fizz', 'buzz', 'maze', 'size', 'prize', 'frozen', 'zone', 'lizard', 'puzzle',
+    'jelly', 'jacket', 'major', 'object', 'subject', 'enjoy', 'judge', 'justice', 'adjust', 'journey',
+    'extra', 'example', 'box', 'mix', 'next', 'text', 'exact', 'expect', 'index', 'relax',
+    'vivid', 'voice', 'every', 'level', 'seven', 'solve', 'valve', 'visit', 'vote', 'view',
+    'keyboard', 'typing', 'speed', 'accuracy', 'practice', 'finger', 'rhythm', 'focus', 'steady', 'flow',
+    'code', 'function', 'variable', 'string', 'number', 'object', 'array', 'return', 'import', 'export',
+    'program', 'system', 'public', 'private', 'static', 'class', 'method', 'value', 'buffer', 'render',
+    'bright', 'though', 'through', 'thought', 'enough', 'height', 'weight', 'night', 'light', 'sight',
+    'which', 'while', 'whole', 'where', 'whether', 'white', 'wheel', 'whisper', 'whistle', 'wharf',
+    'strong', 'street', 'stream', 'strange', 'strength', 'struggle', 'structure', 'strict', 'stripe', 'stroke',
+    'should', 'word', 'worth', 'worry', 'wonder', 'wood', 'wool', 'wolf', 'woman', 'won',
+    'people', 'apple', 'simple', 'sample', 'example', 'temple', 'purple', 'couple', 'double', 'trouble',
+    'question', 'quality', 'quantity', 'quarter', 'square', 'require', 'equal', 'quite', 'quiz', 'unique',
+    'mind', 'kind', 'find', 'behind', 'remind', 'blind', 'grind', 'wind', 'bind', 'signed'
+];
+
+// How strongly errors and slowness pull words into the text
+const ERROR_EMPHASIS = 6;
+const SLOWNESS_EMPHASIS = 3;
+const MIN_STAT_ATTEMPTS = 3;
+
+// ========================================
+// SEEDED RANDOM
+// ========================================
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for word picking
+function createRng(seed) {
+    let a = hashSeed(seed);
+    return function rng() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createSeed() {
+    return Math.random().toString(36).slice(2, 8);
+}
+
+// ========================================
+// WEAKNESS PROFILE
+// ========================================
+function weightStats(stats) {
+    const entries = Object.keys(stats)
+        .map(key => ({ key, ...stats[key] }))
+        .filter(entry => entry.attempts >= MIN_STAT_ATTEMPTS);
+
+    const timed = entries.filter(entry => entry.avgLatency !== null);
+    const meanLatency = timed.length > 0
+        ? timed.reduce((sum, entry) => sum + entry.avgLatency, 0) / timed.length
+        : 0;
+
+    const weights = {};
+    entries.forEach(entry => {
+        const slowness = meanLatency > 0 && entry.avgLatency !== null
+            ? Math.max(0, entry.avgLatency / meanLatency - 1)
+            : 0;
+        const weight = entry.errorRate * ERROR_EMPHASIS + slowness * SLOWNESS_EMPHASIS;
+        if (weight > 0) {
+            weights[entry.key] = weight;
+        }
+    });
+
+    return weights;
+}
+
+/**
+ * Turns merged key and bigram stats (see keystroke-stats.js)
+ * into extra sampling weight per character and per bigram.
+ */
+function buildWeakness(keyStats = {}, bigramStats = {}) {
+    return {
+        keys: weightStats(keyStats),
+        bigrams: weightStats(bigramStats)
+    };
+}
+
+// Stored profiles come back from history; a bad weight would stall the generator
+function isValidWeakness(weakness) {
+    const isWeights = weights => Boolean(weights) && typeof weights === 'object' &&
+        Object.values(weights).every(weight => Number.isFinite(weight) && weight >= 0);
+    return Boolean(weakness) && isWeights(weakness.keys) && isWeights(weakness.bigrams);
+}
+
+function scoreWord(word, weakness) {
+    let score = 1;
+
+    for (let i = 0; i < word.length; i++) {
+        score += weakness.keys[word[i].toLowerCase()] || 0;
+        if (i > 0) {
+            score += weakness.bigrams[word[i - 1] + word[i]] || 0;
+        }
+    }
+
+    return score;
+}
+
+function getFocusKeys(weakness, limit = 5) {
+    return Object.keys(weakness.keys)
+        .filter(key => key !== ' ')
+        .sort((a, b) => weakness.keys[b] - weakness.keys[a])
+        .slice(0, limit);
+}
+
+// ========================================
+// GENERATOR
+// ========================================
+function generateAdaptiveText({ seed, count, weakness = buildWeakness(), words = ADAPTIVE_WORDS }) {
+    const rng = createRng(seed);
+    const pool = [...new Set(words)];
+    const weights = pool.map(word => scoreWord(word, weakness));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const picked = [];
+    while (picked.length < count) {
+        let target = rng() * totalWeight;
+        let index = 0;
+        while (target >= weights[index] && index < pool.length - 1) {
+            target -= weights[index];
+            index++;
+        }
+
+        // Avoid stuttering the same word twice in a row
+        if (pool.length > 1 && pool[index] === picked[picked.length - 1]) continue;
+
+        picked.push(pool[index]);
+    }
+
+    return picked.join(' ');
+}
+
+// ========================================
+// MODULE EXPORTS (Node / CommonJS)
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ADAPTIVE_WORDS,
+        createRng,
+        createSeed,
+        buildWeakness,
+        isValidWeakness,
+        scoreWord,
+        getFocusKeys,
+        generateAdaptiveText
+    };
+}
@@ -0,0 +1,213 @@
+/**
+ * ========================================
+ * ANTI-CHEAT - HEADLESS LOG VALIDATOR
+ * Flags or rejects runs whose keystroke
+ * timing no human could have produced
+ * ========================================
+ *
+ * Works on a session inputLog ({ key, timestamp, trusted }) or
+ * on replay events ([msOffset, key, 0 if untrusted]), in the
+ * browser and under Node:
+ *
+ *   const { validateKeystrokeLog } = require('./anti-cheat');
+ *   const { status, reasons } = validateKeystrokeLog(replay.events);
+ */
+
+// ========================================
+// VALIDATION CONFIG
+// ========================================
+// Rolled keys can land close together, but not this close, this often
+const BURST_INTERVAL_MS = 8;
+const MAX_BURST_KEYS = 5;
+const MAX_BURST_SHARE = 0.05;
+
+// 10 keys in 150ms is ~800 WPM, beyond any recorded human burst
+const SPEED_WINDOW_KEYS = 10;
+const MIN_SPEED_WINDOW_MS = 150;
+
+// Coefficient of variation of inter-key intervals; humans sit around 0.3-0.6
+const MIN_RHYTHM_INTERVALS = 20;
+const REJECT_RHYTHM_CV = 0.05;
+const FLAG_RHYTHM_CV = 0.12;
+
+// Pauses aren't rhythm (matches keystroke-stats.js MAX_LATENCY_MS)
+const MAX_RHYTHM_INTERVAL_MS = 2000;
+
+const VALIDATION_STATUS = {
+    ok: 'ok',
+    flagged: 'flagged',
+    rejected: 'rejected'
+};
+
+// ========================================
+// LOG NORMALIZATION
+// ========================================
+function normalizeLog(log) {
+    return (Array.isArray(log) ? log : [])
+        .map(entry => (Array.isArray(entry)
+            ? { key: entry[1], timestamp: entry[0], trusted: entry[2] !== 0 }
+            : { key: entry.key, timestamp: entry.timestamp, trusted: entry.trusted !== false }))
+        .filter(entry => Number.isFinite(entry.timestamp));
+}
+
+function getIntervals(entries) {
+    const intervals = [];
+    for (let i = 1; i < entries.length; i++) {
+        intervals.push(entries[i].timestamp - entries[i - 1].timestamp);
+    }
+    return intervals;
+}
+
+// ========================================
+// CHECKS
+// ========================================
+// Each check returns a reason or null
+function checkTrusted(entries) {
+    const synthetic = entries.filter(entry => !entry.trusted).length;
+    if (synthetic === 0) return null;
+
+    return {
+        code: 'untrusted',
+        severity: VALIDATION_STATUS.rejected,
+        message: `${synthetic} synthetic key event${synthetic === 1 ? '' : 's'} (isTrusted false)`
+    };
+}
+
+function checkOrder(intervals) {
+    if (!intervals.some(interval => interval < 0)) return null;
+
+    return {
+        code: 'order',
+        severity: VALIDATION_STATUS.rejected,
+        message: 'Keystroke timestamps go backwards'
+    };
+}
+
+function checkBursts(intervals) {
+    let longestRun = 0;
+    let run = 0;
+    let burstCount = 0;
+
+    intervals.forEach(interval => {
+        if (interval < BURST_INTERVAL_MS) {
+            burstCount++;
+            run++;
+            longestRun = Math.max(longestRun, run);
+        } else {
+            run = 0;
+        }
+    });
+
+    // A run of n short intervals means n + 1 keys arrived together
+    if (longestRun + 1 >= MAX_BURST_KEYS) {
+        return {
+            code: 'burst',
+            severity: VALIDATION_STATUS.rejected,
+            message: `${longestRun + 1} keys arrived less than ${BURST_INTERVAL_MS}ms apart (paste-like burst)`
+        };
+    }
+    if (intervals.length > 0 && burstCount / intervals.length > MAX_BURST_SHARE) {
+        return {
+            code: 'burst',
+            severity: VALIDATION_STATUS.rejected,
+            message: `${burstCount} of ${intervals.length} intervals are under ${BURST_INTERVAL_MS}ms`
+        };
+    }
+    return null;
+}
+
+function findFastestWindow(entries) {
+    let fastest = Infinity;
+    for (let i = SPEED_WINDOW_KEYS - 1; i < entries.length; i++) {
+        fastest = Math.min(fastest, entries[i].timestamp - entries[i - SPEED_WINDOW_KEYS + 1].timestamp);
+    }
+    return fastest;
+}
+
+function checkSpeed(fastestWindow) {
+    if (fastestWindow >= MIN_SPEED_WINDOW_MS) return null;
+
+    return {
+        code: 'speed',
+        severity: VALIDATION_STATUS.rejected,
+        message: `${SPEED_WINDOW_KEYS} keys in ${Math.round(fastestWindow)}ms is faster than humanly possible`
+    };
+}
+
+function measureRhythm(intervals) {
+    const typing = intervals.filter(interval => interval <= MAX_RHYTHM_INTERVAL_MS);
+    if (typing.length < MIN_RHYTHM_INTERVALS) return null;
+
+    const mean = typing.reduce((sum, interval) => sum + interval, 0) / typing.length;
+    if (mean <= 0) return null;
+
+    const variance = typing.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / typing.length;
+    return { mean, cv: Math.sqrt(variance) / mean };
+}
+
+function checkRhythm(rhythm) {
+    if (!rhythm || rhythm.cv >= FLAG_RHYTHM_CV) return null;
+
+    return {
+        code: 'rhythm',
+        severity: rhythm.cv < REJECT_RHYTHM_CV ? VALIDATION_STATUS.rejected : VALIDATION_STATUS.flagged,
+        message: `Near-constant rhythm (interval variation ${(rhythm.cv * 100).toFixed(1)}%)`
+    };
+}
+
+// ========================================
+// VALIDATOR
+// ========================================
+/**
+ * Returns { status: 'ok' | 'flagged' | 'rejected', reasons, stats }.
+ * Any rejecting reason rejects the run; otherwise any reason flags it.
+ */
+function validateKeystrokeLog(log) {
+    const entries = normalizeLog(log);
+    const intervals = getIntervals(entries);
+    const fastestWindow = findFastestWindow(entries);
+    const rhythm = measureRhythm(intervals);
+
+    const reasons = [
+        checkTrusted(entries),
+        checkOrder(intervals),
+        checkBursts(intervals),
+        checkSpeed(fastestWindow),
+        checkRhythm(rhythm)
+    ].filter(Boolean);
+
+    let status = VALIDATION_STATUS.ok;
+    if (reasons.some(reason => reason.severity === VALIDATION_STATUS.rejected)) {
+        status = VALIDATION_STATUS.rejected;
+    } else if (reasons.length > 0) {
+        status = VALIDATION_STATUS.flagged;
+    }
+
+    return {
+        status,
+        reasons,
+        stats: {
+            keys: entries.length,
+            minInterval: intervals.length > 0 ? Math.round(Math.min(...intervals) * 10) / 10 : null,
+            meanInterval: rhythm ? Math.round(rhythm.mean) : null,
+            rhythmCv: rhythm ? Math.round(rhythm.cv * 1000) / 1000 : null,
+            fastestWindow: Number.isFinite(fastestWindow) ? Math.round(fastestWindow) : null
+        }
+    };
+}
+
+function describeValidation(validation) {
+    return validation.reasons.map(reason => reason.message).join('; ');
+}
+
+// ========================================
+// MODULE EXPORTS (Node / CommonJS)
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VALIDATION_STATUS,
+        normalizeLog,
+        validateKeystrokeLog,
+        describeValidation
+    };
+}
@@ -0,0 +1,241 @@
+/**
+ * ========================================
+ * AUDIO - GLASS HUD
+ * Synthesized key sound profiles, error
+ * sound, metronome and velocity cue
+ * ========================================
+ *
+ * Everything is built from oscillators and one shared noise buffer,
+ * so there are no audio files to load. Sounds are started at the
+ * context's current time from inside the keystroke handler, before
+ * any rendering; with an 'interactive' context that puts them a few
+ * milliseconds behind the key. The metronome is scheduled ahead on
+ * the audio clock so a busy main thread can't make it drift.
+ */
+
+// ========================================
+// AUDIO CONFIG
+// ========================================
+// Per-profile voices: a filtered noise burst (the key hitting) and a
+// short tone (the body). Frequencies in Hz, times in seconds.
+// Labels live in SOUND_PROFILES (settings-store.js).
+const SOUND_VOICES = {
+    click: {
+        noise: { filter: 'bandpass', frequency: 4200, q: 1.2, decay: 0.02, level: 0.6 },
+        tone: { type: 'triangle', frequency: 2400, endFrequency: 2000, decay: 0.015, level: 0.25 }
+    },
+    thock: {
+        noise: { filter: 'lowpass', frequency: 1100, q: 0.7, decay: 0.05, level: 0.9 },
+        tone: { type: 'sine', frequency: 210, endFrequency: 120, decay: 0.06, level: 0.6 }
+    },
+    typewriter: {
+        noise: { filter: 'bandpass', frequency: 2600, q: 0.8, decay: 0.035, level: 0.8 },
+        tone: { type: 'square', frequency: 3100, endFrequency: 2900, decay: 0.012, level: 0.12 }
+    },
+    bubble: {
+        noise: null,
+        tone: { type: 'sine', frequency: 520, endFrequency: 1150, decay: 0.05, level: 0.5 }
+    }
+};
+
+// The space bar sounds deeper and rings longer
+const SPACE_PITCH = 0.6;
+const SPACE_DECAY = 1.5;
+
+// Small random detune per key, so fast runs don't sound like a machine gun
+const PITCH_JITTER = 0.04;
+
+// Full volume, kept low enough that overlapping keys don't clip
+const MASTER_LEVEL = 0.3;
+
+// Metronome scheduling: look this far ahead, this often
+const METRONOME_LOOKAHEAD_S = 0.1;
+const METRONOME_INTERVAL_MS = 25;
+
+const audioState = {
+    context: null,
+    master: null,
+    noise: null,
+    metronomeTimer: null,
+    nextBeat: 0
+};
+
+// ========================================
+// CONTEXT
+// ========================================
+// Browsers only allow an AudioContext to start after a user gesture,
+// so it's created on the first one while any sound is turned on
+function initAudio() {
+    const prime = () => {
+        if (getSetting('sound') || getSetting('metronome')) getAudioContext();
+    };
+    window.addEventListener('pointerdown', prime, true);
+    window.addEventListener('keydown', prime, true);
+}
+
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    if (!audioState.context) {
+        const context = new AudioContextClass({ latencyHint: 'interactive' });
+
+        audioState.master = context.createGain();
+        audioState.master.gain.value = (getSetting('volume') / 100) * MASTER_LEVEL;
+        audioState.master.connect(context.destination);
+
+        // Built once; every key plays a slice of it
+        const length = Math.floor(context.sampleRate * 0.2);
+        audioState.noise = context.createBuffer(1, length, context.sampleRate);
+        const samples = audioState.noise.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+
+        audioState.context = context;
+    }
+    if (audioState.context.state === 'suspended') {
+        audioState.context.resume();
+    }
+    return audioState.context;
+}
+
+function setAudioVolume(volume) {
+    if (!audioState.master) return;
+    audioState.master.gain.setValueAtTime((volume / 100) * MASTER_LEVEL, audioState.context.currentTime);
+}
+
+// ========================================
+// VOICES
+// ========================================
+// A gain envelope: instant attack, exponential decay to silence
+function createEnvelope(context, start, level, decay) {
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(level, start);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + decay);
+    gain.connect(audioState.master);
+    return gain;
+}
+
+function playNoise(context, start, { filter, frequency, q, decay, level }) {
+    const source = context.createBufferSource();
+    const filterNode = context.createBiquadFilter();
+
+    source.buffer = audioState.noise;
+    filterNode.type = filter;
+    filterNode.frequency.setValueAtTime(frequency, start);
+    filterNode.Q.setValueAtTime(q, start);
+
+    source.connect(filterNode).connect(createEnvelope(context, start, level, decay));
+    source.start(start);
+    source.stop(start + decay);
+}
+
+function playTone(context, start, { type, frequency, endFrequency = frequency, decay, level }) {
+    const oscillator = context.createOscillator();
+
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + decay);
+
+    oscillator.connect(createEnvelope(context, start, level, decay));
+    oscillator.start(start);
+    oscillator.stop(start + decay);
+}
+
+// ========================================
+// KEY SOUNDS
+// ========================================
+/**
+ * The current profile's sound for a correct key, the error sound
+ * for a wrong one. `key` lets the space bar sound different.
+ */
+function playKeySound(correct, key = null) {
+    if (!getSetting('sound') || getSetting('volume') === 0) return;
+
+    const context = getAudioContext();
+    if (!context) return;
+
+    if (!correct) {
+        playErrorSound(context);
+        return;
+    }
+
+    const voice = SOUND_VOICES[getSetting('soundProfile')];
+    const space = key === ' ';
+    const pitch = (space ? SPACE_PITCH : 1) * (1 + (Math.random() * 2 - 1) * PITCH_JITTER);
+    const decay = space ? SPACE_DECAY : 1;
+    const now = context.currentTime;
+
+    if (voice.noise) {
+        playNoise(context, now, {
+            ...voice.noise,
+            frequency: voice.noise.frequency * pitch,
+            decay: voice.noise.decay * decay
+        });
+    }
+    if (voice.tone) {
+        playTone(context, now, {
+            ...voice.tone,
+            frequency: voice.tone.frequency * pitch,
+            endFrequency: voice.tone.endFrequency * pitch,
+            decay: voice.tone.decay * decay
+        });
+    }
+}
+
+// The same for every profile: a low falling buzz, nothing like a key
+function playErrorSound(context) {
+    const now = context.currentTime;
+    playTone(context, now, { type: 'square', frequency: 220, endFrequency: 140, decay: 0.09, level: 0.12 });
+    playTone(context, now, { type: 'sawtooth', frequency: 233, endFrequency: 150, decay: 0.09, level: 0.06 });
+}
+
+// A rising two-note chime as the velocity glow switches on
+function playVelocityCue() {
+    if (!getSetting('sound') || getSetting('volume') === 0) return;
+
+    const context = getAudioContext();
+    if (!context) return;
+
+    const now = context.currentTime;
+    playTone(context, now, { type: 'triangle', frequency: 660, decay: 0.16, level: 0.25 });
+    playTone(context, now + 0.08, { type: 'triangle', frequency: 990, decay: 0.22, level: 0.25 });
+}
+
+// ========================================
+// METRONOME
+// ========================================
+/**
+ * Beats once per word (five characters) at the metronome WPM
+ * while a test runs, so keeping pace means one word per beat.
+ */
+function startMetronome() {
+    stopMetronome();
+    if (!getSetting('metronome') || getSetting('volume') === 0) return;
+
+    const context = getAudioContext();
+    if (!context) return;
+
+    audioState.nextBeat = context.currentTime + 0.05;
+    scheduleMetronomeBeats();
+    audioState.metronomeTimer = setInterval(scheduleMetronomeBeats, METRONOME_INTERVAL_MS);
+}
+
+function stopMetronome() {
+    clearInterval(audioState.metronomeTimer);
+    audioState.metronomeTimer = null;
+}
+
+// Read on every pass, so a new target WPM applies from the next beat
+function scheduleMetronomeBeats() {
+    const context = audioState.context;
+    const beatLength = 60 / getSetting('metronomeWpm');
+
+    // After a stall (a throttled tab) pick up from now instead of catching up
+    audioState.nextBeat = Math.max(audioState.nextBeat, context.currentTime);
+    while (audioState.nextBeat < context.currentTime + METRONOME_LOOKAHEAD_S) {
+        playTone(context, audioState.nextBeat, { type: 'sine', frequency: 1320, endFrequency: 1000, decay: 0.03, level: 0.35 });
+        audioState.nextBeat += beatLength;
+    }
+}
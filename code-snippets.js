@@ -0,0 +1,254 @@
+/**
+ * ========================================
+ * CODE SNIPPETS - CODE TYPING MODE
+ * Multi-line snippets per language and a
+ * lightweight per-character highlighter
+ * ========================================
+ */
+
+// ========================================
+// CODE CONFIG
+// ========================================
+const INDENT_WIDTH = 4;
+
+const CODE_LANGUAGES = {
+    javascript: {
+        label: 'js',
+        lineComment: '//',
+        quotes: ['\'', '"', '`'],
+        keywords: [
+            'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+            'default', 'else', 'export', 'extends', 'false', 'for', 'from', 'function',
+            'if', 'import', 'in', 'let', 'new', 'null', 'of', 'return', 'switch',
+            'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'while'
+        ],
+        snippets: [
+`function debounce(fn, delay) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), delay);
+    };
+}`,
+`const groupBy = (items, key) => {
+    return items.reduce((groups, item) => {
+        const value = item[key];
+        groups[value] = groups[value] || [];
+        groups[value].push(item);
+        return groups;
+    }, {});
+};`,
+`async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(\`Request failed: \${response.status}\`);
+    }
+    return response.json();
+}`,
+`class Stack {
+    constructor() {
+        this.items = [];
+    }
+
+    push(item) {
+        this.items.push(item);
+    }
+
+    pop() {
+        return this.items.pop();
+    }
+}`,
+`for (let i = 1; i <= 15; i++) {
+    if (i % 15 === 0) {
+        console.log('FizzBuzz');
+    } else if (i % 3 === 0) {
+        console.log('Fizz');
+    } else {
+        console.log(i);
+    }
+}`
+        ]
+    },
+    python: {
+        label: 'python',
+        lineComment: '#',
+        quotes: ['\'', '"'],
+        keywords: [
+            'and', 'as', 'break', 'class', 'continue', 'def', 'elif', 'else', 'except',
+            'False', 'finally', 'for', 'from', 'if', 'import', 'in', 'is', 'lambda',
+            'None', 'not', 'or', 'pass', 'raise', 'return', 'self', 'True', 'try',
+            'while', 'with', 'yield'
+        ],
+        snippets: [
+`def fibonacci(n):
+    a, b = 0, 1
+    for _ in range(n):
+        yield a
+        a, b = b, a + b`,
+`def word_counts(text):
+    counts = {}
+    for word in text.lower().split():
+        counts[word] = counts.get(word, 0) + 1
+    return sorted(counts.items(), key=lambda pair: -pair[1])`,
+`class Point:
+    def __init__(self, x, y):
+        self.x = x
+        self.y = y
+
+    def distance(self, other):
+        return ((self.x - other.x) ** 2 + (self.y - other.y) ** 2) ** 0.5`,
+`def read_config(path):
+    try:
+        with open(path) as handle:
+            return json.load(handle)
+    except FileNotFoundError:
+        # Fall back to defaults
+        return {}`,
+`def binary_search(items, target):
+    low, high = 0, len(items) - 1
+    while low <= high:
+        mid = (low + high) // 2
+        if items[mid] == target:
+            return mid
+        if items[mid] < target:
+            low = mid + 1
+        else:
+            high = mid - 1
+    return -1`
+        ]
+    },
+    go: {
+        label: 'go',
+        lineComment: '//',
+        quotes: ['"', '`', '\''],
+        keywords: [
+            'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else',
+            'false', 'for', 'func', 'go', 'if', 'import', 'interface', 'map', 'nil',
+            'package', 'range', 'return', 'select', 'struct', 'switch', 'true', 'type', 'var'
+        ],
+        snippets: [
+`func Reverse(s string) string {
+    runes := []rune(s)
+    for i, j := 0, len(runes)-1; i < j; i, j = i+1, j-1 {
+        runes[i], runes[j] = runes[j], runes[i]
+    }
+    return string(runes)
+}`,
+`type Counter struct {
+    mu    sync.Mutex
+    count int
+}
+
+func (c *Counter) Inc() {
+    c.mu.Lock()
+    defer c.mu.Unlock()
+    c.count++
+}`,
+`func handler(w http.ResponseWriter, r *http.Request) {
+    if r.Method != http.MethodGet {
+        http.Error(w, "method not allowed", 405)
+        return
+    }
+    fmt.Fprintf(w, "hello, %s", r.URL.Path[1:])
+}`
+        ]
+    }
+};
+
+const DEFAULT_CODE_LANGUAGE = 'javascript';
+
+// ========================================
+// SNIPPET TEXT
+// ========================================
+// Each indent level becomes one tab so the Tab key types it
+function toTabIndentation(code) {
+    const indent = ' '.repeat(INDENT_WIDTH);
+    return code
+        .split('\n')
+        .map(line => {
+            let level = 0;
+            while (line.startsWith(indent, level * INDENT_WIDTH)) level++;
+            return '\t'.repeat(level) + line.slice(level * INDENT_WIDTH).trimEnd();
+        })
+        .join('\n');
+}
+
+function pickCodeSnippet(language, random = Math.random) {
+    const snippets = (CODE_LANGUAGES[language] || CODE_LANGUAGES[DEFAULT_CODE_LANGUAGE]).snippets;
+    return toTabIndentation(snippets[Math.floor(random() * snippets.length)]);
+}
+
+// ========================================
+// HIGHLIGHTER
+// ========================================
+/**
+ * Returns one token type per character of `code`:
+ * 'keyword' | 'string' | 'comment' | 'number' | 'function' | 'punctuation' | null
+ */
+function highlightCode(code, language) {
+    const spec = CODE_LANGUAGES[language] || CODE_LANGUAGES[DEFAULT_CODE_LANGUAGE];
+    const keywords = new Set(spec.keywords);
+    const tokens = new Array(code.length).fill(null);
+
+    const mark = (from, to, type) => {
+        for (let k = from; k < to; k++) tokens[k] = type;
+    };
+
+    let i = 0;
+    while (i < code.length) {
+        const char = code[i];
+
+        if (code.startsWith(spec.lineComment, i)) {
+            const end = code.indexOf('\n', i);
+            const stop = end === -1 ? code.length : end;
+            mark(i, stop, 'comment');
+            i = stop;
+        } else if (spec.quotes.includes(char)) {
+            let j = i + 1;
+            while (j < code.length && code[j] !== char) {
+                // Only backticks may span lines
+                if (code[j] === '\n' && char !== '`') break;
+                j += code[j] === '\\' ? 2 : 1;
+            }
+            const stop = Math.min(j + 1, code.length);
+            mark(i, stop, 'string');
+            i = stop;
+        } else if (/[0-9]/.test(char) && !/[\w$]/.test(code[i - 1] || '')) {
+            let j = i;
+            while (j < code.length && /[0-9a-fA-FxX._]/.test(code[j])) j++;
+            mark(i, j, 'number');
+            i = j;
+        } else if (/[A-Za-z_$]/.test(char)) {
+            let j = i;
+            while (j < code.length && /[\w$]/.test(code[j])) j++;
+            const word = code.slice(i, j);
+            if (keywords.has(word)) {
+                mark(i, j, 'keyword');
+            } else if (code[j] === '(') {
+                mark(i, j, 'function');
+            }
+            i = j;
+        } else {
+            if (/[{}()[\];,.:=<>+\-*/%!&|?]/.test(char)) {
+                tokens[i] = 'punctuation';
+            }
+            i++;
+        }
+    }
+
+    return tokens;
+}
+
+// ========================================
+// MODULE EXPORTS (Node / CommonJS)
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INDENT_WIDTH,
+        CODE_LANGUAGES,
+        DEFAULT_CODE_LANGUAGE,
+        toTabIndentation,
+        pickCodeSnippet,
+        highlightCode
+    };
+}
@@ -0,0 +1,389 @@
+/**
+ * ========================================
+ * COMMAND PALETTE - GLASS HUD
+ * Ctrl/Cmd+K fuzzy command search and
+ * configurable keyboard shortcuts
+ * ========================================
+ *
+ * Shortcuts are matched in a capture listener before the typing
+ * handler sees the key. Only bound combos are consumed, and every
+ * bindable combo needs Tab, Ctrl, Cmd or Alt (see shortcuts.js),
+ * so nothing that types a character is ever taken from a test.
+ */
+
+const paletteState = {
+    bindings: { ...DEFAULT_SHORTCUTS },
+    mac: /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent),
+    tabHeld: false,
+    // Command id waiting for a new combo in the shortcut editor
+    recording: null,
+    matches: [],
+    selected: 0
+};
+
+// ========================================
+// COMMANDS
+// ========================================
+/**
+ * Everything the palette can run and a shortcut can be bound to.
+ * Built on demand so saved corpora and pill labels are current.
+ */
+function getCommands() {
+    const commands = [
+        { id: 'restart', label: 'Restart test', run: restartTest },
+        { id: 'palette', label: 'Command palette', run: togglePalette, inPalette: false },
+        ...TEST_MODES.map(mode => ({
+            id: `mode-${mode}`,
+            label: `Mode: ${mode}`,
+            run: () => selectMode(mode)
+        })),
+        ...[...DOM.timerPills].map(pill => ({
+            id: `duration-${pill.dataset.time}`,
+            label: `Duration: ${pill.dataset.time} seconds`,
+            keywords: 'time timer',
+            run: () => selectDurationPill(pill)
+        })),
+        ...[...DOM.wordPills].map(pill => ({
+            id: `words-${pill.dataset.words}`,
+            label: `Word count: ${pill.dataset.words}`,
+            run: () => selectWordPill(pill)
+        })),
+        ...getCorpusCommands(),
+        { id: 'texts', label: 'Open texts', keywords: 'corpus import', run: showCorpus },
+        { id: 'history', label: 'Open history', keywords: 'runs stats personal best', run: showHistory },
+        { id: 'race', label: 'Open race', keywords: 'multiplayer', run: showRace },
+        { id: 'leaderboard', label: 'Open leaderboard', keywords: 'rankings scores', run: showLeaderboard },
+        { id: 'settings', label: 'Open settings', keywords: 'preferences', run: showSettings },
+        { id: 'training', label: 'Open training', keywords: 'lessons daily goal streak', run: showTraining },
+        ...LESSONS.map(lesson => ({
+            id: `lesson-${lesson.id}`,
+            label: `Lesson: ${lesson.title}`,
+            keywords: 'practice drill',
+            run: () => practiceLesson(lesson.id)
+        })),
+        { id: 'theme', label: 'Toggle theme', run: cycleTheme },
+        ...Object.entries(THEMES).map(([theme, label]) => ({
+            id: `theme-${theme}`,
+            label: `Theme: ${label}`,
+            run: () => appSettings.set('theme', theme)
+        })),
+        { id: 'sound', label: 'Toggle key sounds', keywords: 'audio', run: () => appSettings.set('sound', !getSetting('sound')) },
+        { id: 'metronome', label: 'Toggle metronome', keywords: 'audio pace', run: () => appSettings.set('metronome', !getSetting('metronome')) },
+        ...[...DOM.inputOptionPills, ...DOM.displayOptionPills].map(pill => ({
+            id: `toggle-${pill.dataset.inputOption || pill.dataset.displayOption}`,
+            label: `Toggle ${pill.textContent.trim()}`,
+            run: () => pill.click()
+        }))
+    ];
+
+    return commands;
+}
+
+function getCorpusCommands() {
+    const corpora = [{ id: BUILTIN_CORPUS_ID, name: 'Sample texts' }, ...loadCorpora()];
+
+    return corpora.map(corpus => ({
+        id: `load-${corpus.id}`,
+        label: `Load corpus: ${corpus.name}`,
+        keywords: 'texts passages',
+        run: () => {
+            setActiveCorpus(corpus.id);
+            restartTest();
+        }
+    }));
+}
+
+// Duration and word count apply to their own modes, so switch to one first
+function selectDurationPill(pill) {
+    if (state.testMode !== 'time') {
+        state.testMode = 'time';
+        syncModePills();
+    }
+    selectTimer(parseInt(pill.dataset.time), pill);
+}
+
+function selectWordPill(pill) {
+    if (state.testMode !== 'words' && state.testMode !== 'adaptive') {
+        state.testMode = 'words';
+        syncModePills();
+    }
+    selectWordCount(parseInt(pill.dataset.words), pill);
+}
+
+function cycleTheme() {
+    const themes = Object.keys(THEMES);
+    const next = themes[(themes.indexOf(getSetting('theme')) + 1) % themes.length];
+    appSettings.set('theme', next);
+}
+
+function runCommand(command) {
+    if (command.id !== 'palette') {
+        if (DOM.paletteOverlay.classList.contains('show')) hidePalette();
+        if (DOM.resultsOverlay.classList.contains('show')) hideResults();
+    }
+
+    command.run();
+}
+
+// ========================================
+// SHORTCUTS
+// ========================================
+function loadShortcuts() {
+    try {
+        paletteState.bindings = parseShortcuts(JSON.parse(localStorage.getItem(SHORTCUTS_STORAGE_KEY)));
+    } catch (err) {
+        console.warn('⚠️ Shortcuts unreadable, using defaults', err);
+        paletteState.bindings = { ...DEFAULT_SHORTCUTS };
+    }
+}
+
+function saveShortcuts() {
+    localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(paletteState.bindings));
+}
+
+function resetShortcuts() {
+    paletteState.bindings = { ...DEFAULT_SHORTCUTS };
+    localStorage.removeItem(SHORTCUTS_STORAGE_KEY);
+    renderShortcutList();
+}
+
+function getShortcutLabel(id) {
+    return formatCombo(paletteState.bindings[id], { mac: paletteState.mac });
+}
+
+// Capture phase: runs before handleKeydown and the overlays' own listeners
+function handleShortcutKeydown(e) {
+    // A <typing-test> on the page is typed into, not a shortcut surface
+    if (e.composedPath().some(node => node.localName === 'typing-test')) return;
+
+    if (e.key === 'Tab') {
+        paletteState.tabHeld = true;
+    }
+
+    if (paletteState.recording) {
+        recordShortcut(e);
+        return;
+    }
+
+    const combo = comboFromEvent(e, paletteState);
+    if (!combo) return;
+    if (e.getModifierState && e.getModifierState('AltGraph')) return;
+
+    const id = findCommandForCombo(paletteState.bindings, combo);
+    if (!id || !canRunShortcut(id)) return;
+
+    const command = getCommands().find(c => c.id === id);
+    if (!command) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    runCommand(command);
+}
+
+// Other panels keep their keys; results and the palette itself give way
+function canRunShortcut(id) {
+    const open = document.querySelector('.results-overlay.show');
+    if (!open || open === DOM.resultsOverlay) return true;
+    return id === 'palette' && open === DOM.paletteOverlay;
+}
+
+// ========================================
+// PALETTE VIEW
+// ========================================
+function initCommandPalette() {
+    DOM.paletteBtn = document.getElementById('palette-btn');
+    DOM.paletteOverlay = document.getElementById('palette-overlay');
+    DOM.paletteInput = document.getElementById('palette-input');
+    DOM.paletteList = document.getElementById('palette-list');
+    DOM.paletteStatus = document.getElementById('palette-status');
+    DOM.shortcutList = document.getElementById('shortcut-list');
+
+    loadShortcuts();
+
+    window.addEventListener('keydown', handleShortcutKeydown, true);
+    window.addEventListener('keyup', (e) => {
+        if (e.key === 'Tab') paletteState.tabHeld = false;
+    });
+    window.addEventListener('blur', () => {
+        paletteState.tabHeld = false;
+    });
+
+    DOM.paletteBtn.addEventListener('click', showPalette);
+
+    DOM.paletteInput.addEventListener('input', () => {
+        paletteState.selected = 0;
+        renderPalette();
+    });
+    DOM.paletteInput.addEventListener('keydown', handlePaletteKeydown);
+
+    DOM.paletteList.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-index]');
+        if (option) runCommand(paletteState.matches[Number(option.dataset.index)].command);
+    });
+
+    DOM.shortcutList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-record]');
+        if (button) startRecording(button.dataset.record);
+    });
+
+    renderShortcutList();
+}
+
+function togglePalette() {
+    if (DOM.paletteOverlay.classList.contains('show')) {
+        hidePalette();
+    } else {
+        showPalette();
+    }
+}
+
+function showPalette() {
+    DOM.paletteInput.value = '';
+    paletteState.selected = 0;
+    renderPalette();
+
+    openPanel(DOM.paletteOverlay);
+    DOM.paletteInput.focus();
+}
+
+function hidePalette() {
+    closeDialog(DOM.paletteOverlay);
+}
+
+function handlePaletteKeydown(e) {
+    // Keep palette keys from typing into the test
+    e.stopPropagation();
+
+    const count = paletteState.matches.length;
+
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            e.preventDefault();
+            if (count === 0) return;
+            paletteState.selected = (paletteState.selected + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+            renderPaletteSelection();
+            break;
+        case 'Enter':
+            e.preventDefault();
+            if (count > 0) runCommand(paletteState.matches[paletteState.selected].command);
+            break;
+        case 'Escape':
+            hidePalette();
+            break;
+    }
+}
+
+function renderPalette() {
+    const commands = getCommands().filter(command => command.inPalette !== false);
+    paletteState.matches = rankCommands(commands, DOM.paletteInput.value);
+
+    DOM.paletteList.innerHTML = paletteState.matches.map(({ command, indices }, i) => `
+        <li id="palette-option-${i}" class="palette-option" role="option" data-index="${i}">
+            <span>${highlightMatch(command.label, indices)}</span>
+            ${paletteState.bindings[command.id] ? `<kbd>${escapeHtml(getShortcutLabel(command.id))}</kbd>` : ''}
+        </li>
+    `).join('');
+
+    DOM.paletteStatus.textContent = paletteState.matches.length === 0 ? 'No matching commands' : '';
+    renderPaletteSelection();
+}
+
+function renderPaletteSelection() {
+    DOM.paletteList.querySelectorAll('.palette-option').forEach((option, i) => {
+        const selected = i === paletteState.selected;
+        option.classList.toggle('active', selected);
+        option.setAttribute('aria-selected', selected);
+        if (selected) option.scrollIntoView({ block: 'nearest' });
+    });
+
+    if (paletteState.matches.length > 0) {
+        DOM.paletteInput.setAttribute('aria-activedescendant', `palette-option-${paletteState.selected}`);
+    } else {
+        DOM.paletteInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+function highlightMatch(label, indices) {
+    const marked = new Set(indices);
+    return [...label].map((char, i) => marked.has(i) ? `<mark>${escapeHtml(char)}</mark>` : escapeHtml(char)).join('');
+}
+
+// ========================================
+// SHORTCUT EDITOR (settings panel)
+// ========================================
+function renderShortcutList() {
+    const commands = getCommands().filter(command => !command.id.startsWith('load-'));
+
+    DOM.shortcutList.innerHTML = commands.map(command => `
+        <li class="history-row shortcut-row">
+            <span>${escapeHtml(command.label)}</span>
+            <button class="timer-pill${paletteState.recording === command.id ? ' active' : ''}" data-record="${command.id}"
+                aria-label="Shortcut for ${escapeHtml(command.label)}">
+                ${paletteState.recording === command.id ? 'Press keys…' : escapeHtml(getShortcutLabel(command.id) || '—')}
+            </button>
+        </li>
+    `).join('');
+
+    DOM.paletteBtn.title = `Command palette (${getShortcutLabel('palette') || 'unbound'})`;
+}
+
+function startRecording(id) {
+    paletteState.recording = id;
+    setSettingsStatus('Press the new shortcut. Backspace clears it, Escape cancels.');
+    renderShortcutList();
+    DOM.shortcutList.querySelector(`[data-record="${id}"]`).focus();
+}
+
+// Closing or resetting settings abandons a half-recorded shortcut
+function cancelShortcutRecording() {
+    if (!paletteState.recording) return;
+
+    paletteState.recording = null;
+    renderShortcutList();
+}
+
+function stopRecording(message) {
+    const id = paletteState.recording;
+    paletteState.recording = null;
+    setSettingsStatus(message);
+    renderShortcutList();
+    DOM.shortcutList.querySelector(`[data-record="${id}"]`).focus();
+}
+
+// Takes over the keyboard until a combo, Backspace or Escape arrives
+function recordShortcut(e) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    const id = paletteState.recording;
+
+    if (e.key === 'Escape') {
+        stopRecording('');
+        return;
+    }
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+        paletteState.bindings[id] = null;
+        saveShortcuts();
+        stopRecording('Shortcut cleared');
+        return;
+    }
+
+    const combo = comboFromEvent(e, paletteState);
+    if (!combo) return;
+
+    if (!isTypingSafeCombo(combo)) {
+        setSettingsStatus(`${formatCombo(combo, paletteState)} would type; include Ctrl, Alt, ${paletteState.mac ? 'Cmd' : 'Meta'} or hold Tab`);
+        return;
+    }
+
+    const previous = findCommandForCombo(paletteState.bindings, combo);
+    if (previous && previous !== id) {
+        paletteState.bindings[previous] = null;
+    }
+    paletteState.bindings[id] = combo;
+    saveShortcuts();
+
+    const moved = previous && previous !== id && getCommands().find(command => command.id === previous);
+    stopRecording(moved ? `${formatCombo(combo, paletteState)} moved from "${moved.label}"` : '');
+}
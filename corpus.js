@@ -0,0 +1,360 @@
+/**
+ * ========================================
+ * TEXT CORPORA - GLASS HUD
+ * Import, normalize and select the
+ * passages generateText() draws from
+ * ========================================
+ */
+
+// ========================================
+// CORPUS CONFIG
+// ========================================
+const CORPUS_STORAGE_KEY = 'glass-hud.corpora';
+const ACTIVE_CORPUS_KEY = 'glass-hud.corpora.active';
+const BUILTIN_CORPUS_ID = 'sample';
+
+// Letters, marks, digits, punctuation, symbols and spaces in any script;
+// what a keyboard layout or IME can produce
+const TYPEABLE_PATTERN = /^[\p{L}\p{M}\p{N}\p{P}\p{S} \u200C\u200D]$/u;
+
+const TYPOGRAPHIC_REPLACEMENTS = [
+    [/[\u2018\u2019\u201A\u201B\u2032]/g, "'"],
+    [/[\u201C\u201D\u201E\u201F\u2033]/g, '"'],
+    [/[\u2010\u2011\u2012\u2013\u2212]/g, '-'],
+    [/[\u2014\u2015]/g, ' - '],
+    [/\u2026/g, '...'],
+    [/\uFB01/g, 'fi'],
+    [/\uFB02/g, 'fl'],
+    [/[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g, ' '],
+    // Zero-width joiners stay: emoji sequences and some scripts need them
+    [/[\u200B\uFEFF]/g, '']
+];
+
+const corpusView = {
+    preview: null
+};
+
+// ========================================
+// NORMALIZATION
+// ========================================
+/**
+ * Converts typographic punctuation to typeable ASCII, composes
+ * accents (NFC) and collapses whitespace. Anything still
+ * untypeable is reported in `flagged`.
+ */
+function normalizeText(text) {
+    let normalized = text.normalize('NFC');
+    TYPOGRAPHIC_REPLACEMENTS.forEach(([pattern, replacement]) => {
+        normalized = normalized.replace(pattern, replacement);
+    });
+    normalized = normalized.replace(/\s+/g, ' ').trim();
+
+    const flagged = [...new Set([...normalized].filter(char => !TYPEABLE_PATTERN.test(char)))];
+
+    return { text: normalized, flagged };
+}
+
+function removeUntypeable(text) {
+    return [...text].filter(char => TYPEABLE_PATTERN.test(char)).join('').replace(/\s+/g, ' ').trim();
+}
+
+function stripMarkdown(markdown) {
+    return markdown
+        .replace(/```[\s\S]*?```/g, '')
+        .replace(/^\s{0,3}(?:-{3,}|\*{3,}|_{3,})\s*$/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/<[^>]+>/g, '')
+        .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+        .replace(/^\s{0,3}>\s?/gm, '')
+        .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+        .replace(/^\s*\|?(?:\s*:?-+:?\s*\|)+\s*$/gm, '')
+        .replace(/\|/g, ' ')
+        .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+        .replace(/(\*|_)(.+?)\1/g, '$2')
+        .replace(/`([^`]+)`/g, '$1');
+}
+
+// ========================================
+// PARSING
+// ========================================
+function detectFormat(raw, fileName = '') {
+    if (/\.json$/i.test(fileName)) return 'json';
+    if (/\.(md|markdown)$/i.test(fileName)) return 'markdown';
+
+    const trimmed = raw.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+    return 'text';
+}
+
+function splitParagraphs(text) {
+    return text.split(/\n\s*\n/);
+}
+
+function extractJsonPassages(raw) {
+    const parsed = JSON.parse(raw);
+    const list = Array.isArray(parsed) ? parsed : parsed && (parsed.passages || parsed.texts);
+
+    if (!Array.isArray(list)) {
+        throw new Error('Expected a JSON list of passages');
+    }
+
+    return list.map(item => (typeof item === 'string' ? item : item && item.text)).filter(Boolean);
+}
+
+/**
+ * Splits raw input into normalized passages.
+ * Returns { passages, flagged } where flagged lists untypeable chars.
+ */
+function parseCorpusInput(raw, format) {
+    let chunks;
+    switch (format) {
+        case 'json':
+            chunks = extractJsonPassages(raw);
+            break;
+        case 'markdown':
+            chunks = splitParagraphs(stripMarkdown(raw));
+            break;
+        default:
+            chunks = splitParagraphs(raw);
+    }
+
+    const flagged = new Set();
+    const passages = [];
+    chunks.forEach(chunk => {
+        const result = normalizeText(chunk);
+        result.flagged.forEach(char => flagged.add(char));
+        if (result.text) {
+            passages.push(result.text);
+        }
+    });
+
+    return { passages, flagged: [...flagged] };
+}
+
+// ========================================
+// STORAGE
+// ========================================
+function loadCorpora() {
+    try {
+        const raw = localStorage.getItem(CORPUS_STORAGE_KEY);
+        const corpora = raw ? JSON.parse(raw) : [];
+        return Array.isArray(corpora) ? corpora : [];
+    } catch (err) {
+        console.warn('⚠️ Corpora unreadable, starting fresh', err);
+        return [];
+    }
+}
+
+function saveCorpora(corpora) {
+    try {
+        localStorage.setItem(CORPUS_STORAGE_KEY, JSON.stringify(corpora));
+    } catch (err) {
+        console.warn('⚠️ Corpora could not be saved', err);
+        throw new Error('Storage is full');
+    }
+}
+
+function addCorpus(name, passages) {
+    const corpus = {
+        id: `corpus-${Date.now().toString(36)}`,
+        name,
+        passages,
+        createdAt: Date.now()
+    };
+
+    saveCorpora([...loadCorpora(), corpus]);
+    return corpus;
+}
+
+function deleteCorpus(id) {
+    saveCorpora(loadCorpora().filter(corpus => corpus.id !== id));
+    if (getActiveCorpusId() === id) {
+        setActiveCorpus(BUILTIN_CORPUS_ID);
+    }
+}
+
+function getActiveCorpusId() {
+    const id = localStorage.getItem(ACTIVE_CORPUS_KEY);
+    if (id && id !== BUILTIN_CORPUS_ID && loadCorpora().some(corpus => corpus.id === id)) {
+        return id;
+    }
+    return BUILTIN_CORPUS_ID;
+}
+
+function setActiveCorpus(id) {
+    localStorage.setItem(ACTIVE_CORPUS_KEY, id);
+}
+
+/**
+ * Passages generateText() should draw from.
+ */
+function getActivePassages() {
+    const id = getActiveCorpusId();
+    if (id === BUILTIN_CORPUS_ID) return getLanguagePassages();
+
+    const corpus = loadCorpora().find(c => c.id === id);
+    return corpus && corpus.passages.length > 0 ? corpus.passages : getLanguagePassages();
+}
+
+// ========================================
+// CORPUS VIEW
+// ========================================
+function initCorpus() {
+    DOM.corpusBtn = document.getElementById('corpus-btn');
+    DOM.corpusOverlay = document.getElementById('corpus-overlay');
+    DOM.corpusList = document.getElementById('corpus-list');
+    DOM.corpusName = document.getElementById('corpus-name');
+    DOM.corpusFormat = document.getElementById('corpus-format');
+    DOM.corpusInput = document.getElementById('corpus-input');
+    DOM.corpusFile = document.getElementById('corpus-file');
+    DOM.corpusPreview = document.getElementById('corpus-preview');
+    DOM.corpusSaveBtn = document.getElementById('corpus-save-btn');
+    DOM.corpusStatus = document.getElementById('corpus-status');
+    DOM.corpusCloseBtn = document.getElementById('corpus-close-btn');
+
+    DOM.corpusBtn.addEventListener('click', showCorpus);
+    DOM.corpusCloseBtn.addEventListener('click', hideCorpus);
+    DOM.corpusInput.addEventListener('input', updateCorpusPreview);
+    DOM.corpusFormat.addEventListener('change', updateCorpusPreview);
+    DOM.corpusFile.addEventListener('change', handleCorpusFile);
+    DOM.corpusSaveBtn.addEventListener('click', handleCorpusSave);
+
+    DOM.corpusList.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('[data-delete]');
+        if (deleteBtn) {
+            deleteCorpus(deleteBtn.dataset.delete);
+            setCorpusStatus('Corpus deleted');
+            renderCorpusList();
+            return;
+        }
+
+        const pill = e.target.closest('[data-corpus]');
+        if (pill) {
+            setActiveCorpus(pill.dataset.corpus);
+            renderCorpusList();
+            restartTest();
+        }
+    });
+
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && DOM.corpusOverlay.classList.contains('show')) {
+            hideCorpus();
+        }
+    });
+}
+
+function showCorpus() {
+    setCorpusStatus('');
+    openPanel(DOM.corpusOverlay);
+    renderCorpusList();
+}
+
+function hideCorpus() {
+    closeDialog(DOM.corpusOverlay);
+}
+
+function setCorpusStatus(message) {
+    DOM.corpusStatus.textContent = message;
+}
+
+function renderCorpusList() {
+    const activeId = getActiveCorpusId();
+    const entries = [
+        {
+            id: BUILTIN_CORPUS_ID,
+            name: `Sample texts (${TEXT_LANGUAGES[getTextLanguage()].label})`,
+            passages: getLanguagePassages(),
+            builtin: true
+        },
+        ...loadCorpora()
+    ];
+
+    DOM.corpusList.innerHTML = entries.map(corpus => `
+        <li class="history-row corpus-row">
+            <button class="timer-pill${corpus.id === activeId ? ' active' : ''}" data-corpus="${corpus.id}">
+                ${escapeHtml(corpus.name)}
+            </button>
+            <span>${corpus.passages.length} passages</span>
+            ${corpus.builtin ? '<span></span>' : `<button class="history-delete" data-delete="${corpus.id}" aria-label="Delete corpus">✕</button>`}
+        </li>
+    `).join('');
+}
+
+// ========================================
+// IMPORT
+// ========================================
+function handleCorpusFile() {
+    const file = DOM.corpusFile.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        DOM.corpusInput.value = reader.result;
+        DOM.corpusFormat.value = detectFormat(reader.result, file.name);
+        if (!DOM.corpusName.value) {
+            DOM.corpusName.value = file.name.replace(/\.[^.]+$/, '');
+        }
+        updateCorpusPreview();
+    };
+    reader.readAsText(file);
+
+    DOM.corpusFile.value = '';
+}
+
+function updateCorpusPreview() {
+    const raw = DOM.corpusInput.value;
+    corpusView.preview = null;
+
+    if (!raw.trim()) {
+        DOM.corpusPreview.textContent = '';
+        return;
+    }
+
+    const format = DOM.corpusFormat.value === 'auto' ? detectFormat(raw) : DOM.corpusFormat.value;
+
+    try {
+        corpusView.preview = parseCorpusInput(raw, format);
+    } catch (err) {
+        DOM.corpusPreview.textContent = `Could not parse: ${err.message}`;
+        return;
+    }
+
+    const { passages, flagged } = corpusView.preview;
+    let summary = `${passages.length} passages · ${format}`;
+    if (flagged.length > 0) {
+        summary += ` · untypeable, will be removed: ${flagged.join(' ')}`;
+    }
+    DOM.corpusPreview.textContent = summary;
+}
+
+function handleCorpusSave() {
+    const name = DOM.corpusName.value.trim();
+    const preview = corpusView.preview;
+
+    if (!name) {
+        setCorpusStatus('Give the corpus a name');
+        return;
+    }
+
+    const passages = preview ? preview.passages.map(removeUntypeable).filter(Boolean) : [];
+    if (passages.length === 0) {
+        setCorpusStatus('Nothing to save');
+        return;
+    }
+
+    try {
+        const corpus = addCorpus(name, passages);
+        setActiveCorpus(corpus.id);
+    } catch (err) {
+        setCorpusStatus(`Save failed: ${err.message}`);
+        return;
+    }
+
+    DOM.corpusName.value = '';
+    DOM.corpusInput.value = '';
+    updateCorpusPreview();
+    setCorpusStatus(`Saved "${name}" with ${passages.length} passages`);
+    renderCorpusList();
+    restartTest();
+}
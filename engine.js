@@ -6,49 +6,50 @@
  * ========================================
  */
 
-// ========================================
-// SAMPLE TEXT CORPUS (Extended for longer tests)
-// ========================================
-const SAMPLE_TEXTS = [
-    "The quick brown fox jumps over the lazy dog. This pangram contains every letter of the English alphabet at least once. Typing tests often use such sentences to ensure comprehensive keyboard coverage. Practice makes perfect when it comes to typing speed.",
-    "In the realm of software development, clean code is not just about making programs work. It is about crafting solutions that are readable, maintainable, and elegant. Every developer should strive to write code that tells a story and can be understood by others.",
-    "Technology continues to reshape our world at an unprecedented pace. From artificial intelligence to quantum computing, innovations emerge daily that challenge our understanding of what machines can accomplish. The future promises even more remarkable breakthroughs.",
-    "The art of programming lies not in complexity but in simplicity. A truly skilled developer can take a complicated problem and distill it into an elegant solution that others can understand and build upon. This is the mark of true expertise.",
-    "Practice makes perfect when it comes to typing speed. Consistent daily practice, proper finger placement, and maintaining good posture all contribute to improving your words per minute over time. Keep pushing your limits and you will see improvement.",
-    "JavaScript is a versatile programming language that powers the modern web. From simple animations to complex web applications, JavaScript enables developers to create interactive and dynamic user experiences. Its ecosystem continues to grow rapidly.",
-    "The keyboard is an extension of your thoughts when you master touch typing. Your fingers dance across the keys, translating ideas into words without conscious effort. This fluency comes only through dedicated practice and patience.",
-    "Web development has evolved significantly over the past decade. Modern frameworks and tools have simplified complex tasks, enabling developers to build sophisticated applications with less effort. However, understanding fundamentals remains crucial.",
-    "Accuracy is just as important as speed in typing. Making fewer mistakes means less time spent correcting errors and more efficient communication. Focus on precision first, and speed will naturally follow with practice.",
-    "The best typists in the world can exceed two hundred words per minute while maintaining near perfect accuracy. This level of skill requires years of dedicated practice and a deep understanding of keyboard layouts and finger positioning."
-];
-
 // ========================================
 // STATE MANAGEMENT
 // ========================================
+// Scoring lives in the headless TypingSession (typing-session.js);
+// this state only tracks what the Glass HUD renderer needs.
 const state = {
     text: '',
-    spans: [],
-    activeIndex: 0,
-    startTime: null,
-    timerInterval: null,
-    correctChars: 0,
-    incorrectChars: 0,
-    totalKeysPressed: 0,
-    isFinished: false,
-    isStarted: false,
-    lastKeypressTime: null,
+    textSource: 'sample',
+    session: null,
+    lastResult: null,
+    lastReplay: null,
+    tickInterval: null,
     cursorTimeout: null,
 
-    // Timer settings
+    // Mode settings
+    testMode: 'time',
     testDuration: 60,
-    remainingTime: 60,
-    countdownInterval: null,
+    wordCount: 50,
+
+    // Adaptive text seed for the current run, and the weakness profile it was drawn with
+    textSeed: null,
+    textWeakness: null,
+
+    // Code mode settings
+    codeLanguage: DEFAULT_CODE_LANGUAGE,
+    skipIndentation: false,
 
-    // Performance tracking for graph
-    performanceData: [],
-    lastRecordedSecond: 0
+    // Lesson mode: the lesson being drilled (see lessons.js)
+    lessonId: LESSONS[0].id,
+
+    // Word-level input options (see createTypingSession)
+    wordSkip: true,
+    stopOnError: false,
+    confineBackspace: false
 };
 
+const TEST_MODES = ['time', 'words', 'quote', 'adaptive', 'code', 'lesson'];
+
+// The cursor pulses again once no key has arrived for this long
+const CURSOR_IDLE_MS = 500;
+
+const INPUT_OPTIONS_KEY = 'glass-hud.input';
+const INPUT_OPTIONS = ['wordSkip', 'stopOnError', 'confineBackspace'];
+
 // ========================================
 // DOM CACHE (Performance optimization)
 // ========================================
@@ -60,8 +61,18 @@ const DOM = {
     timeDisplay: null,
     glassCard: null,
     restartBtn: null,
+    modePills: null,
+    modeOptions: null,
     timerPills: null,
     customTimeInput: null,
+    wordPills: null,
+    customWordsInput: null,
+    adaptiveSeedInput: null,
+    languagePills: null,
+    skipIndentToggle: null,
+    lessonPills: null,
+    lessonCriteria: null,
+    inputOptionPills: null,
     resultsOverlay: null,
     finalWpm: null,
     finalAccuracy: null,
@@ -69,7 +80,15 @@ const DOM = {
     rawWpm: null,
     correctCharsDisplay: null,
     incorrectCharsDisplay: null,
+    correctedErrors: null,
+    uncorrectedErrors: null,
+    consistency: null,
+    burstWpm: null,
+    trueAccuracy: null,
+    correctionTime: null,
     finalTime: null,
+    finalMode: null,
+    finalValidation: null,
     performanceGraph: null,
     restartModalBtn: null
 };
@@ -86,8 +105,18 @@ function init() {
     DOM.timeDisplay = document.getElementById('time');
     DOM.glassCard = document.querySelector('.glass-card');
     DOM.restartBtn = document.getElementById('restart-btn');
-    DOM.timerPills = document.querySelectorAll('.timer-pill');
+    DOM.modePills = document.querySelectorAll('.timer-pill[data-mode]');
+    DOM.modeOptions = document.querySelectorAll('[data-mode-options]');
+    DOM.timerPills = document.querySelectorAll('.timer-pill[data-time]');
     DOM.customTimeInput = document.getElementById('custom-time');
+    DOM.wordPills = document.querySelectorAll('.timer-pill[data-words]');
+    DOM.customWordsInput = document.getElementById('custom-words');
+    DOM.adaptiveSeedInput = document.getElementById('adaptive-seed');
+    DOM.languagePills = document.querySelectorAll('.timer-pill[data-language]');
+    DOM.skipIndentToggle = document.getElementById('skip-indent-toggle');
+    DOM.lessonPills = document.querySelectorAll('.timer-pill[data-lesson]');
+    DOM.lessonCriteria = document.getElementById('lesson-criteria');
+    DOM.inputOptionPills = document.querySelectorAll('.timer-pill[data-input-option]');
     DOM.resultsOverlay = document.getElementById('results-overlay');
     DOM.finalWpm = document.getElementById('final-wpm');
     DOM.finalAccuracy = document.getElementById('final-accuracy');
@@ -95,21 +124,62 @@ function init() {
     DOM.rawWpm = document.getElementById('raw-wpm');
     DOM.correctCharsDisplay = document.getElementById('correct-chars');
     DOM.incorrectCharsDisplay = document.getElementById('incorrect-chars');
+    DOM.correctedErrors = document.getElementById('corrected-errors');
+    DOM.uncorrectedErrors = document.getElementById('uncorrected-errors');
+    DOM.consistency = document.getElementById('consistency');
+    DOM.burstWpm = document.getElementById('burst-wpm');
+    DOM.trueAccuracy = document.getElementById('true-accuracy');
+    DOM.correctionTime = document.getElementById('correction-time');
     DOM.finalTime = document.getElementById('final-time');
+    DOM.finalMode = document.getElementById('final-mode');
+    DOM.finalValidation = document.getElementById('final-validation');
     DOM.performanceGraph = document.getElementById('performance-graph');
     DOM.restartModalBtn = document.getElementById('restart-modal-btn');
 
+    // Saved settings (theme, font, default mode and duration) shape the first session
+    initSettings();
+    loadRunDefaults();
+
+    // Saved input options shape the first session
+    loadInputOptions();
+
+    // Lesson progress decides which lesson a lesson-mode run starts on
+    loadTraining();
+
+    // PB ghost (if enabled) is picked before text so a replay race can supply its own
+    initGhost();
+    prepareGhost();
+
     // Generate enough text for the test
     generateText();
+    createSession();
 
-    // Generate character spans
-    generateCharacterSpans();
+    // Lay out the text and mount the lines around the cursor
+    initTextView();
+    renderTestText();
 
     // Position cursor at first character
     requestAnimationFrame(updateCursorPosition);
 
     // Update time display
-    DOM.timeDisplay.textContent = state.testDuration;
+    resetTimeDisplay();
+
+    // Run history, keystroke heatmap, results graph, layout and corpus views
+    initHistory();
+    initHeatmap();
+    initResultsGraph();
+    initKeyboard();
+    initTextInput();
+    initCorpus();
+    initLanguage();
+    initReplay();
+    initMultiplayer();
+    initLeaderboard();
+    initAccessibility();
+    initAudio();
+    initTraining();
+    initCommandPalette();
+    initSessionRecovery();
 
     // Attach event listeners
     window.addEventListener('keydown', handleKeydown);
@@ -119,6 +189,13 @@ function init() {
         restartTest();
     });
 
+    // Mode pill listeners
+    DOM.modePills.forEach(pill => {
+        pill.addEventListener('click', () => {
+            selectMode(pill.dataset.mode);
+        });
+    });
+
     // Timer pill listeners
     DOM.timerPills.forEach(pill => {
         pill.addEventListener('click', () => {
@@ -128,15 +205,58 @@ function init() {
     });
 
     // Custom time input listener
+    DOM.customTimeInput.min = DURATION_RANGE.min;
+    DOM.customTimeInput.max = DURATION_RANGE.max;
     DOM.customTimeInput.addEventListener('change', () => {
         const customTime = parseInt(DOM.customTimeInput.value);
-        if (customTime >= 5 && customTime <= 300) {
+        if (customTime >= DURATION_RANGE.min && customTime <= DURATION_RANGE.max) {
             selectTimer(customTime, null);
         }
     });
 
-    DOM.customTimeInput.addEventListener('keydown', (e) => {
-        e.stopPropagation();
+    // Word count pill listeners
+    DOM.wordPills.forEach(pill => {
+        pill.addEventListener('click', () => {
+            const count = parseInt(pill.dataset.words);
+            selectWordCount(count, pill);
+        });
+    });
+
+    // Custom word count input listener
+    DOM.customWordsInput.addEventListener('change', () => {
+        const customWords = parseInt(DOM.customWordsInput.value);
+        if (customWords >= 5 && customWords <= 500) {
+            selectWordCount(customWords, null);
+        }
+    });
+
+    // Adaptive seed input listener
+    DOM.adaptiveSeedInput.addEventListener('change', restartTest);
+
+    // Code language and indentation listeners
+    DOM.languagePills.forEach(pill => {
+        pill.addEventListener('click', () => {
+            selectLanguage(pill.dataset.language);
+        });
+    });
+
+    DOM.skipIndentToggle.addEventListener('click', () => {
+        state.skipIndentation = !state.skipIndentation;
+        DOM.skipIndentToggle.classList.toggle('active', state.skipIndentation);
+        DOM.skipIndentToggle.setAttribute('aria-pressed', state.skipIndentation);
+        restartTest();
+    });
+
+    DOM.inputOptionPills.forEach(pill => {
+        pill.addEventListener('click', () => {
+            toggleInputOption(pill.dataset.inputOption);
+        });
+    });
+
+    [DOM.customTimeInput, DOM.customWordsInput, DOM.adaptiveSeedInput].forEach(input => {
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+        });
     });
 
     // Close results on escape
@@ -147,15 +267,126 @@ function init() {
         }
     });
 
+    // A run interrupted by a reload comes back paused
+    restoreSessionSnapshot();
+
     console.log('🚀 Glass HUD Typing Engine initialized');
 }
 
+// ========================================
+// MODE SELECTION
+// ========================================
+function selectMode(mode) {
+    if (!TEST_MODES.includes(mode)) return;
+
+    state.testMode = mode;
+    syncModePills();
+
+    restartTest();
+}
+
+// The default mode and duration from settings; a duration without a pill fills the custom field
+function loadRunDefaults() {
+    state.testMode = getSetting('defaultMode');
+    state.testDuration = getSetting('defaultDuration');
+    syncModePills();
+
+    const hasPill = [...DOM.timerPills].some(pill => Number(pill.dataset.time) === state.testDuration);
+    DOM.customTimeInput.value = hasPill ? '' : state.testDuration;
+}
+
+// ========================================
+// INPUT OPTIONS
+// ========================================
+function loadInputOptions() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(INPUT_OPTIONS_KEY)) || {};
+        INPUT_OPTIONS.forEach(option => {
+            if (typeof saved[option] === 'boolean') {
+                state[option] = saved[option];
+            }
+        });
+    } catch (err) {
+        console.warn('⚠️ Input options unreadable, using defaults', err);
+    }
+
+    syncInputOptionPills();
+}
+
+function toggleInputOption(option) {
+    if (!INPUT_OPTIONS.includes(option)) return;
+
+    state[option] = !state[option];
+    localStorage.setItem(INPUT_OPTIONS_KEY, JSON.stringify(
+        Object.fromEntries(INPUT_OPTIONS.map(name => [name, state[name]]))
+    ));
+
+    syncInputOptionPills();
+    restartTest();
+}
+
+function syncInputOptionPills() {
+    DOM.inputOptionPills.forEach(pill => {
+        const enabled = state[pill.dataset.inputOption];
+        pill.classList.toggle('active', enabled);
+        pill.setAttribute('aria-pressed', enabled);
+    });
+}
+
+// ========================================
+// RUN SETTINGS
+// ========================================
+// The settings that make two runs comparable (see getRunCategory)
+function getRunSettings() {
+    return {
+        mode: state.testMode,
+        duration: state.testMode === 'time' ? state.testDuration : null,
+        wordCount: state.testMode === 'words' || state.testMode === 'adaptive' ? state.wordCount : null,
+        language: state.testMode === 'code' ? state.codeLanguage : null,
+        lesson: state.testMode === 'lesson' ? state.lessonId : null
+    };
+}
+
+// Adopts another run's settings without regenerating text
+function applyRunSettings({ mode, duration, wordCount, language, lesson }) {
+    if (TEST_MODES.includes(mode)) state.testMode = mode;
+    if (duration) state.testDuration = duration;
+    if (wordCount) state.wordCount = wordCount;
+    if (language && CODE_LANGUAGES[language]) state.codeLanguage = language;
+    if (lesson && getLesson(lesson) && isLessonUnlocked(trainingState.lessons, lesson)) state.lessonId = lesson;
+
+    syncModePills();
+}
+
+function syncModePills() {
+    const mode = state.testMode;
+
+    DOM.modePills.forEach(pill => {
+        pill.classList.toggle('active', pill.dataset.mode === mode);
+    });
+    DOM.modeOptions.forEach(group => {
+        group.hidden = !group.dataset.modeOptions.split(' ').includes(mode);
+    });
+    DOM.timerPills.forEach(pill => {
+        pill.classList.toggle('active', Number(pill.dataset.time) === state.testDuration);
+    });
+    DOM.wordPills.forEach(pill => {
+        pill.classList.toggle('active', Number(pill.dataset.words) === state.wordCount);
+    });
+    DOM.languagePills.forEach(pill => {
+        pill.classList.toggle('active', pill.dataset.language === state.codeLanguage);
+    });
+    DOM.lessonPills.forEach(pill => {
+        pill.classList.toggle('active', pill.dataset.lesson === state.lessonId);
+    });
+    DOM.lessonCriteria.textContent = `pass ${formatLessonCriteria(getLesson(state.lessonId))}`;
+}
+
 // ========================================
 // TIMER SELECTION
 // ========================================
 function selectTimer(seconds, pillElement) {
     state.testDuration = seconds;
-    state.remainingTime = seconds;
 
     DOM.timerPills.forEach(pill => pill.classList.remove('active'));
     if (pillElement) {
@@ -163,91 +394,217 @@ function selectTimer(seconds, pillElement) {
         DOM.customTimeInput.value = '';
     }
 
-    DOM.timeDisplay.textContent = seconds;
+    // Text length is sized to the duration, so always regenerate
+    restartTest();
+}
 
-    if (state.isStarted) {
-        restartTest();
+// ========================================
+// WORD COUNT SELECTION
+// ========================================
+function selectWordCount(count, pillElement) {
+    state.wordCount = count;
+
+    DOM.wordPills.forEach(pill => pill.classList.remove('active'));
+    if (pillElement) {
+        pillElement.classList.add('active');
+        DOM.customWordsInput.value = '';
     }
+
+    restartTest();
 }
 
 // ========================================
-// GENERATE TEXT
+// CODE LANGUAGE SELECTION
 // ========================================
-function generateText() {
-    const charsNeeded = Math.ceil((state.testDuration / 60) * 1200);
+function selectLanguage(language) {
+    if (!CODE_LANGUAGES[language]) return;
 
-    let text = '';
-    while (text.length < charsNeeded) {
-        const randomText = SAMPLE_TEXTS[Math.floor(Math.random() * SAMPLE_TEXTS.length)];
-        text += (text ? ' ' : '') + randomText;
-    }
+    state.codeLanguage = language;
+
+    DOM.languagePills.forEach(pill => {
+        pill.classList.toggle('active', pill.dataset.language === language);
+    });
+
+    restartTest();
+}
+
+// ========================================
+// TIME DISPLAY
+// ========================================
+// Counts down in time mode, counts up everywhere else
+function resetTimeDisplay() {
+    DOM.timeDisplay.textContent = state.testMode === 'time' ? state.testDuration : 0;
+}
 
-    state.text = text;
+function getModeLabel() {
+    switch (state.testMode) {
+        case 'words':
+            return `words ${state.wordCount}`;
+        case 'quote':
+            return 'quote';
+        case 'adaptive':
+            return `adaptive ${state.wordCount} · seed ${state.textSeed}`;
+        case 'code':
+            return `code ${CODE_LANGUAGES[state.codeLanguage].label}`;
+        case 'lesson':
+            return `lesson ${getLesson(state.lessonId).title}`;
+        default:
+            return `time ${state.testDuration}s`;
+    }
 }
 
 // ========================================
-// GENERATE CHARACTER SPANS
+// GENERATE TEXT
 // ========================================
-function generateCharacterSpans() {
-    DOM.typingArea.innerHTML = '';
-    state.spans = [];
+function generateText() {
+    state.textSeed = null;
+    state.textWeakness = null;
+
+    // Racing a replay or other players means typing exactly their text
+    const raceText = getRaceText();
+    const ghostText = getGhostText();
+    if (raceText || ghostText) {
+        state.text = raceText || ghostText;
+        state.textSource = raceText ? 'race' : 'replay';
+        return;
+    }
 
-    const fragment = document.createDocumentFragment();
+    state.textSource = ['adaptive', 'code', 'lesson'].includes(state.testMode)
+        ? state.testMode
+        : getTextSourceId();
+
+    switch (state.testMode) {
+        case 'words':
+            state.text = buildWordText(pickRandomText, state.wordCount);
+            break;
+        case 'quote':
+            state.text = pickRandomText();
+            break;
+        case 'adaptive':
+            state.text = generateAdaptivePractice(state.wordCount);
+            break;
+        case 'code':
+            state.text = pickCodeSnippet(state.codeLanguage);
+            break;
+        case 'lesson':
+            state.text = generateLessonText(getLesson(state.lessonId));
+            break;
+        default:
+            state.text = buildTimedText(pickRandomText, state.testDuration);
+    }
+}
 
-    for (let i = 0; i < state.text.length; i++) {
-        const span = document.createElement('span');
-        const char = state.text[i];
+// Built-in passages are told apart by language ('sample', 'sample-fr', ...)
+function getTextSourceId() {
+    const id = getActiveCorpusId();
+    const language = getTextLanguage();
+    return id === BUILTIN_CORPUS_ID && language !== DEFAULT_TEXT_LANGUAGE ? `${id}-${language}` : id;
+}
 
-        if (char === ' ') {
-            span.innerHTML = '&nbsp;';
-            span.dataset.char = ' ';
-        } else {
-            span.textContent = char;
-            span.dataset.char = char;
-        }
+function pickRandomText() {
+    const passages = getActivePassages();
+    return passages[Math.floor(Math.random() * passages.length)];
+}
 
-        state.spans.push(span);
-        fragment.appendChild(span);
+// A fresh seed is weighted by recent stats. A typed seed reproduces its
+// session: it reuses the profile saved with it, or no weighting at all,
+// so the text doesn't drift as stats change or on another machine.
+function generateAdaptivePractice(count) {
+    const typedSeed = DOM.adaptiveSeedInput.value.trim();
+
+    if (typedSeed) {
+        state.textSeed = typedSeed;
+        state.textWeakness = getSeedWeakness(typedSeed) || buildWeakness();
+    } else {
+        const { keyStats, bigramStats } = getRecentKeystrokeStats();
+        state.textSeed = createSeed();
+        state.textWeakness = buildWeakness(keyStats, bigramStats);
     }
 
-    DOM.typingArea.appendChild(fragment);
+    return generateAdaptiveText({
+        seed: state.textSeed,
+        count,
+        weakness: state.textWeakness
+    });
 }
 
 // ========================================
-// KEYDOWN HANDLER
+// SESSION SETUP
 // ========================================
-function handleKeydown(e) {
-    if (DOM.resultsOverlay.classList.contains('show')) return;
-    if (state.isFinished) return;
+function createSession() {
+    attachSession(createTypingSession({
+        text: state.text,
+        duration: state.testMode === 'time' ? state.testDuration : null,
+        skipIndentation: state.testMode === 'code' && state.skipIndentation,
+        // Code has no space-separated words to skip
+        wordSkip: state.testMode !== 'code' && state.wordSkip,
+        stopOnError: state.stopOnError,
+        confineBackspace: state.confineBackspace
+    }));
+}
 
-    const key = e.key;
+// Makes `session` the live one (a new run, or one restored after a reload)
+function attachSession(session) {
+    state.session = session;
+    session.subscribe(renderSessionEvent);
+    session.subscribe(announceSessionEvent);
+    session.subscribe(snapshotSessionEvent);
+}
 
-    if (isModifierKey(key)) return;
+function isTestRunning() {
+    return state.session.state.isStarted && !state.session.state.isFinished;
+}
 
-    if (key === ' ' || key === 'Backspace') {
-        e.preventDefault();
-    }
+// ========================================
+// RENDER TEXT (windowed, see text-view.js)
+// ========================================
+function renderTestText() {
+    setViewText(state.text, state.testMode === 'code' ? state.codeLanguage : null);
+}
 
-    if (key === 'Backspace') {
-        handleBackspace();
-        return;
-    }
+// ========================================
+// KEYDOWN HANDLER
+// ========================================
+function handleKeydown(e) {
+    if (!canType()) return;
+    focusTextInput();
 
-    if (key.length > 1) return;
+    // Compositions finish in text-input.js
+    const key = getTypedKey(e, { key: remapKeyEvent(e), codeKeys: state.testMode === 'code' });
+    if (key === null) return;
 
-    if (!state.isStarted) {
-        startTest();
+    // Keeps the character out of the IME field so beforeinput doesn't type it twice
+    e.preventDefault();
+    if (key === 'Backspace') {
+        handleBackspace(e.isTrusted);
+    } else {
+        typeText(key, e.isTrusted);
     }
+}
+
+// Typing gate shared by keydown and the IME field
+function canType() {
+    if (isOverlayOpen() || isReplaying() || isRaceLocked()) return false;
+    return !state.session.state.isFinished;
+}
 
-    state.lastKeypressTime = Date.now();
+// Types one grapheme, or a whole IME commit
+function typeText(text, trusted) {
     DOM.cursor.classList.add('typing');
 
     clearTimeout(state.cursorTimeout);
     state.cursorTimeout = setTimeout(() => {
         DOM.cursor.classList.remove('typing');
-    }, 500);
+    }, CURSOR_IDLE_MS);
 
-    processKeypress(key);
+    processKeypress(text, trusted);
+}
+
+// ========================================
+// OVERLAY CHECK
+// ========================================
+function isOverlayOpen() {
+    return document.querySelector('.results-overlay.show') !== null;
 }
 
 // ========================================
@@ -260,6 +617,8 @@ function isModifierKey(key) {
         'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
         'Home', 'End', 'PageUp', 'PageDown',
         'Insert', 'Delete', 'Enter',
+        // Composition keys: the text arrives later (see text-input.js)
+        'Dead', 'Process', 'Compose', 'Unidentified',
         'F1', 'F2', 'F3', 'F4', 'F5', 'F6',
         'F7', 'F8', 'F9', 'F10', 'F11', 'F12'
     ];
@@ -269,179 +628,157 @@ function isModifierKey(key) {
 // ========================================
 // PROCESS KEYPRESS
 // ========================================
-function processKeypress(key) {
-    if (state.activeIndex >= state.spans.length) {
-        finishTest();
-        return;
-    }
-
-    const currentSpan = state.spans[state.activeIndex];
-    const expectedChar = currentSpan.dataset.char;
-
-    state.totalKeysPressed++;
-
-    if (key === expectedChar) {
-        currentSpan.classList.remove('incorrect');
-        currentSpan.classList.add('correct');
-        state.correctChars++;
-    } else {
-        currentSpan.classList.remove('correct');
-        currentSpan.classList.add('incorrect');
-        state.incorrectChars++;
-    }
-
-    state.activeIndex++;
-
-    requestAnimationFrame(updateCursorPosition);
-    updateMetrics();
-    checkVelocityMode();
-
-    if (state.activeIndex >= state.spans.length) {
-        finishTest();
-    }
+function processKeypress(key, trusted) {
+    state.session.input(key, performance.now(), trusted);
 }
 
 // ========================================
 // HANDLE BACKSPACE
 // ========================================
-function handleBackspace() {
-    if (state.activeIndex === 0) return;
-
-    state.activeIndex--;
-
-    const prevSpan = state.spans[state.activeIndex];
-
-    if (prevSpan.classList.contains('correct')) {
-        state.correctChars--;
-    } else if (prevSpan.classList.contains('incorrect')) {
-        state.incorrectChars--;
-    }
-
-    prevSpan.classList.remove('correct', 'incorrect');
+function handleBackspace(trusted) {
+    state.session.backspace(performance.now(), trusted);
+}
 
-    if (state.totalKeysPressed > 0) {
-        state.totalKeysPressed--;
+// ========================================
+// HUD RENDERER (Session subscriber)
+// ========================================
+function renderSessionEvent(event) {
+    switch (event.type) {
+        case 'start':
+            startTest();
+            break;
+        case 'input':
+            if (!isReplaying()) playKeySound(event.correct, event.key);
+            renderCharacter(event.index, event.correct ? 'correct' : 'incorrect');
+            requestAnimationFrame(updateCursorPosition);
+            updateMetrics(event.timestamp);
+            checkVelocityMode(event.timestamp);
+            break;
+        case 'skip':
+            renderCharacter(event.index, 'skipped');
+            requestAnimationFrame(updateCursorPosition);
+            break;
+        case 'miss':
+            renderCharacter(event.index, 'missed');
+            break;
+        case 'extra':
+            if (!isReplaying()) playKeySound(false);
+            renderExtras(event.index, event.extras);
+            requestAnimationFrame(updateCursorPosition);
+            updateMetrics(event.timestamp);
+            break;
+        case 'error':
+            if (!isReplaying()) playKeySound(false);
+            flashBlockedCharacter(event.index);
+            updateMetrics(event.timestamp);
+            break;
+        case 'backspace':
+            if (event.extra) {
+                renderExtras(event.index, event.extras);
+            } else {
+                renderCharacter(event.index, null);
+            }
+            requestAnimationFrame(updateCursorPosition);
+            updateMetrics(event.timestamp);
+            break;
+        case 'tick':
+            renderTimeDisplay(event.elapsed, event.remaining);
+            updateMetrics(event.timestamp);
+            break;
+        case 'pause':
+            stopTimers();
+            break;
+        case 'resume':
+            startTest();
+            break;
+        case 'finish':
+            finishTest(event.result);
+            break;
     }
-
-    requestAnimationFrame(updateCursorPosition);
-    updateMetrics();
 }
 
 // ========================================
 // BLOCK CURSOR POSITIONING
 // ========================================
 function updateCursorPosition() {
-    let targetSpan;
+    scrollViewTo(state.session.state.activeIndex);
+    positionCursor(DOM.cursor, state.session.state.activeIndex);
+    positionTextInput();
+    highlightNextKey();
+}
 
-    if (state.activeIndex >= state.spans.length) {
-        targetSpan = state.spans[state.spans.length - 1];
-    } else {
-        targetSpan = state.spans[state.activeIndex];
-    }
+// Places a block cursor element behind the character at `index`,
+// hiding it while that character is scrolled out of view
+function positionCursor(cursor, index) {
+    const box = getCharBox(index);
 
-    const rect = targetSpan.getBoundingClientRect();
-    const cardRect = DOM.glassCard.getBoundingClientRect();
+    cursor.style.visibility = box ? '' : 'hidden';
+    if (!box) return;
 
     // Block cursor - position behind the character
-    DOM.cursor.style.left = `${rect.left - cardRect.left}px`;
-    DOM.cursor.style.top = `${rect.top - cardRect.top}px`;
-    DOM.cursor.style.width = `${rect.width}px`;
-    DOM.cursor.style.height = `${rect.height}px`;
+    cursor.style.left = `${box.left}px`;
+    cursor.style.top = `${box.top}px`;
+    cursor.style.width = `${box.width}px`;
+    cursor.style.height = `${box.height}px`;
 }
 
 // ========================================
 // TEST START
 // ========================================
 function startTest() {
-    state.isStarted = true;
-    state.startTime = Date.now();
-    state.remainingTime = state.testDuration;
-    state.performanceData = [];
-    state.lastRecordedSecond = 0;
-
-    state.countdownInterval = setInterval(() => {
-        const elapsed = (Date.now() - state.startTime) / 1000;
-        state.remainingTime = Math.max(0, state.testDuration - elapsed);
-
-        DOM.timeDisplay.textContent = Math.ceil(state.remainingTime);
-
-        const currentSecond = Math.floor(elapsed);
-        if (currentSecond > state.lastRecordedSecond && currentSecond <= state.testDuration) {
-            recordPerformanceData(currentSecond);
-            state.lastRecordedSecond = currentSecond;
-        }
-
-        if (state.remainingTime <= 0) {
-            finishTest();
-        }
+    // The session owns the clock; the interval only drives its tick
+    state.tickInterval = setInterval(() => {
+        state.session.tick(performance.now());
     }, 100);
 
-    state.timerInterval = setInterval(() => {
-        updateMetrics();
-    }, 100);
-}
-
-// ========================================
-// RECORD PERFORMANCE DATA
-// ========================================
-function recordPerformanceData(second) {
-    const elapsedMinutes = second / 60;
-    const wpm = elapsedMinutes > 0 ? Math.round((state.correctChars / 5) / elapsedMinutes) : 0;
-    const accuracy = state.totalKeysPressed > 0
-        ? Math.round((state.correctChars / state.totalKeysPressed) * 100)
-        : 100;
-
-    state.performanceData.push({ second, wpm, accuracy });
+    startGhost();
+    if (!isReplaying()) startMetronome();
 }
 
 // ========================================
 // STOP TIMERS
 // ========================================
 function stopTimers() {
-    if (state.timerInterval) {
-        clearInterval(state.timerInterval);
-        state.timerInterval = null;
-    }
-    if (state.countdownInterval) {
-        clearInterval(state.countdownInterval);
-        state.countdownInterval = null;
+    if (state.tickInterval) {
+        clearInterval(state.tickInterval);
+        state.tickInterval = null;
     }
+    stopGhost();
+    stopMetronome();
 }
 
 // ========================================
-// METRICS CALCULATION
+// METRICS DISPLAY
 // ========================================
-function updateMetrics() {
-    const elapsedMs = state.startTime ? Date.now() - state.startTime : 0;
-    const elapsedMinutes = elapsedMs / 60000;
+function updateMetrics(timestamp) {
+    const metrics = state.session.getMetrics(timestamp);
 
-    let wpm = 0;
-    if (elapsedMinutes > 0) {
-        wpm = Math.round((state.correctChars / 5) / elapsedMinutes);
-    }
+    DOM.wpmDisplay.textContent = Math.round(metrics.wpm);
+    DOM.accuracyDisplay.textContent = Math.round(metrics.accuracy);
+}
 
-    let accuracy = 100;
-    if (state.totalKeysPressed > 0) {
-        accuracy = Math.round((state.correctChars / state.totalKeysPressed) * 100);
-    }
+function renderTimeDisplay(elapsed, remaining) {
+    DOM.timeDisplay.textContent = remaining === null ? Math.floor(elapsed) : Math.ceil(remaining);
+}
 
-    DOM.wpmDisplay.textContent = wpm;
-    DOM.accuracyDisplay.textContent = accuracy;
+// Timer and speed as of `timestamp`, for when no tick is coming (a restored run)
+function renderSessionMetrics(timestamp) {
+    const { elapsed, remaining } = state.session.getMetrics(timestamp);
+
+    renderTimeDisplay(elapsed, remaining);
+    updateMetrics(timestamp);
 }
 
 // ========================================
 // VELOCITY MODE
 // ========================================
-function checkVelocityMode() {
-    const elapsedMs = state.startTime ? Date.now() - state.startTime : 0;
-    const elapsedMinutes = elapsedMs / 60000;
-
-    let wpm = 0;
-    if (elapsedMinutes > 0) {
-        wpm = (state.correctChars / 5) / elapsedMinutes;
-    }
+function checkVelocityMode(timestamp) {
+    const { wpm } = state.session.getMetrics(timestamp);
 
-    if (wpm >= 80) {
+    if (wpm >= getSetting('velocityThreshold')) {
+        if (!DOM.glassCard.classList.contains('velocity-active') && !isReplaying()) {
+            playVelocityCue();
+        }
         DOM.glassCard.classList.add('velocity-active');
     } else {
         DOM.glassCard.classList.remove('velocity-active');
@@ -451,150 +788,127 @@ function checkVelocityMode() {
 // ========================================
 // FINISH TEST
 // ========================================
-function finishTest() {
-    if (state.isFinished) return;
-
-    state.isFinished = true;
+function finishTest(result) {
     stopTimers();
-
-    const totalSeconds = Math.min(
-        (Date.now() - state.startTime) / 1000,
-        state.testDuration
-    );
-    if (totalSeconds > state.lastRecordedSecond) {
-        recordPerformanceData(Math.floor(totalSeconds));
+    state.lastResult = result;
+    state.lastReplay = buildReplay(state.session, {
+        label: getModeLabel(),
+        settings: getRunSettings(),
+        codeLanguage: state.testMode === 'code' ? state.codeLanguage : null,
+        result
+    });
+    const metrics = computeRunMetrics(result);
+
+    DOM.finalWpm.textContent = result.wpm;
+    DOM.finalAccuracy.textContent = result.accuracy;
+    DOM.finalChars.textContent = result.totalChars;
+    DOM.rawWpm.textContent = result.rawWpm;
+    DOM.correctCharsDisplay.textContent = result.correctChars;
+    DOM.incorrectCharsDisplay.textContent = result.incorrectChars;
+    DOM.correctedErrors.textContent = result.correctedErrors;
+    DOM.uncorrectedErrors.textContent = result.uncorrectedErrors;
+    DOM.consistency.textContent = metrics.consistency === null ? '—' : `${metrics.consistency}%`;
+    DOM.burstWpm.textContent = metrics.burstWpm;
+    DOM.trueAccuracy.textContent = `${metrics.errorCorrectedAccuracy}%`;
+    DOM.correctionTime.textContent = metrics.avgCorrectionMs === null
+        ? '—'
+        : `${(metrics.avgCorrectionMs / 1000).toFixed(1)}s`;
+    DOM.finalTime.textContent = Math.round(result.elapsed);
+    DOM.finalMode.textContent = getModeLabel();
+
+    // Synthetic or inhuman input never reaches history or PB ghosts
+    const validation = validateKeystrokeLog(state.session.state.inputLog);
+    renderValidation(validation);
+
+    if (validation.status !== VALIDATION_STATUS.rejected) {
+        saveValidatedRun(result, metrics, validation);
     }
-
-    const elapsedMinutes = totalSeconds / 60;
-    const finalWPM = elapsedMinutes > 0
-        ? Math.round((state.correctChars / 5) / elapsedMinutes)
-        : 0;
-    const finalAccuracy = state.totalKeysPressed > 0
-        ? Math.round((state.correctChars / state.totalKeysPressed) * 100)
-        : 100;
-    const rawWPM = elapsedMinutes > 0
-        ? Math.round(((state.correctChars + state.incorrectChars) / 5) / elapsedMinutes)
-        : 0;
-
-    DOM.finalWpm.textContent = finalWPM;
-    DOM.finalAccuracy.textContent = finalAccuracy;
-    DOM.finalChars.textContent = state.correctChars + state.incorrectChars;
-    DOM.rawWpm.textContent = rawWPM;
-    DOM.correctCharsDisplay.textContent = state.correctChars;
-    DOM.incorrectCharsDisplay.textContent = state.incorrectChars;
-    DOM.finalTime.textContent = Math.round(totalSeconds);
+    reportRaceFinish(result, state.lastReplay);
+    recordTrainingRun(result, validation);
+    submitLeaderboardRun(validation);
 
     drawPerformanceGraph();
+    renderKeystrokeAnalysis(result.keystrokes);
+    renderFingerStats(result.keystrokes);
     showResults();
 
-    console.log(`✅ Complete | WPM: ${finalWPM} | Acc: ${finalAccuracy}%`);
+    console.log(`✅ Complete | WPM: ${result.wpm} | Acc: ${result.accuracy}% | ${validation.status}`);
+}
+
+function saveValidatedRun(result, metrics, validation) {
+    const flagged = validation.status === VALIDATION_STATUS.flagged;
+    const run = saveRun({
+        ...getRunSettings(),
+        seed: state.textSeed,
+        weakness: state.textWeakness,
+        layout: getLayoutName(),
+        textSource: state.textSource,
+        elapsed: Math.round(result.elapsed * 10) / 10,
+        wpm: result.wpm,
+        rawWpm: result.rawWpm,
+        accuracy: result.accuracy,
+        correctChars: result.correctChars,
+        incorrectChars: result.incorrectChars,
+        correctedErrors: result.correctedErrors,
+        uncorrectedErrors: result.uncorrectedErrors,
+        consistency: metrics.consistency,
+        burstWpm: metrics.burstWpm,
+        errorCorrectedAccuracy: metrics.errorCorrectedAccuracy,
+        avgCorrectionMs: metrics.avgCorrectionMs,
+        performanceData: result.performanceData,
+        keyStats: pickWorstStats(computeKeyStats(result.keystrokes), 60),
+        bigramStats: pickWorstStats(computeBigramStats(result.keystrokes), 40),
+        flagged: flagged ? describeValidation(validation) : null
+    });
+
+    if (!run) {
+        DOM.finalValidation.textContent = [DOM.finalValidation.textContent, 'Not saved: browser storage is full']
+            .filter(Boolean)
+            .join(' · ');
+        DOM.finalValidation.classList.add('rejected');
+        return;
+    }
+
+    if (!flagged) {
+        saveGhostIfBest(run, state.lastReplay);
+    }
+}
+
+function renderValidation(validation) {
+    const labels = { flagged: 'Flagged', rejected: 'Rejected, not saved' };
+
+    DOM.finalValidation.textContent = validation.status === VALIDATION_STATUS.ok
+        ? ''
+        : `${labels[validation.status]}: ${describeValidation(validation)}`;
+    DOM.finalValidation.classList.toggle('rejected', validation.status === VALIDATION_STATUS.rejected);
 }
 
 // ========================================
-// PERFORMANCE GRAPH (Glass Style)
+// CANVAS (Glass Style)
 // ========================================
-function drawPerformanceGraph() {
-    const canvas = DOM.performanceGraph;
+function prepareCanvas(canvas, height) {
     const ctx = canvas.getContext('2d');
 
     const dpr = window.devicePixelRatio || 1;
     const rect = canvas.parentElement.getBoundingClientRect();
     canvas.width = rect.width * dpr;
-    canvas.height = 120 * dpr;
+    canvas.height = height * dpr;
     canvas.style.width = `${rect.width}px`;
-    canvas.style.height = '120px';
+    canvas.style.height = `${height}px`;
     ctx.scale(dpr, dpr);
 
-    const width = rect.width;
-    const height = 120;
-    const padding = { top: 15, right: 15, bottom: 25, left: 35 };
-    const graphWidth = width - padding.left - padding.right;
-    const graphHeight = height - padding.top - padding.bottom;
-
-    ctx.clearRect(0, 0, width, height);
-
-    if (state.performanceData.length < 2) {
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-        ctx.font = '12px JetBrains Mono';
-        ctx.textAlign = 'center';
-        ctx.fillText('Not enough data', width / 2, height / 2);
-        return;
-    }
-
-    const maxWPM = Math.max(...state.performanceData.map(d => d.wpm), 50);
-    const maxTime = state.performanceData[state.performanceData.length - 1].second;
-
-    // Draw subtle grid
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
-    ctx.lineWidth = 1;
-
-    for (let i = 0; i <= 4; i++) {
-        const y = padding.top + (graphHeight / 4) * i;
-        ctx.beginPath();
-        ctx.moveTo(padding.left, y);
-        ctx.lineTo(width - padding.right, y);
-        ctx.stroke();
-
-        const wpmValue = Math.round(maxWPM - (maxWPM / 4) * i);
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.font = '9px JetBrains Mono';
-        ctx.textAlign = 'right';
-        ctx.fillText(wpmValue.toString(), padding.left - 5, y + 3);
-    }
-
-    // X-axis labels
-    ctx.textAlign = 'center';
-    const timeStep = Math.ceil(maxTime / 5);
-    for (let t = 0; t <= maxTime; t += timeStep) {
-        const x = padding.left + (t / maxTime) * graphWidth;
-        ctx.fillText(`${t}s`, x, height - 8);
-    }
-
-    // Draw WPM line with glow
-    ctx.shadowColor = '#22d3ee';
-    ctx.shadowBlur = 10;
-    ctx.strokeStyle = '#22d3ee';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    state.performanceData.forEach((point, index) => {
-        const x = padding.left + (point.second / maxTime) * graphWidth;
-        const y = padding.top + (1 - point.wpm / maxWPM) * graphHeight;
-
-        if (index === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
-        }
-    });
-    ctx.stroke();
-    ctx.shadowBlur = 0;
-
-    // Draw Accuracy line
-    ctx.strokeStyle = '#a855f7';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    state.performanceData.forEach((point, index) => {
-        const x = padding.left + (point.second / maxTime) * graphWidth;
-        const y = padding.top + (1 - point.accuracy / 100) * graphHeight;
-
-        if (index === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
-        }
-    });
-    ctx.stroke();
+    return { ctx, width: rect.width, height };
 }
 
 // ========================================
 // SHOW/HIDE RESULTS
 // ========================================
 function showResults() {
-    DOM.resultsOverlay.classList.add('show');
+    openDialog(DOM.resultsOverlay);
 }
 
 function hideResults() {
-    DOM.resultsOverlay.classList.remove('show');
+    closeDialog(DOM.resultsOverlay);
 }
 
 // ========================================
@@ -602,41 +916,51 @@ function hideResults() {
 // ========================================
 function restartTest() {
     stopTimers();
-
-    state.activeIndex = 0;
-    state.startTime = null;
-    state.correctChars = 0;
-    state.incorrectChars = 0;
-    state.totalKeysPressed = 0;
-    state.isFinished = false;
-    state.isStarted = false;
-    state.remainingTime = state.testDuration;
-    state.performanceData = [];
-    state.lastRecordedSecond = 0;
+    stopReplay();
+    prepareGhost();
+    clearSessionSnapshot();
 
     DOM.wpmDisplay.textContent = '0';
     DOM.accuracyDisplay.textContent = '100';
-    DOM.timeDisplay.textContent = state.testDuration;
+    resetTimeDisplay();
 
     DOM.glassCard.classList.remove('velocity-active');
 
     generateText();
-    generateCharacterSpans();
+    createSession();
+    renderTestText();
 
     requestAnimationFrame(updateCursorPosition);
+    focusTextInput();
 
     console.log('🔄 Test restarted');
 }
 
+// ========================================
+// HELPERS
+// ========================================
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // ========================================
 // WINDOW RESIZE HANDLER
 // ========================================
 window.addEventListener('resize', () => {
+    refreshTextLayout();
     requestAnimationFrame(updateCursorPosition);
 
     if (DOM.resultsOverlay.classList.contains('show')) {
         drawPerformanceGraph();
     }
+
+    if (DOM.historyOverlay.classList.contains('show')) {
+        renderHistory();
+    }
 });
 
 // ========================================
@@ -0,0 +1,260 @@
+/**
+ * ========================================
+ * GHOST RACER - GLASS HUD
+ * Race a translucent cursor replaying your
+ * personal best or an imported replay
+ * ========================================
+ */
+
+// ========================================
+// GHOST CONFIG
+// ========================================
+const GHOST_STORAGE_KEY = 'glass-hud.ghosts';
+const GHOST_ENABLED_KEY = 'glass-hud.ghosts.enabled';
+
+const ghostState = {
+    enabled: false,
+    race: null,
+    ghost: null,
+    frame: null
+};
+
+// ========================================
+// TIMELINE
+// ========================================
+/**
+ * Simulates a replay headlessly and records where its cursor
+ * was after every event: [[msOffset, activeIndex], ...]
+ */
+function buildGhostTimeline(replay) {
+    const session = createTypingSession(getReplaySessionOptions(replay));
+    const timeline = [[0, 0]];
+
+    replay.events.forEach(([time, key]) => {
+        if (session.state.isFinished) return;
+
+        if (key === REPLAY_BACKSPACE) {
+            session.backspace(time);
+        } else {
+            session.input(key, time);
+        }
+        timeline.push([time, session.state.activeIndex]);
+    });
+
+    return timeline;
+}
+
+function getGhostIndexAt(timeline, elapsed) {
+    let index = 0;
+    for (let i = 0; i < timeline.length && timeline[i][0] <= elapsed; i++) {
+        index = timeline[i][1];
+    }
+    return index;
+}
+
+// When the ghost first reached `index`, or null if it never did
+function getGhostTimeAt(timeline, index) {
+    const entry = timeline.find(([, activeIndex]) => activeIndex >= index);
+    return entry ? entry[0] : null;
+}
+
+// Replays from before modes were recorded fall back on their duration
+function getReplaySettings(replay) {
+    return {
+        mode: replay.mode || (replay.duration ? 'time' : 'quote'),
+        duration: replay.duration,
+        wordCount: replay.wordCount,
+        language: replay.codeLanguage,
+        lesson: replay.lesson
+    };
+}
+
+// ========================================
+// STORAGE
+// ========================================
+function loadGhosts() {
+    try {
+        const raw = localStorage.getItem(GHOST_STORAGE_KEY);
+        const ghosts = raw ? JSON.parse(raw) : {};
+        return ghosts && typeof ghosts === 'object' ? ghosts : {};
+    } catch (err) {
+        console.warn('⚠️ Ghosts unreadable, starting fresh', err);
+        return {};
+    }
+}
+
+function saveGhosts(ghosts) {
+    try {
+        localStorage.setItem(GHOST_STORAGE_KEY, JSON.stringify(ghosts));
+    } catch (err) {
+        console.warn('⚠️ Ghosts could not be saved', err);
+    }
+}
+
+/**
+ * Keeps the replay as the category's ghost when it beats the
+ * stored one on WPM (accuracy breaks ties).
+ */
+function saveGhostIfBest(run, replay) {
+    if (!run || !replay || !replay.result) return false;
+
+    const category = getRunCategory(run);
+    const ghosts = loadGhosts();
+    const current = ghosts[category];
+
+    if (current && current.result) {
+        const { wpm, accuracy } = current.result;
+        if (replay.result.wpm < wpm || (replay.result.wpm === wpm && replay.result.accuracy <= accuracy)) {
+            return false;
+        }
+    }
+
+    ghosts[category] = replay;
+    saveGhosts(ghosts);
+    return true;
+}
+
+// ========================================
+// GHOST VIEW
+// ========================================
+function initGhost() {
+    DOM.ghostCursor = document.getElementById('ghost-cursor');
+    DOM.ghostToggle = document.getElementById('ghost-toggle');
+    DOM.ghostPill = document.getElementById('ghost-pill');
+    DOM.ghostLead = document.getElementById('ghost-lead');
+    DOM.ghostLeadMs = document.getElementById('ghost-lead-ms');
+    DOM.ghostImportInput = document.getElementById('ghost-import-input');
+
+    ghostState.enabled = localStorage.getItem(GHOST_ENABLED_KEY) === 'true';
+    renderGhostToggle();
+
+    DOM.ghostToggle.addEventListener('click', () => {
+        ghostState.enabled = !ghostState.enabled && !ghostState.race;
+        ghostState.race = null;
+        localStorage.setItem(GHOST_ENABLED_KEY, ghostState.enabled);
+        renderGhostToggle();
+        restartTest();
+    });
+    DOM.ghostImportInput.addEventListener('change', handleGhostImport);
+}
+
+function renderGhostToggle() {
+    const active = ghostState.enabled || ghostState.race !== null;
+    DOM.ghostToggle.classList.toggle('active', active);
+    DOM.ghostToggle.setAttribute('aria-pressed', active);
+}
+
+function handleGhostImport() {
+    const file = DOM.ghostImportInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const replay = validateReplay(JSON.parse(reader.result));
+            hideHistory();
+            startGhostRace(replay);
+        } catch (err) {
+            setHistoryStatus(`Replay import failed: ${err.message}`);
+        }
+    };
+    reader.readAsText(file);
+
+    DOM.ghostImportInput.value = '';
+}
+
+/**
+ * Races an imported replay on its own text and settings. The race
+ * lasts until the mode or settings change or the ghost is toggled off.
+ */
+function startGhostRace(replay) {
+    const settings = getReplaySettings(replay);
+
+    ghostState.race = { replay, category: getRunCategory(settings) };
+    applyRunSettings(settings);
+
+    state.skipIndentation = Boolean(replay.skipIndentation);
+    DOM.skipIndentToggle.classList.toggle('active', state.skipIndentation);
+    DOM.skipIndentToggle.setAttribute('aria-pressed', state.skipIndentation);
+
+    renderGhostToggle();
+    restartTest();
+
+    console.log('👻 Racing replay:', replay.label);
+}
+
+/**
+ * Picks the ghost for the upcoming run. Called before text is
+ * generated so a replay race can supply its own text.
+ */
+function prepareGhost() {
+    stopGhost();
+    hideGhost();
+    ghostState.ghost = null;
+
+    const category = getRunCategory(getRunSettings());
+
+    // Switching mode or settings ends a replay race
+    if (ghostState.race && ghostState.race.category !== category) {
+        ghostState.race = null;
+        renderGhostToggle();
+    }
+
+    const replay = ghostState.race
+        ? ghostState.race.replay
+        : ghostState.enabled && loadGhosts()[category];
+    if (!replay) return;
+
+    ghostState.ghost = { label: replay.label, timeline: buildGhostTimeline(replay) };
+    renderGhostLead(0, null);
+    DOM.ghostPill.hidden = false;
+}
+
+function getGhostText() {
+    return ghostState.race ? ghostState.race.replay.text : null;
+}
+
+function hideGhost() {
+    DOM.ghostCursor.hidden = true;
+    DOM.ghostPill.hidden = true;
+}
+
+// ========================================
+// RACE LOOP
+// ========================================
+function startGhost() {
+    if (!ghostState.ghost) return;
+
+    DOM.ghostCursor.hidden = false;
+    ghostState.frame = requestAnimationFrame(ghostFrame);
+}
+
+function stopGhost() {
+    cancelAnimationFrame(ghostState.frame);
+    ghostState.frame = null;
+}
+
+function ghostFrame() {
+    const { timeline } = ghostState.ghost;
+    const { activeIndex } = state.session.state;
+    // From the session clock, which leaves out paused time
+    const elapsed = state.session.getMetrics(performance.now()).elapsed * 1000;
+
+    const ghostIndex = getGhostIndexAt(timeline, elapsed);
+    positionCursor(DOM.ghostCursor, ghostIndex);
+
+    // Positive means ahead: the ghost reaches (or reached) your spot later than now
+    const ghostTime = getGhostTimeAt(timeline, activeIndex);
+    renderGhostLead(activeIndex - ghostIndex, ghostTime === null ? null : ghostTime - elapsed);
+
+    ghostState.frame = requestAnimationFrame(ghostFrame);
+}
+
+function renderGhostLead(chars, ms) {
+    const sign = value => (value > 0 ? '+' : '');
+
+    DOM.ghostLead.textContent = `${sign(chars)}${chars}`;
+    DOM.ghostLeadMs.textContent = ms === null ? '—' : `${sign(ms)}${(ms / 1000).toFixed(1)}s`;
+    DOM.ghostPill.classList.toggle('ahead', chars > 0);
+    DOM.ghostPill.classList.toggle('behind', chars < 0);
+}
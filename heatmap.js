@@ -0,0 +1,86 @@
+/**
+ * ========================================
+ * KEY HEATMAP - GLASS HUD
+ * On-screen keyboard of error rates plus
+ * slowest keys and worst bigrams
+ * ========================================
+ */
+
+// ========================================
+// HEATMAP CONFIG
+// ========================================
+// Error rate at which a key is drawn at full heat
+const HEAT_CEILING = 0.25;
+
+// ========================================
+// INITIALIZATION
+// ========================================
+function initHeatmap() {
+    DOM.keyHeatmap = document.getElementById('key-heatmap');
+    DOM.slowestKeys = document.getElementById('slowest-keys');
+    DOM.worstBigrams = document.getElementById('worst-bigrams');
+}
+
+// ========================================
+// RENDER
+// ========================================
+function renderKeystrokeAnalysis(keystrokes) {
+    const keyStats = computeKeyStats(keystrokes);
+    const slowest = rankSlowestKeys(keyStats);
+    const slowKeys = new Set(slowest.map(entry => entry.key));
+
+    renderKeyboard(keyStats, slowKeys);
+    renderRankedList(DOM.slowestKeys, slowest, entry =>
+        `<kbd>${keyLabel(entry.key)}</kbd> ${Math.round(entry.avgLatency)}ms`);
+    renderRankedList(DOM.worstBigrams, rankWorstBigrams(computeBigramStats(keystrokes)), entry =>
+        `<kbd>${keyLabel(entry.key)}</kbd> ${Math.round(entry.errorRate * 100)}% · ${formatLatency(entry.avgLatency)}`);
+}
+
+function renderKeyboard(keyStats, slowKeys) {
+    // Drawn in the emulated layout (see keyboard.js) so keys sit where they're typed
+    const rows = getActiveKeyMap().layout.rows.map(row => [...row]);
+    rows.push([' ']);
+
+    DOM.keyHeatmap.innerHTML = rows.map(row => `
+        <div class="heat-row">
+            ${row.map(key => renderKey(key, keyStats[key], slowKeys.has(key))).join('')}
+        </div>
+    `).join('');
+}
+
+function renderKey(key, stats, isSlow) {
+    const classes = ['heat-key'];
+    if (key === ' ') classes.push('heat-space');
+    if (isSlow) classes.push('slow');
+
+    if (!stats) {
+        classes.push('unused');
+        return `<span class="${classes.join(' ')}">${keyLabel(key)}</span>`;
+    }
+
+    const heat = Math.min(1, stats.errorRate / HEAT_CEILING).toFixed(2);
+    const title = `${key === ' ' ? 'space' : key} · ${stats.attempts} typed · ` +
+        `${Math.round(stats.errorRate * 100)}% errors · ${formatLatency(stats.avgLatency)}`;
+
+    return `<span class="${classes.join(' ')}" style="--heat: ${heat}" title="${escapeHtml(title)}">${keyLabel(key)}</span>`;
+}
+
+function renderRankedList(listElement, entries, format) {
+    if (entries.length === 0) {
+        listElement.innerHTML = '<li class="history-empty">Not enough data</li>';
+        return;
+    }
+
+    listElement.innerHTML = entries.map(entry => `<li>${format(entry)}</li>`).join('');
+}
+
+// ========================================
+// HELPERS
+// ========================================
+function formatLatency(latency) {
+    return latency === null ? '–' : `${Math.round(latency)}ms`;
+}
+
+function keyLabel(key) {
+    return escapeHtml(key === ' ' ? '␣' : key);
+}
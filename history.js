@@ -0,0 +1,500 @@
+/**
+ * ========================================
+ * RUN HISTORY - GLASS HUD
+ * Local persistence of completed runs,
+ * personal bests and trend analytics
+ * ========================================
+ */
+
+// ========================================
+// HISTORY CONFIG
+// ========================================
+const HISTORY_STORAGE_KEY = 'glass-hud.history';
+const HISTORY_EXPORT_VERSION = 1;
+const HISTORY_MAX_RUNS = 500;
+const ROLLING_WINDOW = 10;
+const STATS_RUN_WINDOW = 10;
+// Bulky per-run detail that is dropped from old runs when storage fills up
+const RUN_DETAIL_FIELDS = ['performanceData', 'keyStats', 'bigramStats', 'weakness'];
+// Shape of ids from createRunId: base-36 timestamp, dash, random suffix
+const RUN_ID_PATTERN = /^[0-9a-z]+-[0-9a-z]{1,6}$/;
+
+const historyView = {
+    filter: 'all'
+};
+
+// ========================================
+// STORAGE
+// ========================================
+function loadHistory() {
+    try {
+        const raw = localStorage.getItem(HISTORY_STORAGE_KEY);
+        const runs = raw ? JSON.parse(raw) : [];
+        return Array.isArray(runs) ? runs.filter(isValidRun) : [];
+    } catch (err) {
+        console.warn('⚠️ Run history unreadable, starting fresh', err);
+        return [];
+    }
+}
+
+/**
+ * Saves the newest runs, shedding the oldest detail when storage is
+ * full. Returns whether anything could be saved.
+ */
+function saveHistory(runs) {
+    let kept = runs.slice(-HISTORY_MAX_RUNS);
+
+    for (;;) {
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+            return true;
+        } catch (err) {
+            if (!isQuotaError(err) || kept.length === 0) {
+                console.warn('⚠️ Run history could not be saved', err);
+                return false;
+            }
+            kept = shrinkHistory(kept);
+            console.warn(`⚠️ Storage full, trimmed run history to ${kept.length} runs`);
+        }
+    }
+}
+
+// Firefox before 60 used its own name for it
+function isQuotaError(err) {
+    return err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+// Per-second graphs and key stats go first, oldest half at a time, then the oldest runs
+function shrinkHistory(runs) {
+    const firstDetailed = runs.findIndex(hasRunDetail);
+
+    if (firstDetailed === -1) {
+        return runs.slice(Math.ceil(runs.length / 4));
+    }
+
+    const end = firstDetailed + Math.ceil((runs.length - firstDetailed) / 2);
+    return runs.map((run, index) => index < end ? stripRunDetail(run) : run);
+}
+
+function hasRunDetail(run) {
+    return RUN_DETAIL_FIELDS.some(field => run[field] != null);
+}
+
+function stripRunDetail(run) {
+    const stripped = { ...run };
+    RUN_DETAIL_FIELDS.forEach(field => delete stripped[field]);
+    return stripped;
+}
+
+function isValidRun(run) {
+    return Boolean(run) &&
+        typeof run.id === 'string' &&
+        RUN_ID_PATTERN.test(run.id) &&
+        Number.isFinite(run.timestamp) &&
+        (run.duration === null || Number.isFinite(run.duration)) &&
+        (run.wordCount == null || Number.isFinite(run.wordCount)) &&
+        (run.language == null || Object.hasOwn(CODE_LANGUAGES, run.language)) &&
+        (run.lesson == null || Boolean(getLesson(run.lesson))) &&
+        (run.flagged == null || typeof run.flagged === 'string') &&
+        Number.isFinite(run.wpm) &&
+        Number.isFinite(run.accuracy);
+}
+
+function createRunId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ========================================
+// RUN RECORDS
+// ========================================
+function saveRun(result) {
+    const run = {
+        id: createRunId(),
+        timestamp: Date.now(),
+        ...result
+    };
+
+    const runs = loadHistory();
+    runs.push(run);
+
+    return saveHistory(runs) ? run : null;
+}
+
+function deleteRun(id) {
+    return saveHistory(loadHistory().filter(run => run.id !== id));
+}
+
+// ========================================
+// ANALYTICS
+// ========================================
+// Runs are only comparable within the same mode and length.
+// Records saved before modes existed are timed runs.
+function getRunCategory(run) {
+    switch (run.mode) {
+        case 'words':
+            return `${run.wordCount} words`;
+        case 'adaptive':
+            return `adaptive ${run.wordCount}`;
+        case 'quote':
+            return 'quote';
+        case 'code':
+            return `code ${run.language}`;
+        case 'lesson':
+            return `lesson ${run.lesson}`;
+        default:
+            return `${run.duration}s`;
+    }
+}
+
+function compareCategories(a, b) {
+    const rank = category => {
+        if (category === 'quote') return [2, 0];
+        if (category.startsWith('adaptive')) return [3, parseInt(category.slice(9))];
+        if (category.startsWith('code')) return [4, 0];
+        if (category.startsWith('lesson')) return [5, LESSONS.findIndex(lesson => category === `lesson ${lesson.id}`)];
+        if (category.endsWith('words')) return [1, parseInt(category)];
+        return [0, parseInt(category)];
+    };
+    const [modeA, sizeA] = rank(a);
+    const [modeB, sizeB] = rank(b);
+    return modeA - modeB || sizeA - sizeB;
+}
+
+function getPersonalBests(runs) {
+    const bests = {};
+
+    runs.forEach(run => {
+        // Runs the validator flagged don't count as bests
+        if (run.flagged) return;
+
+        const category = getRunCategory(run);
+        const best = bests[category];
+        if (!best || run.wpm > best.wpm || (run.wpm === best.wpm && run.accuracy > best.accuracy)) {
+            bests[category] = run;
+        }
+    });
+
+    return Object.keys(bests)
+        .sort(compareCategories)
+        .map(category => bests[category]);
+}
+
+function getRollingAverages(runs, windowSize = ROLLING_WINDOW) {
+    return runs.map((run, index) => {
+        const recent = runs.slice(Math.max(0, index - windowSize + 1), index + 1);
+        return {
+            wpm: recent.reduce((sum, r) => sum + r.wpm, 0) / recent.length,
+            accuracy: recent.reduce((sum, r) => sum + r.accuracy, 0) / recent.length
+        };
+    });
+}
+
+/**
+ * Key and bigram stats merged across the most recent runs,
+ * used to weight adaptive practice text.
+ */
+function getRecentKeystrokeStats(runCount = STATS_RUN_WINDOW) {
+    const recent = loadHistory()
+        .filter(run => run.keyStats)
+        .slice(-runCount);
+
+    return {
+        keyStats: mergeStats(recent.map(run => run.keyStats)),
+        bigramStats: mergeStats(recent.map(run => run.bigramStats || {}))
+    };
+}
+
+/**
+ * Weakness profile the latest adaptive run with this seed was drawn
+ * with, or null if there's no such run.
+ */
+function getSeedWeakness(seed) {
+    const match = loadHistory()
+        .reverse()
+        .find(run => run.mode === 'adaptive' && run.seed === seed && isValidWeakness(run.weakness));
+
+    return match ? match.weakness : null;
+}
+
+function filterRuns(runs, filter) {
+    if (filter === 'all') return runs;
+    return runs.filter(run => getRunCategory(run) === filter);
+}
+
+// ========================================
+// EXPORT / IMPORT
+// ========================================
+function exportHistory() {
+    const payload = {
+        version: HISTORY_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        runs: loadHistory()
+    };
+
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `typing-history-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    setHistoryStatus(`Exported ${payload.runs.length} runs`);
+}
+
+function importHistory(json) {
+    const parsed = JSON.parse(json);
+    const incoming = Array.isArray(parsed) ? parsed : parsed && parsed.runs;
+
+    if (!Array.isArray(incoming)) {
+        throw new Error('No runs found in file');
+    }
+
+    const runs = loadHistory();
+    const knownIds = new Set(runs.map(run => run.id));
+    const added = incoming.filter(run => isValidRun(run) && !knownIds.has(run.id));
+
+    runs.push(...added);
+    runs.sort((a, b) => a.timestamp - b.timestamp);
+    if (!saveHistory(runs)) {
+        throw new Error('Browser storage is full');
+    }
+
+    return added.length;
+}
+
+function handleHistoryImport() {
+    const file = DOM.historyImportInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const count = importHistory(reader.result);
+            setHistoryStatus(`Imported ${count} runs`);
+            renderHistory();
+        } catch (err) {
+            setHistoryStatus(`Import failed: ${err.message}`);
+        }
+    };
+    reader.readAsText(file);
+
+    DOM.historyImportInput.value = '';
+}
+
+// ========================================
+// HISTORY VIEW
+// ========================================
+function initHistory() {
+    DOM.historyBtn = document.getElementById('history-btn');
+    DOM.historyOverlay = document.getElementById('history-overlay');
+    DOM.historyFilters = document.getElementById('history-filters');
+    DOM.historyBests = document.getElementById('history-bests');
+    DOM.historyAverage = document.getElementById('history-average');
+    DOM.historyGraph = document.getElementById('history-graph');
+    DOM.historyList = document.getElementById('history-list');
+    DOM.historyStatus = document.getElementById('history-status');
+    DOM.historyExportBtn = document.getElementById('history-export-btn');
+    DOM.historyImportInput = document.getElementById('history-import-input');
+    DOM.historyCloseBtn = document.getElementById('history-close-btn');
+
+    DOM.historyBtn.addEventListener('click', showHistory);
+    DOM.historyCloseBtn.addEventListener('click', hideHistory);
+    DOM.historyExportBtn.addEventListener('click', exportHistory);
+    DOM.historyImportInput.addEventListener('change', handleHistoryImport);
+
+    DOM.historyFilters.addEventListener('click', (e) => {
+        const pill = e.target.closest('.timer-pill');
+        if (!pill) return;
+        historyView.filter = pill.dataset.filter;
+        renderHistory();
+    });
+
+    DOM.historyList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-delete]');
+        if (!btn) return;
+        setHistoryStatus(deleteRun(btn.dataset.delete) ? 'Run deleted' : 'Run could not be deleted');
+        renderHistory();
+    });
+
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && DOM.historyOverlay.classList.contains('show')) {
+            hideHistory();
+        }
+    });
+}
+
+function showHistory() {
+    setHistoryStatus('');
+    openPanel(DOM.historyOverlay);
+    renderHistory();
+}
+
+function hideHistory() {
+    closeDialog(DOM.historyOverlay);
+}
+
+function setHistoryStatus(message) {
+    DOM.historyStatus.textContent = message;
+}
+
+function renderHistory() {
+    const allRuns = loadHistory();
+    const categories = [...new Set(allRuns.map(getRunCategory))].sort(compareCategories);
+
+    if (historyView.filter !== 'all' && !categories.includes(historyView.filter)) {
+        historyView.filter = 'all';
+    }
+
+    const runs = filterRuns(allRuns, historyView.filter);
+
+    renderHistoryFilters(categories);
+    renderPersonalBests(allRuns);
+    renderRollingAverage(runs);
+    renderRunList(runs);
+    drawHistoryGraph(runs);
+}
+
+function renderHistoryFilters(categories) {
+    const filters = ['all', ...categories];
+
+    DOM.historyFilters.innerHTML = filters.map(filter => `
+        <button class="timer-pill${filter === historyView.filter ? ' active' : ''}" data-filter="${escapeHtml(filter)}">
+            ${filter === 'all' ? 'All' : escapeHtml(filter)}
+        </button>
+    `).join('');
+}
+
+function renderPersonalBests(runs) {
+    const bests = getPersonalBests(runs);
+
+    if (bests.length === 0) {
+        DOM.historyBests.innerHTML = '<p class="history-empty">No runs yet</p>';
+        return;
+    }
+
+    DOM.historyBests.innerHTML = bests.map(run => `
+        <div class="stat-cell">
+            <span class="stat-num correct-glow">${run.wpm}</span>
+            <span class="stat-lbl">${escapeHtml(getRunCategory(run))} best · ${run.accuracy}%</span>
+        </div>
+    `).join('');
+}
+
+function renderRollingAverage(runs) {
+    if (runs.length === 0) {
+        DOM.historyAverage.textContent = '';
+        return;
+    }
+
+    const latest = getRollingAverages(runs).pop();
+    const count = Math.min(runs.length, ROLLING_WINDOW);
+    DOM.historyAverage.textContent =
+        `Last ${count} avg: ${Math.round(latest.wpm)} WPM · ${Math.round(latest.accuracy)}% ACC`;
+}
+
+function renderRunList(runs) {
+    DOM.historyList.innerHTML = runs.slice().reverse().map(run => `
+        <li class="history-row">
+            <span class="history-date">${new Date(run.timestamp).toLocaleString()}</span>
+            <span>${escapeHtml(getRunCategory(run))}</span>
+            <span class="history-wpm"${run.flagged ? ` title="Flagged: ${escapeHtml(run.flagged)}"` : ''}>${run.flagged ? '⚑ ' : ''}${run.wpm} WPM</span>
+            <span>${run.accuracy}%</span>
+            <button class="history-delete" data-delete="${escapeHtml(run.id)}" aria-label="Delete run">✕</button>
+        </li>
+    `).join('');
+}
+
+// ========================================
+// TREND GRAPH (Glass Style)
+// ========================================
+function drawHistoryGraph(runs) {
+    const { ctx, width, height } = prepareCanvas(DOM.historyGraph, 140);
+    const padding = { top: 15, right: 15, bottom: 25, left: 35 };
+    const graphWidth = width - padding.left - padding.right;
+    const graphHeight = height - padding.top - padding.bottom;
+
+    ctx.clearRect(0, 0, width, height);
+
+    if (runs.length < 2) {
+        ctx.fillStyle = getThemeColor('fg', 0.2);
+        ctx.font = '12px JetBrains Mono';
+        ctx.textAlign = 'center';
+        ctx.fillText('Complete more runs to see a trend', width / 2, height / 2);
+        return;
+    }
+
+    const averages = getRollingAverages(runs);
+    const maxWPM = Math.max(...runs.map(run => run.wpm), 50);
+    const lastIndex = runs.length - 1;
+    const xFor = index => padding.left + (index / lastIndex) * graphWidth;
+    const yFor = wpm => padding.top + (1 - wpm / maxWPM) * graphHeight;
+
+    // Draw subtle grid
+    ctx.strokeStyle = getThemeColor('fg', 0.05);
+    ctx.lineWidth = 1;
+
+    for (let i = 0; i <= 4; i++) {
+        const y = padding.top + (graphHeight / 4) * i;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y);
+        ctx.lineTo(width - padding.right, y);
+        ctx.stroke();
+
+        const wpmValue = Math.round(maxWPM - (maxWPM / 4) * i);
+        ctx.fillStyle = getThemeColor('fg', 0.3);
+        ctx.font = '9px JetBrains Mono';
+        ctx.textAlign = 'right';
+        ctx.fillText(wpmValue.toString(), padding.left - 5, y + 3);
+    }
+
+    // X-axis labels (run number)
+    ctx.textAlign = 'center';
+    const runStep = Math.max(1, Math.ceil(lastIndex / 5));
+    for (let i = 0; i <= lastIndex; i += runStep) {
+        ctx.fillText(`#${i + 1}`, xFor(i), height - 8);
+    }
+
+    // Per-run WPM points
+    ctx.fillStyle = getThemeColor('accent-cyan', 0.5);
+    runs.forEach((run, index) => {
+        ctx.beginPath();
+        ctx.arc(xFor(index), yFor(run.wpm), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    // Rolling average line with glow
+    ctx.shadowColor = getThemeColor('accent-cyan');
+    ctx.shadowBlur = 10;
+    ctx.strokeStyle = getThemeColor('accent-cyan');
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    averages.forEach((avg, index) => {
+        const x = xFor(index);
+        const y = yFor(avg.wpm);
+
+        if (index === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+
+    // Rolling accuracy line
+    ctx.strokeStyle = getThemeColor('accent-purple');
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    averages.forEach((avg, index) => {
+        const x = xFor(index);
+        const y = padding.top + (1 - avg.accuracy / 100) * graphHeight;
+
+        if (index === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+    ctx.stroke();
+}
@@ -0,0 +1,217 @@
+/**
+ * ========================================
+ * KEYBOARD LAYOUTS - HEADLESS
+ * Physical-key maps for layout emulation
+ * plus per-finger and row usage stats
+ * ========================================
+ *
+ * Layouts are four rows of characters laid over the physical
+ * ANSI keys (KeyboardEvent.code), number row first. Custom
+ * layouts use the same shape as JSON:
+ *
+ *   { "name": "mine", "rows": ["`1234567890-=", "qwertyuiop[]\\", "asdfghjkl;'", "zxcvbnm,./"],
+ *     "shiftRows": [...] }
+ *
+ * shiftRows is optional: letters uppercase, anything else takes
+ * the QWERTY shifted symbol at that position.
+ */
+
+// ========================================
+// PHYSICAL KEYS
+// ========================================
+const PHYSICAL_ROWS = [
+    ['Backquote', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6',
+        'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'],
+    ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU',
+        'KeyI', 'KeyO', 'KeyP', 'BracketLeft', 'BracketRight', 'Backslash'],
+    ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ',
+        'KeyK', 'KeyL', 'Semicolon', 'Quote'],
+    ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM',
+        'Comma', 'Period', 'Slash']
+];
+
+const ROW_NAMES = ['number', 'top', 'home', 'bottom'];
+
+// Touch-typing finger per column; the number row is shifted one column left
+const COLUMN_FINGERS = ['lp', 'lr', 'lm', 'li', 'li', 'ri', 'ri', 'rm', 'rr', 'rp', 'rp', 'rp', 'rp'];
+const NUMBER_ROW_FINGERS = ['lp', ...COLUMN_FINGERS.slice(0, -1)];
+
+const FINGER_NAMES = {
+    lp: 'L pinky',
+    lr: 'L ring',
+    lm: 'L middle',
+    li: 'L index',
+    th: 'Thumbs',
+    ri: 'R index',
+    rm: 'R middle',
+    rr: 'R ring',
+    rp: 'R pinky'
+};
+
+// ========================================
+// LAYOUTS
+// ========================================
+const QWERTY_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', "asdfghjkl;'", 'zxcvbnm,./'];
+const QWERTY_SHIFT_ROWS = ['~!@#$%^&*()_+', 'QWERTYUIOP{}|', 'ASDFGHJKL:"', 'ZXCVBNM<>?'];
+
+const LAYOUTS = {
+    qwerty: { name: 'qwerty', rows: QWERTY_ROWS, shiftRows: QWERTY_SHIFT_ROWS },
+    dvorak: {
+        name: 'dvorak',
+        rows: ['`1234567890[]', "',.pyfgcrl/=\\", 'aoeuidhtns-', ';qjkxbmwvz'],
+        shiftRows: ['~!@#$%^&*(){}', '"<>PYFGCRL?+|', 'AOEUIDHTNS_', ':QJKXBMWVZ']
+    },
+    colemak: {
+        name: 'colemak',
+        rows: [QWERTY_ROWS[0], 'qwfpgjluy;[]\\', "arstdhneio'", 'zxcvbkm,./'],
+        shiftRows: [QWERTY_SHIFT_ROWS[0], 'QWFPGJLUY:{}|', 'ARSTDHNEIO"', 'ZXCVBKM<>?']
+    },
+    workman: {
+        name: 'workman',
+        rows: [QWERTY_ROWS[0], 'qdrwbjfup;[]\\', "ashtgyneoi'", 'zxmcvkl,./'],
+        shiftRows: [QWERTY_SHIFT_ROWS[0], 'QDRWBJFUP:{}|', 'ASHTGYNEOI"', 'ZXMCVKL<>?']
+    }
+};
+
+function getFinger(rowIndex, column) {
+    return (rowIndex === 0 ? NUMBER_ROW_FINGERS : COLUMN_FINGERS)[column];
+}
+
+/**
+ * Flattens a layout into lookups both ways:
+ *   keys:  { code: { char, shiftChar, row, finger } }
+ *   chars: { char: { code, shift, row, finger } }
+ */
+function buildKeyMap(layout) {
+    const keys = {};
+    const chars = {};
+
+    PHYSICAL_ROWS.forEach((codes, rowIndex) => {
+        const row = [...layout.rows[rowIndex]];
+        const shiftRow = [...layout.shiftRows[rowIndex]];
+
+        codes.forEach((code, column) => {
+            const char = row[column];
+            if (char === undefined) return;
+
+            const key = {
+                char,
+                shiftChar: shiftRow[column] || char,
+                row: ROW_NAMES[rowIndex],
+                finger: getFinger(rowIndex, column)
+            };
+            keys[code] = key;
+
+            // First position wins if a custom layout repeats a character
+            if (!chars[key.char]) chars[key.char] = { code, shift: false, row: key.row, finger: key.finger };
+            if (!chars[key.shiftChar]) chars[key.shiftChar] = { code, shift: true, row: key.row, finger: key.finger };
+        });
+    });
+
+    chars[' '] = { code: 'Space', shift: false, row: 'space', finger: 'th' };
+    return { layout, keys, chars };
+}
+
+/**
+ * The character a physical key types under the layout, or null
+ * for keys the layout doesn't cover (space, enter, ...).
+ */
+function mapKeyCode(keyMap, code, shift = false, capsLock = false) {
+    const key = keyMap.keys[code];
+    if (!key) return null;
+
+    // Caps Lock only shifts letters
+    const shifted = capsLock && key.char.toLowerCase() !== key.char.toUpperCase() ? !shift : shift;
+    return shifted ? key.shiftChar : key.char;
+}
+
+// ========================================
+// CUSTOM LAYOUTS
+// ========================================
+function parseCustomLayout(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (!data || !Array.isArray(data.rows) || data.rows.length !== PHYSICAL_ROWS.length) {
+        throw new Error(`Layout needs "rows": ${PHYSICAL_ROWS.length} strings, number row first`);
+    }
+    data.rows.forEach((row, i) => {
+        if (typeof row !== 'string' || [...row].length > PHYSICAL_ROWS[i].length) {
+            throw new Error(`Row ${i + 1} must be a string of at most ${PHYSICAL_ROWS[i].length} keys`);
+        }
+    });
+
+    const shiftRows = data.rows.map((row, i) => {
+        const given = Array.isArray(data.shiftRows) && typeof data.shiftRows[i] === 'string'
+            ? [...data.shiftRows[i]]
+            : [];
+        const qwertyShift = [...QWERTY_SHIFT_ROWS[i]];
+
+        return [...row].map((char, column) => {
+            if (given[column]) return given[column];
+            return char.toLowerCase() !== char.toUpperCase() ? char.toUpperCase() : qwertyShift[column];
+        }).join('');
+    });
+
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim().slice(0, 24) : 'custom';
+    return { name, rows: data.rows.slice(), shiftRows, custom: true };
+}
+
+// ========================================
+// USAGE STATS
+// ========================================
+/**
+ * Which finger and row each expected character lands on under the
+ * layout. Shift presses aren't counted; characters the layout
+ * can't type (newlines, tabs) are tallied as unmapped.
+ */
+function computeFingerStats(keystrokes, keyMap) {
+    const fingers = {};
+    const rows = {};
+    let mapped = 0;
+    let unmapped = 0;
+
+    Object.keys(FINGER_NAMES).forEach(finger => {
+        fingers[finger] = { finger, presses: 0, errors: 0 };
+    });
+    [...ROW_NAMES, 'space'].forEach(row => {
+        rows[row] = { row, presses: 0 };
+    });
+
+    keystrokes.forEach(keystroke => {
+        const key = keyMap.chars[keystroke.expected];
+        if (!key) {
+            unmapped++;
+            return;
+        }
+
+        mapped++;
+        fingers[key.finger].presses++;
+        if (!keystroke.correct) fingers[key.finger].errors++;
+        rows[key.row].presses++;
+    });
+
+    const withShare = entry => ({ ...entry, share: mapped > 0 ? entry.presses / mapped : 0 });
+
+    return {
+        fingers: Object.values(fingers).map(withShare),
+        rows: Object.values(rows).map(withShare),
+        mapped,
+        unmapped
+    };
+}
+
+// ========================================
+// MODULE EXPORTS (Node / CommonJS)
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PHYSICAL_ROWS,
+        ROW_NAMES,
+        FINGER_NAMES,
+        LAYOUTS,
+        buildKeyMap,
+        mapKeyCode,
+        parseCustomLayout,
+        computeFingerStats
+    };
+}
@@ -0,0 +1,227 @@
+/**
+ * ========================================
+ * LAYOUT EMULATION - GLASS HUD
+ * Type Dvorak, Colemak, Workman or a custom
+ * layout on any OS layout, with an
+ * on-screen keyboard and finger stats
+ * ========================================
+ */
+
+// ========================================
+// LAYOUT CONFIG
+// ========================================
+const LAYOUT_SETTINGS_KEY = 'glass-hud.layout';
+
+// 'os' types whatever the OS layout sends (e.key); stats then assume QWERTY
+const OS_LAYOUT = 'os';
+
+const layoutState = {
+    name: OS_LAYOUT,
+    custom: null,
+    showKeyboard: false,
+    keyMap: buildKeyMap(LAYOUTS.qwerty)
+};
+
+function loadLayoutSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LAYOUT_SETTINGS_KEY)) || {};
+        layoutState.custom = saved.custom ? parseCustomLayout(saved.custom) : null;
+        layoutState.showKeyboard = saved.showKeyboard === true;
+        setLayout(saved.name || OS_LAYOUT);
+    } catch (err) {
+        console.warn('⚠️ Layout settings unreadable, using the OS layout', err);
+    }
+}
+
+function saveLayoutSettings() {
+    localStorage.setItem(LAYOUT_SETTINGS_KEY, JSON.stringify({
+        name: layoutState.name,
+        custom: layoutState.custom,
+        showKeyboard: layoutState.showKeyboard
+    }));
+}
+
+function setLayout(name) {
+    const layout = name === 'custom' ? layoutState.custom : LAYOUTS[name];
+
+    layoutState.name = layout ? name : OS_LAYOUT;
+    layoutState.keyMap = buildKeyMap(layout || LAYOUTS.qwerty);
+}
+
+function getActiveKeyMap() {
+    return layoutState.keyMap;
+}
+
+function getLayoutName() {
+    return layoutState.name === 'custom' ? layoutState.custom.name : layoutState.name;
+}
+
+// ========================================
+// LAYOUT VIEW
+// ========================================
+function initKeyboard() {
+    DOM.layoutPills = document.querySelectorAll('.timer-pill[data-layout]');
+    DOM.layoutCustomPill = document.getElementById('layout-custom-pill');
+    DOM.layoutImportInput = document.getElementById('layout-import-input');
+    DOM.keyboardToggle = document.getElementById('keyboard-toggle');
+    DOM.onScreenKeyboard = document.getElementById('on-screen-keyboard');
+    DOM.layoutStatus = document.getElementById('layout-status');
+    DOM.fingerStats = document.getElementById('finger-stats');
+    DOM.rowStats = document.getElementById('row-stats');
+
+    loadLayoutSettings();
+
+    DOM.layoutPills.forEach(pill => {
+        pill.addEventListener('click', () => selectLayout(pill.dataset.layout));
+    });
+    DOM.layoutImportInput.addEventListener('change', handleLayoutImport);
+    DOM.keyboardToggle.addEventListener('click', () => {
+        layoutState.showKeyboard = !layoutState.showKeyboard;
+        saveLayoutSettings();
+        renderLayoutControls();
+    });
+
+    renderLayoutControls();
+}
+
+function selectLayout(name) {
+    setLayout(name);
+    saveLayoutSettings();
+    renderLayoutControls();
+    setLayoutStatus('');
+    restartTest();
+}
+
+function handleLayoutImport() {
+    const file = DOM.layoutImportInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            layoutState.custom = parseCustomLayout(reader.result);
+            selectLayout('custom');
+            setLayoutStatus(`Loaded layout "${layoutState.custom.name}"`);
+        } catch (err) {
+            setLayoutStatus(`Layout import failed: ${err.message}`);
+        }
+    };
+    reader.readAsText(file);
+
+    DOM.layoutImportInput.value = '';
+}
+
+function setLayoutStatus(message) {
+    DOM.layoutStatus.textContent = message;
+}
+
+function renderLayoutControls() {
+    DOM.layoutPills.forEach(pill => {
+        pill.classList.toggle('active', pill.dataset.layout === layoutState.name);
+    });
+
+    const isCustom = layoutState.name === 'custom';
+    DOM.layoutCustomPill.classList.toggle('active', isCustom);
+    DOM.layoutCustomPill.firstChild.textContent = isCustom ? layoutState.custom.name : 'custom';
+
+    DOM.keyboardToggle.classList.toggle('active', layoutState.showKeyboard);
+    DOM.keyboardToggle.setAttribute('aria-pressed', layoutState.showKeyboard);
+
+    renderOnScreenKeyboard();
+}
+
+// ========================================
+// KEY REMAPPING
+// ========================================
+/**
+ * The character a keydown should type. With an emulated layout the
+ * physical key (e.code) decides; shortcuts and keys the layout
+ * doesn't cover fall through to e.key.
+ */
+function remapKeyEvent(e) {
+    if (layoutState.name === OS_LAYOUT || e.ctrlKey || e.metaKey || e.altKey) return e.key;
+
+    const capsLock = typeof e.getModifierState === 'function' && e.getModifierState('CapsLock');
+    const key = mapKeyCode(layoutState.keyMap, e.code, e.shiftKey, capsLock);
+    return key === null ? e.key : key;
+}
+
+// ========================================
+// ON-SCREEN KEYBOARD
+// ========================================
+function renderOnScreenKeyboard() {
+    DOM.onScreenKeyboard.hidden = !layoutState.showKeyboard;
+    if (DOM.onScreenKeyboard.hidden) return;
+
+    const { keys } = layoutState.keyMap;
+    const renderKeycap = (code, label, extraClass = '') => `
+        <span class="heat-key osk-key ${extraClass}" data-code="${code}">${escapeHtml(label)}</span>`;
+
+    const rows = PHYSICAL_ROWS.map((codes, rowIndex) => {
+        const keycaps = codes
+            .filter(code => keys[code])
+            .map(code => renderKeycap(code, keys[code].char.toUpperCase()));
+
+        // Shift sits on the bottom row, either side
+        if (rowIndex === PHYSICAL_ROWS.length - 1) {
+            keycaps.unshift(renderKeycap('ShiftLeft', '⇧', 'osk-wide'));
+            keycaps.push(renderKeycap('ShiftRight', '⇧', 'osk-wide'));
+        }
+        return `<div class="heat-row">${keycaps.join('')}</div>`;
+    });
+    rows.push(`<div class="heat-row">${renderKeycap('Space', '', 'heat-space')}</div>`);
+
+    DOM.onScreenKeyboard.innerHTML = rows.join('');
+    highlightNextKey();
+}
+
+/**
+ * Lights the key (and the opposite-hand Shift) for the character
+ * under the cursor. Called whenever the cursor moves.
+ */
+function highlightNextKey() {
+    if (DOM.onScreenKeyboard.hidden) return;
+
+    DOM.onScreenKeyboard.querySelectorAll('.osk-key.next').forEach(keycap => {
+        keycap.classList.remove('next');
+    });
+
+    const { activeIndex, isFinished, chars } = state.session.state;
+    const char = chars[activeIndex];
+    const key = !isFinished && char !== undefined ? layoutState.keyMap.chars[char] : null;
+    if (!key) return;
+
+    const codes = [key.code];
+    if (key.shift) codes.push(key.finger.startsWith('l') ? 'ShiftRight' : 'ShiftLeft');
+
+    codes.forEach(code => {
+        const keycap = DOM.onScreenKeyboard.querySelector(`[data-code="${code}"]`);
+        if (keycap) keycap.classList.add('next');
+    });
+}
+
+// ========================================
+// FINGER + ROW STATS
+// ========================================
+function renderFingerStats(keystrokes) {
+    const stats = computeFingerStats(keystrokes, layoutState.keyMap);
+    const bar = share => `<span class="finger-bar"><span style="width: ${Math.round(share * 100)}%"></span></span>`;
+
+    if (stats.mapped === 0) {
+        DOM.fingerStats.innerHTML = '<li class="history-empty">Not enough data</li>';
+        DOM.rowStats.innerHTML = '';
+        return;
+    }
+
+    DOM.fingerStats.innerHTML = stats.fingers.map(entry => `
+        <li title="${entry.presses} keys · ${entry.errors} errors">
+            <span>${FINGER_NAMES[entry.finger]}</span>${bar(entry.share)}<span>${Math.round(entry.share * 100)}%</span>
+        </li>
+    `).join('');
+
+    DOM.rowStats.innerHTML = stats.rows.map(entry => `
+        <li title="${entry.presses} keys">
+            <span>${entry.row}</span>${bar(entry.share)}<span>${Math.round(entry.share * 100)}%</span>
+        </li>
+    `).join('');
+}
@@ -0,0 +1,179 @@
+/**
+ * ========================================
+ * KEYSTROKE STATS - HEADLESS ANALYTICS
+ * Per-key and bigram error rates and
+ * latencies from a session keystroke log
+ * ========================================
+ */
+
+// ========================================
+// STATS CONFIG
+// ========================================
+// Longer gaps are pauses, not typing speed
+const MAX_LATENCY_MS = 2000;
+const MIN_ATTEMPTS = 2;
+
+// Shifted characters map to the physical key that produces them
+const SHIFTED_KEYS = {
+    '!': '1', '@': '2', '#': '3', '$': '4', '%': '5',
+    '^': '6', '&': '7', '*': '8', '(': '9', ')': '0',
+    '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\',
+    ':': ';', '"': "'", '<': ',', '>': '.', '?': '/', '~': '`'
+};
+
+function normalizeKey(char) {
+    return SHIFTED_KEYS[char] || char.toLowerCase();
+}
+
+// ========================================
+// AGGREGATION
+// ========================================
+function createBucket() {
+    return { attempts: 0, errors: 0, latencyTotal: 0, latencyCount: 0 };
+}
+
+function addToBucket(bucket, keystroke) {
+    bucket.attempts++;
+    if (!keystroke.correct) {
+        bucket.errors++;
+    }
+    if (keystroke.latency !== null && keystroke.latency <= MAX_LATENCY_MS) {
+        bucket.latencyTotal += keystroke.latency;
+        bucket.latencyCount++;
+    }
+}
+
+function summarizeBucket(bucket) {
+    return {
+        attempts: bucket.attempts,
+        errors: bucket.errors,
+        errorRate: bucket.attempts > 0 ? bucket.errors / bucket.attempts : 0,
+        avgLatency: bucket.latencyCount > 0 ? bucket.latencyTotal / bucket.latencyCount : null
+    };
+}
+
+function summarizeBuckets(buckets) {
+    const summary = {};
+    Object.keys(buckets).forEach(key => {
+        summary[key] = summarizeBucket(buckets[key]);
+    });
+    return summary;
+}
+
+/**
+ * Stats per physical key, keyed by the normalized expected char.
+ */
+function computeKeyStats(keystrokes) {
+    const buckets = {};
+
+    keystrokes.forEach(keystroke => {
+        const key = normalizeKey(keystroke.expected);
+        buckets[key] = buckets[key] || createBucket();
+        addToBucket(buckets[key], keystroke);
+    });
+
+    return summarizeBuckets(buckets);
+}
+
+/**
+ * Stats per expected bigram. Only keystrokes typed straight after
+ * the previous character count, so corrections don't pollute timing.
+ * Bigrams spanning a word break or line break are skipped.
+ */
+function computeBigramStats(keystrokes) {
+    const buckets = {};
+
+    for (let i = 1; i < keystrokes.length; i++) {
+        const prev = keystrokes[i - 1];
+        const keystroke = keystrokes[i];
+        if (prev.index !== keystroke.index - 1) continue;
+
+        const bigram = prev.expected + keystroke.expected;
+        if (/\s/.test(bigram)) continue;
+
+        buckets[bigram] = buckets[bigram] || createBucket();
+        addToBucket(buckets[bigram], keystroke);
+    }
+
+    return summarizeBuckets(buckets);
+}
+
+/**
+ * Combines summarized stats from several runs. Latencies are
+ * averaged weighted by attempts.
+ */
+function mergeStats(statsList) {
+    const merged = {};
+
+    statsList.forEach(stats => {
+        Object.keys(stats).forEach(key => {
+            const entry = stats[key];
+            const target = merged[key] = merged[key] || createBucket();
+            target.attempts += entry.attempts;
+            target.errors += entry.errors;
+            if (entry.avgLatency !== null) {
+                target.latencyTotal += entry.avgLatency * entry.attempts;
+                target.latencyCount += entry.attempts;
+            }
+        });
+    });
+
+    return summarizeBuckets(merged);
+}
+
+// ========================================
+// RANKING
+// ========================================
+function toRankedList(stats, minAttempts) {
+    return Object.keys(stats)
+        .filter(key => stats[key].attempts >= minAttempts)
+        .map(key => ({ key, ...stats[key] }));
+}
+
+function rankSlowestKeys(keyStats, limit = 5, minAttempts = MIN_ATTEMPTS) {
+    return toRankedList(keyStats, minAttempts)
+        .filter(entry => !/\s/.test(entry.key) && entry.avgLatency !== null)
+        .sort((a, b) => b.avgLatency - a.avgLatency)
+        .slice(0, limit);
+}
+
+function rankWorstBigrams(bigramStats, limit = 5, minAttempts = MIN_ATTEMPTS) {
+    return toRankedList(bigramStats, minAttempts)
+        .sort((a, b) => b.errorRate - a.errorRate || (b.avgLatency || 0) - (a.avgLatency || 0))
+        .slice(0, limit);
+}
+
+/**
+ * Keeps only the `limit` weakest entries, rounded, so per-run
+ * stats stay small enough to persist with run history.
+ */
+function pickWorstStats(stats, limit) {
+    const picked = {};
+
+    rankWorstBigrams(stats, limit, 1).forEach(entry => {
+        picked[entry.key] = {
+            attempts: entry.attempts,
+            errors: entry.errors,
+            errorRate: Math.round(entry.errorRate * 1000) / 1000,
+            avgLatency: entry.avgLatency === null ? null : Math.round(entry.avgLatency)
+        };
+    });
+
+    return picked;
+}
+
+// ========================================
+// MODULE EXPORTS (Node / CommonJS)
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_LATENCY_MS,
+        normalizeKey,
+        computeKeyStats,
+        computeBigramStats,
+        mergeStats,
+        rankSlowestKeys,
+        rankWorstBigrams,
+        pickWorstStats
+    };
+}
@@ -0,0 +1,179 @@
+/**
+ * ========================================
+ * TEXT LANGUAGES - GLASS HUD
+ * Built-in passages per language and
+ * word splitting for unspaced scripts
+ * ========================================
+ */
+
+// ========================================
+// SAMPLE TEXT CORPUS (Built-in English, see corpus.js for custom ones)
+// ========================================
+const SAMPLE_TEXTS = [
+    "The quick brown fox jumps over the lazy dog. This pangram contains every letter of the English alphabet at least once. Typing tests often use such sentences to ensure comprehensive keyboard coverage. Practice makes perfect when it comes to typing speed.",
+    "In the realm of software development, clean code is not just about making programs work. It is about crafting solutions that are readable, maintainable, and elegant. Every developer should strive to write code that tells a story and can be understood by others.",
+    "Technology continues to reshape our world at an unprecedented pace. From artificial intelligence to quantum computing, innovations emerge daily that challenge our understanding of what machines can accomplish. The future promises even more remarkable breakthroughs.",
+    "The art of programming lies not in complexity but in simplicity. A truly skilled developer can take a complicated problem and distill it into an elegant solution that others can understand and build upon. This is the mark of true expertise.",
+    "Practice makes perfect when it comes to typing speed. Consistent daily practice, proper finger placement, and maintaining good posture all contribute to improving your words per minute over time. Keep pushing your limits and you will see improvement.",
+    "JavaScript is a versatile programming language that powers the modern web. From simple animations to complex web applications, JavaScript enables developers to create interactive and dynamic user experiences. Its ecosystem continues to grow rapidly.",
+    "The keyboard is an extension of your thoughts when you master touch typing. Your fingers dance across the keys, translating ideas into words without conscious effort. This fluency comes only through dedicated practice and patience.",
+    "Web development has evolved significantly over the past decade. Modern frameworks and tools have simplified complex tasks, enabling developers to build sophisticated applications with less effort. However, understanding fundamentals remains crucial.",
+    "Accuracy is just as important as speed in typing. Making fewer mistakes means less time spent correcting errors and more efficient communication. Focus on precision first, and speed will naturally follow with practice.",
+    "The best typists in the world can exceed two hundred words per minute while maintaining near perfect accuracy. This level of skill requires years of dedicated practice and a deep understanding of keyboard layouts and finger positioning."
+];
+
+// ========================================
+// LANGUAGE CONFIG
+// ========================================
+const TEXT_LANGUAGE_KEY = 'glass-hud.language';
+const DEFAULT_TEXT_LANGUAGE = 'en';
+
+// Japanese and Chinese need an IME
+const TEXT_LANGUAGES = {
+    en: { label: 'English', passages: SAMPLE_TEXTS },
+    es: {
+        label: 'Español',
+        passages: [
+            'El zorro marrón salta sobre el perro perezoso. Escribir con rapidez requiere práctica diaria, paciencia y una postura cómoda frente al teclado. Con el tiempo, los dedos encuentran cada tecla sin necesidad de mirar.',
+            'La programación es el arte de convertir ideas en instrucciones precisas. Un buen código se lee como una historia: cada función tiene un propósito claro y cada nombre explica lo que hace. ¿Quién no ha disfrutado resolviendo un problema difícil?',
+            'Aprender un idioma nuevo abre puertas a otras culturas. Leer periódicos, escuchar canciones y hablar con personas nativas acelera el aprendizaje más que cualquier libro de gramática.'
+        ]
+    },
+    fr: {
+        label: 'Français',
+        passages: [
+            "Le renard brun rapide saute par-dessus le chien paresseux. Pour taper vite, il faut s'exercer chaque jour, garder une bonne posture et laisser les doigts trouver les touches sans regarder le clavier.",
+            "La programmation consiste à transformer des idées en instructions précises. Un code élégant se lit comme un récit : chaque fonction a un rôle clair et chaque nom explique ce qu'il fait.",
+            "Apprendre une langue étrangère, c'est découvrir une autre façon de penser. Lire des journaux, écouter de la musique et discuter avec des amis font progresser plus vite qu'un manuel de grammaire."
+        ]
+    },
+    de: {
+        label: 'Deutsch',
+        passages: [
+            'Der schnelle braune Fuchs springt über den faulen Hund. Wer schneller tippen möchte, sollte täglich üben, auf eine gute Haltung achten und den Blick auf dem Bildschirm lassen.',
+            'Programmieren heißt, Ideen in präzise Anweisungen zu übersetzen. Guter Code lässt sich lesen wie eine Geschichte: Jede Funktion hat eine klare Aufgabe, und jeder Name erklärt, was er tut.',
+            'Eine neue Sprache zu lernen öffnet Türen zu anderen Kulturen. Zeitungen lesen, Musik hören und mit Muttersprachlern sprechen bringt oft mehr als jedes Grammatikbuch.'
+        ]
+    },
+    pt: {
+        label: 'Português',
+        passages: [
+            'A rápida raposa marrom pula sobre o cão preguiçoso. Digitar com velocidade exige prática diária, paciência e uma postura confortável diante do teclado.',
+            'Programar é transformar ideias em instruções precisas. Um bom código se lê como uma história: cada função tem um propósito claro e cada nome explica o que faz.',
+            'Aprender uma nova língua abre portas para outras culturas. Ler jornais, ouvir músicas e conversar com nativos acelera o aprendizado mais do que qualquer livro de gramática.'
+        ]
+    },
+    ru: {
+        label: 'Русский',
+        passages: [
+            'Съешь же ещё этих мягких французских булок, да выпей чаю. Чтобы печатать быстро, нужно тренироваться каждый день и не смотреть на клавиатуру.',
+            'Программирование - это искусство превращать идеи в точные инструкции. Хороший код читается как рассказ: у каждой функции есть ясная цель, а каждое имя объясняет, что оно делает.',
+            'Изучение нового языка открывает двери в другие культуры. Чтение газет, музыка и разговоры с носителями языка помогают больше, чем любой учебник грамматики.'
+        ]
+    },
+    ja: {
+        label: '日本語',
+        passages: [
+            '毎日少しずつ練習すれば、タイピングは必ず速くなります。正しい姿勢を保ち、キーボードを見ないで入力することを心がけましょう。',
+            'プログラミングとは、考えを正確な命令に変えることです。読みやすいコードは物語のように理解できます。',
+            '新しい言葉を学ぶと、ほかの文化への扉が開きます。本を読んだり音楽を聞いたりするのも良い練習です。'
+        ]
+    },
+    zh: {
+        label: '中文',
+        passages: [
+            '每天坚持练习，打字速度一定会提高。保持正确的坐姿，尽量不要看键盘。',
+            '编程就是把想法变成精确的指令。好的代码读起来就像一个故事，每个函数都有明确的目的。',
+            '学习一门新的语言，就像打开了一扇通往另一种文化的大门。多读书、多听音乐都是很好的练习。'
+        ]
+    }
+};
+
+function getTextLanguage() {
+    const code = localStorage.getItem(TEXT_LANGUAGE_KEY);
+    return TEXT_LANGUAGES[code] ? code : DEFAULT_TEXT_LANGUAGE;
+}
+
+function getLanguagePassages(code = getTextLanguage()) {
+    return TEXT_LANGUAGES[code].passages;
+}
+
+// ========================================
+// WORDS
+// ========================================
+/**
+ * Scripts written without spaces (Japanese, Chinese) are split
+ * with Intl.Segmenter's word boundaries; everything else on spaces.
+ */
+function splitWords(text) {
+    if (getWordSeparator(text) === ' ' || typeof Intl === 'undefined' || !Intl.Segmenter) {
+        return text.split(' ');
+    }
+
+    const segmenter = new Intl.Segmenter(getTextLanguage(), { granularity: 'word' });
+    return Array.from(segmenter.segment(text), part => part.segment);
+}
+
+function getWordSeparator(text) {
+    return text.includes(' ') ? ' ' : '';
+}
+
+// ========================================
+// TEXT SIZING
+// ========================================
+// Enough timed text for 240 WPM
+const TIMED_TEXT_CHARS_PER_MINUTE = 1200;
+
+// Passages from `pickPassage` joined until they outlast `seconds` of typing
+function buildTimedText(pickPassage, seconds) {
+    const charsNeeded = Math.ceil((seconds / 60) * TIMED_TEXT_CHARS_PER_MINUTE);
+
+    let text = '';
+    while (text.length < charsNeeded) {
+        const passage = pickPassage();
+        text += (text ? getWordSeparator(passage) : '') + passage;
+    }
+
+    return text;
+}
+
+// The first `count` words of passages from `pickPassage`
+function buildWordText(pickPassage, count) {
+    let words = [];
+    let separator = ' ';
+    while (words.length < count) {
+        const passage = pickPassage();
+        separator = getWordSeparator(passage);
+        words = words.concat(splitWords(passage));
+    }
+
+    return words.slice(0, count).join(separator);
+}
+
+// ========================================
+// LANGUAGE VIEW
+// ========================================
+function initLanguage() {
+    DOM.textLanguage = document.getElementById('text-language');
+
+    DOM.textLanguage.innerHTML = Object.entries(TEXT_LANGUAGES).map(([code, language]) =>
+        `<option value="${code}">${escapeHtml(language.label)}</option>`).join('');
+    DOM.textLanguage.value = getTextLanguage();
+    DOM.typingArea.lang = getTextLanguage();
+
+    DOM.textLanguage.addEventListener('keydown', (e) => e.stopPropagation());
+    DOM.textLanguage.addEventListener('change', () => selectTextLanguage(DOM.textLanguage.value));
+}
+
+// Picking a language switches back to its built-in passages
+function selectTextLanguage(code) {
+    if (!TEXT_LANGUAGES[code]) return;
+
+    localStorage.setItem(TEXT_LANGUAGE_KEY, code);
+    setActiveCorpus(BUILTIN_CORPUS_ID);
+    DOM.typingArea.lang = code;
+    DOM.textLanguage.blur();
+
+    console.log(`🌐 Text language: ${TEXT_LANGUAGES[code].label}`);
+    restartTest();
+}
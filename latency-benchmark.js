@@ -0,0 +1,118 @@
+/**
+ * ========================================
+ * LATENCY BENCHMARK - GLASS HUD
+ * Keystroke-to-paint timing on an
+ * endurance-length text
+ * ========================================
+ *
+ * Open index.html?benchmark (optionally &seconds=3600&keys=600) or
+ * call runLatencyBenchmark() from the console. Each synthetic
+ * keydown is timed from dispatch to the first task after the next
+ * animation frame, i.e. once that frame has painted. A keystroke
+ * that takes more than two frames to paint missed its frame.
+ */
+
+// ========================================
+// BENCHMARK CONFIG
+// ========================================
+const BENCHMARK_DEFAULTS = {
+    seconds: 3600,
+    keys: 600,
+    // Every Nth press is a wrong key plus its Backspace
+    errorEvery: 20
+};
+
+const FRAME_BUDGET_MS = 1000 / 60;
+
+function nextPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+}
+
+function summarizeTimings(timings) {
+    const sorted = [...timings].sort((a, b) => a - b);
+    const at = share => sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))] || 0;
+    const round = ms => Math.round(ms * 100) / 100;
+
+    return {
+        mean: round(sorted.reduce((sum, ms) => sum + ms, 0) / (sorted.length || 1)),
+        p50: round(at(0.5)),
+        p95: round(at(0.95)),
+        p99: round(at(0.99)),
+        max: round(at(1))
+    };
+}
+
+// ========================================
+// RUN
+// ========================================
+/**
+ * Types `keys` presses into a `seconds`-long timed test and reports
+ * handler time (synchronous keydown work) and keystroke-to-paint
+ * time. The run is discarded afterwards; nothing is saved.
+ */
+async function runLatencyBenchmark(options = {}) {
+    const { seconds, keys, errorEvery } = { ...BENCHMARK_DEFAULTS, ...options };
+    const saved = { testMode: state.testMode, testDuration: state.testDuration };
+
+    if (DOM.resultsOverlay.classList.contains('show')) hideResults();
+
+    state.testMode = 'time';
+    state.testDuration = seconds;
+
+    const mountStart = performance.now();
+    restartTest();
+    const mountMs = performance.now() - mountStart;
+    await nextPaint();
+
+    const handlerTimes = [];
+    const paintTimes = [];
+    const press = async (key) => {
+        const start = performance.now();
+        window.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+        handlerTimes.push(performance.now() - start);
+
+        await nextPaint();
+        paintTimes.push(performance.now() - start);
+    };
+
+    const session = state.session;
+    for (let i = 0; i < keys && session.state.activeIndex < session.state.chars.length; i++) {
+        if (errorEvery && i % errorEvery === errorEvery - 1) {
+            await press('#');
+            await press('Backspace');
+        } else {
+            await press(session.state.chars[session.state.activeIndex]);
+        }
+    }
+
+    const report = {
+        textChars: session.state.chars.length,
+        mountMs: Math.round(mountMs * 100) / 100,
+        mountedSpans: getMountedSpanCount(),
+        keystrokes: paintTimes.length,
+        handler: summarizeTimings(handlerTimes),
+        keystrokeToPaint: summarizeTimings(paintTimes),
+        missedFrames: paintTimes.filter(ms => ms > FRAME_BUDGET_MS * 2).length
+    };
+
+    state.testMode = saved.testMode;
+    state.testDuration = saved.testDuration;
+    restartTest();
+
+    console.log(`⏱️ Latency benchmark: ${report.keystrokes} keys over ${report.textChars} chars, ` +
+        `${report.mountedSpans} spans mounted, text ready in ${report.mountMs}ms, ${report.missedFrames} missed frames`);
+    console.table({ handler: report.handler, 'keystroke → paint': report.keystrokeToPaint });
+
+    return report;
+}
+
+// ?benchmark runs it once the page has loaded
+if (new URLSearchParams(window.location.search).has('benchmark')) {
+    window.addEventListener('load', () => {
+        const params = new URLSearchParams(window.location.search);
+        runLatencyBenchmark({
+            seconds: Number(params.get('seconds')) || BENCHMARK_DEFAULTS.seconds,
+            keys: Number(params.get('keys')) || BENCHMARK_DEFAULTS.keys
+        });
+    });
+}
@@ -0,0 +1,239 @@
+/**
+ * ========================================
+ * LEADERBOARD - GLASS HUD
+ * Client for the local leaderboard server
+ * (server/leaderboard-server.js)
+ * ========================================
+ *
+ * With submission turned on, every finished run that passes the
+ * validator is posted with its replay; the server re-scores it from
+ * the keystrokes. The panel shows the board for the current mode
+ * and settings, or your own runs.
+ */
+
+// ========================================
+// LEADERBOARD CONFIG
+// ========================================
+const LEADERBOARD_SETTINGS_KEY = 'glass-hud.leaderboard';
+const LEADERBOARD_DEFAULT_PORT = 8788;
+const LEADERBOARD_WINDOW_LABELS = { day: 'today', week: 'this week', month: 'this month', all: 'all time' };
+
+const leaderboardView = {
+    window: 'week',
+    // 'board' for the current board, 'mine' for your own runs
+    view: 'board',
+    // Ignores responses that arrive after a newer request
+    request: 0
+};
+
+// The leaderboard server's own page uses its origin; a page served from
+// anywhere else (the race server on the LAN) finds it on the same host
+function getDefaultLeaderboardUrl() {
+    if (location.protocol !== 'http:' && location.protocol !== 'https:') {
+        return `http://localhost:${LEADERBOARD_DEFAULT_PORT}`;
+    }
+    return location.port === String(LEADERBOARD_DEFAULT_PORT)
+        ? location.origin
+        : `http://${location.hostname}:${LEADERBOARD_DEFAULT_PORT}`;
+}
+
+function loadLeaderboardSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(LEADERBOARD_SETTINGS_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+function saveLeaderboardSettings() {
+    localStorage.setItem(LEADERBOARD_SETTINGS_KEY, JSON.stringify({
+        url: DOM.leaderboardUrl.value.trim(),
+        user: DOM.leaderboardUser.value.trim(),
+        submit: DOM.leaderboardSubmit.checked
+    }));
+}
+
+// ========================================
+// LEADERBOARD VIEW
+// ========================================
+function initLeaderboard() {
+    DOM.leaderboardBtn = document.getElementById('leaderboard-btn');
+    DOM.leaderboardOverlay = document.getElementById('leaderboard-overlay');
+    DOM.leaderboardBoard = document.getElementById('leaderboard-board');
+    DOM.leaderboardUrl = document.getElementById('leaderboard-url');
+    DOM.leaderboardUser = document.getElementById('leaderboard-user');
+    DOM.leaderboardSubmit = document.getElementById('leaderboard-submit');
+    DOM.leaderboardWindows = document.querySelectorAll('.timer-pill[data-window]');
+    DOM.leaderboardMineBtn = document.getElementById('leaderboard-mine-btn');
+    DOM.leaderboardList = document.getElementById('leaderboard-list');
+    DOM.leaderboardStatus = document.getElementById('leaderboard-status');
+    DOM.leaderboardRefreshBtn = document.getElementById('leaderboard-refresh-btn');
+    DOM.leaderboardCloseBtn = document.getElementById('leaderboard-close-btn');
+    DOM.finalLeaderboard = document.getElementById('final-leaderboard');
+
+    // A name already used for races is the natural default
+    const saved = loadLeaderboardSettings();
+    DOM.leaderboardUrl.value = saved.url || getDefaultLeaderboardUrl();
+    DOM.leaderboardUser.value = saved.user || loadRaceSettings().name || '';
+    DOM.leaderboardSubmit.checked = saved.submit === true;
+
+    [DOM.leaderboardUrl, DOM.leaderboardUser].forEach(input => {
+        input.addEventListener('keydown', (e) => e.stopPropagation());
+        input.addEventListener('change', () => {
+            saveLeaderboardSettings();
+            renderLeaderboard();
+        });
+    });
+    DOM.leaderboardSubmit.addEventListener('change', saveLeaderboardSettings);
+
+    DOM.leaderboardWindows.forEach(pill => {
+        pill.addEventListener('click', () => {
+            leaderboardView.window = pill.dataset.window;
+            leaderboardView.view = 'board';
+            renderLeaderboard();
+        });
+    });
+    DOM.leaderboardMineBtn.addEventListener('click', () => {
+        leaderboardView.view = leaderboardView.view === 'mine' ? 'board' : 'mine';
+        renderLeaderboard();
+    });
+
+    DOM.leaderboardBtn.addEventListener('click', showLeaderboard);
+    DOM.leaderboardRefreshBtn.addEventListener('click', renderLeaderboard);
+    DOM.leaderboardCloseBtn.addEventListener('click', hideLeaderboard);
+
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && DOM.leaderboardOverlay.classList.contains('show')) {
+            hideLeaderboard();
+        }
+    });
+}
+
+function showLeaderboard() {
+    openPanel(DOM.leaderboardOverlay);
+    renderLeaderboard();
+}
+
+function hideLeaderboard() {
+    closeDialog(DOM.leaderboardOverlay);
+}
+
+function setLeaderboardStatus(message) {
+    DOM.leaderboardStatus.textContent = message;
+}
+
+async function renderLeaderboard() {
+    const mine = leaderboardView.view === 'mine';
+    const user = DOM.leaderboardUser.value.trim();
+
+    DOM.leaderboardWindows.forEach(pill => {
+        pill.classList.toggle('active', !mine && pill.dataset.window === leaderboardView.window);
+    });
+    DOM.leaderboardMineBtn.classList.toggle('active', mine);
+    DOM.leaderboardMineBtn.setAttribute('aria-pressed', mine);
+    DOM.leaderboardBoard.textContent = mine
+        ? `Runs by ${user || '…'}`
+        : `${getRunCategory(getRunSettings())} · ${LEADERBOARD_WINDOW_LABELS[leaderboardView.window]}`;
+
+    if (mine && !user) {
+        DOM.leaderboardList.innerHTML = '';
+        setLeaderboardStatus('Enter your name to see your runs');
+        return;
+    }
+
+    const request = ++leaderboardView.request;
+    setLeaderboardStatus('Loading…');
+
+    try {
+        const data = mine
+            ? await fetchLeaderboard(`/api/users/${encodeURIComponent(user)}/runs?limit=50`)
+            : await fetchLeaderboard(`/api/leaderboard?${buildBoardQuery(getRunSettings())}&window=${leaderboardView.window}`);
+        if (request !== leaderboardView.request) return;
+
+        const rows = mine ? data.runs : data.entries;
+        DOM.leaderboardList.innerHTML = mine ? renderUserRuns(rows) : renderBoardEntries(rows, user);
+        setLeaderboardStatus(rows.length === 0 ? 'No runs yet' : '');
+    } catch (err) {
+        if (request !== leaderboardView.request) return;
+
+        DOM.leaderboardList.innerHTML = '';
+        setLeaderboardStatus(`${err.message}. Start the server with: node server/leaderboard-server.js`);
+    }
+}
+
+function renderBoardEntries(entries, user) {
+    return entries.map(entry => `
+        <li class="history-row leaderboard-row${entry.user === user ? ' self' : ''}">
+            <span>#${entry.place} ${escapeHtml(entry.user)}</span>
+            <span class="history-date">${new Date(entry.timestamp).toLocaleDateString()}</span>
+            <span class="history-wpm">${entry.wpm} WPM</span>
+            <span>${entry.accuracy}%</span>
+        </li>
+    `).join('');
+}
+
+function renderUserRuns(runs) {
+    return runs.map(run => `
+        <li class="history-row leaderboard-row">
+            <span class="history-date">${new Date(run.timestamp).toLocaleString()}</span>
+            <span>${escapeHtml(getRunCategory(run))}</span>
+            <span class="history-wpm"${run.flagged ? ` title="Flagged: ${escapeHtml(run.flagged)}"` : ''}>${run.flagged ? '⚑ ' : ''}${run.wpm} WPM</span>
+            <span>${run.accuracy}%</span>
+        </li>
+    `).join('');
+}
+
+// ========================================
+// SERVER REQUESTS
+// ========================================
+// Only the setting that picks the board is sent (see getRunBoard on the server)
+function buildBoardQuery(settings) {
+    return Object.entries(settings)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+}
+
+async function fetchLeaderboard(path, options = {}) {
+    const base = DOM.leaderboardUrl.value.trim().replace(/\/+$/, '');
+
+    let response;
+    try {
+        response = await fetch(`${base}${path}`, options);
+    } catch (err) {
+        throw new Error('Leaderboard server not reachable');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Leaderboard server answered ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Posts a finished run with its replay when submission is on and
+ * a name is set. Rejected runs never leave the browser.
+ */
+async function submitLeaderboardRun(validation) {
+    DOM.finalLeaderboard.textContent = '';
+
+    const user = DOM.leaderboardUser.value.trim();
+    if (!DOM.leaderboardSubmit.checked || !user || validation.status === VALIDATION_STATUS.rejected) return;
+
+    const settings = getRunSettings();
+    const category = getRunCategory(settings);
+    try {
+        const { run, rank } = await fetchLeaderboard('/api/runs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ user, ...settings, replay: state.lastReplay })
+        });
+        DOM.finalLeaderboard.textContent = rank
+            ? `Leaderboard: #${rank} on ${category} with ${run.wpm} WPM`
+            : 'Leaderboard: saved to your runs, flagged runs aren\'t ranked';
+    } catch (err) {
+        DOM.finalLeaderboard.textContent = `Leaderboard: ${err.message}`;
+        console.warn('⚠️ Run not submitted to the leaderboard', err);
+    }
+}
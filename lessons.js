@@ -0,0 +1,370 @@
+/**
+ * ========================================
+ * LESSONS - HEADLESS
+ * Structured drills with pass criteria,
+ * daily practice goals and streaks
+ * ========================================
+ *
+ * Lessons are taken in order: passing one (reaching both its WPM
+ * and accuracy thresholds in a single run) unlocks the next. Daily
+ * practice is kept per local calendar day; a day counts toward the
+ * streak once its minutes and best WPM both reach the goal that
+ * was set at the time.
+ */
+
+// ========================================
+// WORD LISTS
+// ========================================
+// Only a s d f g h j k l
+const HOME_ROW_WORDS = [
+    'as', 'ask', 'add', 'all', 'ash', 'dad', 'fad', 'gal', 'gas', 'had',
+    'has', 'hall', 'half', 'lad', 'lag', 'lash', 'sad', 'salad', 'flask', 'glad',
+    'dash', 'flash', 'shall', 'fall', 'alas', 'flag', 'slash', 'gala', 'jag', 'glass',
+    'asks', 'adds', 'falls', 'halls', 'sash', 'lass', 'hash', 'gash'
+];
+
+// Top row letters, with the home row to hold them together
+const TOP_ROW_WORDS = [
+    'quiet', 'write', 'type', 'power', 'tower', 'route', 'query', 'trip', 'pretty', 'poetry',
+    'your', 'their', 'water', 'paper', 'youth', 'equip', 'quote', 'tired', 'rope', 'wipe',
+    'riot', 'typewriter', 'trout', 'property', 'territory', 'fire', 'here', 'start', 'read', 'great',
+    'house', 'should', 'little', 'people', 'what', 'world', 'words', 'today', 'square', 'after',
+    'three', 'story', 'light', 'right'
+];
+
+// Everyday words for the number, symbol and capital drills
+const LESSON_WORDS = [
+    'time', 'year', 'people', 'way', 'day', 'thing', 'world', 'life', 'hand', 'part',
+    'place', 'case', 'week', 'work', 'point', 'home', 'water', 'room', 'money', 'story',
+    'fact', 'month', 'book', 'word', 'friend', 'team', 'city', 'game', 'river', 'paper',
+    'music', 'market', 'light', 'night', 'garden', 'letter', 'window', 'summer', 'morning', 'street'
+];
+
+const SYMBOL_PATTERNS = [
+    '#,', '#.', '#;', '#:', '#!', '#?', "#'s", '(#)', '"#"', '[#]',
+    '{#}', '<#>', '#-#', '#/#', '#_#', '#@#', '#&#', '#=#', '#+#', '*#*'
+];
+
+// ========================================
+// LESSONS
+// ========================================
+const LESSON_WORD_COUNT = 30;
+
+// Home-row key groups for the first drill
+const HOME_ROW_KEYS = 'asdfjkl;';
+
+const LESSONS = [
+    {
+        id: 'home-keys',
+        title: 'Home row keys',
+        description: 'asdf jkl; without looking down',
+        kind: 'drill',
+        pass: { wpm: 15, accuracy: 95 }
+    },
+    {
+        id: 'home-row',
+        title: 'Home row words',
+        description: 'Words from a s d f g h j k l',
+        kind: 'words',
+        words: HOME_ROW_WORDS,
+        pass: { wpm: 20, accuracy: 95 }
+    },
+    {
+        id: 'top-row',
+        title: 'Top row',
+        description: 'Reaching up to q w e r t y u i o p',
+        kind: 'words',
+        words: TOP_ROW_WORDS,
+        pass: { wpm: 25, accuracy: 94 }
+    },
+    {
+        id: 'numbers',
+        title: 'Numbers',
+        description: 'The number row, one to four digits at a time',
+        kind: 'numbers',
+        pass: { wpm: 20, accuracy: 92 }
+    },
+    {
+        id: 'symbols',
+        title: 'Symbols',
+        description: 'Punctuation, brackets and shifted symbols',
+        kind: 'symbols',
+        pass: { wpm: 20, accuracy: 92 }
+    },
+    {
+        id: 'capitals',
+        title: 'Capitalization',
+        description: 'Shift with the opposite hand',
+        kind: 'capitals',
+        pass: { wpm: 25, accuracy: 94 }
+    }
+];
+
+function getLesson(id) {
+    return LESSONS.find(lesson => lesson.id === id) || null;
+}
+
+function getNextLesson(id) {
+    const index = LESSONS.findIndex(lesson => lesson.id === id);
+    return index === -1 ? null : LESSONS[index + 1] || null;
+}
+
+// ========================================
+// TEXT
+// ========================================
+function pickLessonItem(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * `count` space-separated drill tokens for a lesson. `random`
+ * returns [0, 1) like Math.random; pass a seeded one (createRng)
+ * for repeatable text.
+ */
+function generateLessonText(lesson, { count = LESSON_WORD_COUNT, random = Math.random } = {}) {
+    const tokens = [];
+
+    while (tokens.length < count) {
+        let token;
+        switch (lesson.kind) {
+            case 'drill': {
+                const length = 2 + Math.floor(random() * 4);
+                token = Array.from({ length }, () => pickLessonItem(HOME_ROW_KEYS, random)).join('');
+                break;
+            }
+            case 'numbers': {
+                const length = 1 + Math.floor(random() * 4);
+                token = String(1 + Math.floor(random() * 9)) +
+                    Array.from({ length: length - 1 }, () => Math.floor(random() * 10)).join('');
+                break;
+            }
+            case 'symbols':
+                token = pickLessonItem(SYMBOL_PATTERNS, random).replace(/#/g, () => pickLessonItem(LESSON_WORDS, random));
+                break;
+            case 'capitals': {
+                const word = pickLessonItem(LESSON_WORDS, random);
+                token = tokens.length === 0 || random() < 0.5
+                    ? word[0].toUpperCase() + word.slice(1)
+                    : word;
+                break;
+            }
+            default:
+                token = pickLessonItem(lesson.words, random);
+        }
+
+        // Avoid stuttering the same token twice in a row
+        if (token === tokens[tokens.length - 1]) continue;
+        tokens.push(token);
+    }
+
+    return tokens.join(' ');
+}
+
+// Each symbol pattern with '#' standing for any lesson word
+const SYMBOL_TOKEN_PATTERNS = SYMBOL_PATTERNS.map(pattern => {
+    const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/#/g, `(?:${LESSON_WORDS.join('|')})`)}$`);
+});
+
+/**
+ * Whether `text` could have come from generateLessonText for this
+ * lesson: the right number of tokens, each one the lesson's kind.
+ * Lets a server check a run's lesson against the text it typed.
+ */
+function isLessonText(lesson, text, count = LESSON_WORD_COUNT) {
+    const tokens = text.split(' ');
+    if (tokens.length !== count) return false;
+
+    return tokens.every(token => {
+        // A doubled space leaves an empty token, which no lesson makes
+        if (token.length === 0) return false;
+
+        switch (lesson.kind) {
+            case 'drill':
+                return [...token].every(char => HOME_ROW_KEYS.includes(char));
+            case 'numbers':
+                return /^[1-9]\d{0,3}$/.test(token);
+            case 'symbols':
+                return SYMBOL_TOKEN_PATTERNS.some(pattern => pattern.test(token));
+            case 'capitals':
+                return LESSON_WORDS.includes(token[0].toLowerCase() + token.slice(1));
+            default:
+                return lesson.words.includes(token);
+        }
+    });
+}
+
+// ========================================
+// PROGRESS
+// ========================================
+/**
+ * Which of the lesson's thresholds a result ({ wpm, accuracy })
+ * reached. It passes only if it reached both.
+ */
+function checkLessonResult(lesson, { wpm, accuracy }) {
+    const wpmMet = wpm >= lesson.pass.wpm;
+    const accuracyMet = accuracy >= lesson.pass.accuracy;
+    return { passed: wpmMet && accuracyMet, wpmMet, accuracyMet };
+}
+
+// Saved progress: lesson id -> { passed, bestWpm, bestAccuracy, attempts }
+function parseLessonProgress(raw) {
+    const progress = {};
+    if (!raw || typeof raw !== 'object') return progress;
+
+    LESSONS.forEach(({ id }) => {
+        const entry = raw[id];
+        if (!entry || typeof entry !== 'object') return;
+        progress[id] = {
+            passed: entry.passed === true,
+            bestWpm: Number.isFinite(entry.bestWpm) ? entry.bestWpm : 0,
+            bestAccuracy: Number.isFinite(entry.bestAccuracy) ? entry.bestAccuracy : 0,
+            attempts: Number.isFinite(entry.attempts) ? entry.attempts : 0
+        };
+    });
+
+    return progress;
+}
+
+// The first lesson is always open; each later one opens when the one before is passed
+function isLessonUnlocked(progress, id) {
+    const index = LESSONS.findIndex(lesson => lesson.id === id);
+    if (index <= 0) return index === 0;
+
+    const previous = progress[LESSONS[index - 1].id];
+    return Boolean(previous && previous.passed);
+}
+
+/**
+ * Records one run of a lesson. Returns the new progress, the check
+ * and the lesson this run unlocked (null unless it was the first pass).
+ */
+function recordLessonAttempt(progress, lesson, result) {
+    const check = checkLessonResult(lesson, result);
+    const previous = progress[lesson.id] || { passed: false, bestWpm: 0, bestAccuracy: 0, attempts: 0 };
+
+    const entry = {
+        passed: previous.passed || check.passed,
+        bestWpm: Math.max(previous.bestWpm, result.wpm),
+        bestAccuracy: Math.max(previous.bestAccuracy, result.accuracy),
+        attempts: previous.attempts + 1
+    };
+
+    return {
+        progress: { ...progress, [lesson.id]: entry },
+        check,
+        unlocked: check.passed && !previous.passed ? getNextLesson(lesson.id) : null
+    };
+}
+
+// ========================================
+// DAILY GOALS
+// ========================================
+// About a year and a month of days; older ones are dropped
+const PRACTICE_DAYS_KEPT = 400;
+
+// 'YYYY-MM-DD' in local time, so a day ends at the user's midnight
+function toDateKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function shiftDateKey(key, days) {
+    const [year, month, day] = key.split('-').map(Number);
+    return toDateKey(new Date(year, month - 1, day + days));
+}
+
+function isGoalMet(day, goal) {
+    return Boolean(day) && day.seconds >= goal.minutes * 60 && day.bestWpm >= goal.wpm;
+}
+
+// Saved days: date key -> { seconds, bestWpm, runs, met }
+function parsePracticeDays(raw) {
+    const days = {};
+    if (!raw || typeof raw !== 'object') return days;
+
+    Object.entries(raw).forEach(([key, day]) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(key) || !day || !Number.isFinite(day.seconds)) return;
+        days[key] = {
+            seconds: day.seconds,
+            bestWpm: Number.isFinite(day.bestWpm) ? day.bestWpm : 0,
+            runs: Number.isFinite(day.runs) ? day.runs : 0,
+            met: day.met === true
+        };
+    });
+
+    return days;
+}
+
+/**
+ * Adds a run ({ seconds, wpm }) to the day `key`. Once a day meets
+ * `goal` ({ minutes, wpm }) it stays met, so raising the goal later
+ * doesn't break a streak.
+ */
+function recordPractice(days, key, { seconds, wpm }, goal) {
+    const previous = days[key] || { seconds: 0, bestWpm: 0, runs: 0, met: false };
+    const day = {
+        seconds: previous.seconds + seconds,
+        bestWpm: Math.max(previous.bestWpm, wpm),
+        runs: previous.runs + 1,
+        met: previous.met
+    };
+    day.met = day.met || isGoalMet(day, goal);
+
+    const kept = Object.keys({ ...days, [key]: day }).sort().slice(-PRACTICE_DAYS_KEPT);
+    return Object.fromEntries(kept.map(k => [k, k === key ? day : days[k]]));
+}
+
+/**
+ * Consecutive met days. The current streak runs back from today,
+ * or from yesterday while today's goal is still open.
+ */
+function getStreak(days, todayKey) {
+    const isMet = key => Boolean(days[key] && days[key].met);
+
+    let current = 0;
+    let key = isMet(todayKey) ? todayKey : shiftDateKey(todayKey, -1);
+    while (isMet(key)) {
+        current++;
+        key = shiftDateKey(key, -1);
+    }
+
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    Object.keys(days).sort().forEach(dayKey => {
+        if (!isMet(dayKey)) {
+            run = 0;
+        } else {
+            run = previous && shiftDateKey(previous, 1) === dayKey && isMet(previous) ? run + 1 : 1;
+            best = Math.max(best, run);
+        }
+        previous = dayKey;
+    });
+
+    return { current, best };
+}
+
+// ========================================
+// MODULE EXPORTS (Node / CommonJS)
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LESSONS,
+        LESSON_WORD_COUNT,
+        getLesson,
+        getNextLesson,
+        generateLessonText,
+        isLessonText,
+        checkLessonResult,
+        parseLessonProgress,
+        isLessonUnlocked,
+        recordLessonAttempt,
+        toDateKey,
+        shiftDateKey,
+        isGoalMet,
+        parsePracticeDays,
+        recordPractice,
+        getStreak
+    };
+}
@@ -0,0 +1,393 @@
+/**
+ * ========================================
+ * MULTIPLAYER RACE - GLASS HUD
+ * Client for the local race server
+ * (server/race-server.js)
+ * ========================================
+ */
+
+// ========================================
+// RACE CONFIG
+// ========================================
+const RACE_SETTINGS_KEY = 'glass-hud.race';
+const RACE_DEFAULT_PORT = 8787;
+const RACE_PROGRESS_INTERVAL = 150;
+
+const raceState = {
+    socket: null,
+    playerId: null,
+    room: null,
+    phase: 'idle',
+    players: [],
+    progress: {},
+    standings: null,
+    text: null,
+    startsAt: null,
+    countdownTimer: null,
+    progressTimer: null,
+    lastSent: null
+};
+
+// The race server's own page uses its host; a page served from anywhere
+// else (the leaderboard server on the LAN) finds it on the same host
+function getDefaultRaceUrl() {
+    if (location.protocol !== 'http:' && location.protocol !== 'https:') {
+        return `ws://localhost:${RACE_DEFAULT_PORT}/race`;
+    }
+    return location.port === String(RACE_DEFAULT_PORT)
+        ? `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/race`
+        : `ws://${location.hostname}:${RACE_DEFAULT_PORT}/race`;
+}
+
+function loadRaceSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(RACE_SETTINGS_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+// ========================================
+// RACE VIEW
+// ========================================
+function initMultiplayer() {
+    DOM.raceBtn = document.getElementById('race-btn');
+    DOM.raceOverlay = document.getElementById('race-overlay');
+    DOM.raceUrl = document.getElementById('race-url');
+    DOM.raceRoom = document.getElementById('race-room');
+    DOM.raceName = document.getElementById('race-name');
+    DOM.raceJoinBtn = document.getElementById('race-join-btn');
+    DOM.raceStartBtn = document.getElementById('race-start-btn');
+    DOM.racePlayers = document.getElementById('race-players');
+    DOM.raceStatus = document.getElementById('race-status');
+    DOM.raceCloseBtn = document.getElementById('race-close-btn');
+    DOM.raceTrack = document.getElementById('race-track');
+    DOM.raceStandings = document.getElementById('race-standings');
+
+    const saved = loadRaceSettings();
+    DOM.raceUrl.value = saved.url || getDefaultRaceUrl();
+    DOM.raceRoom.value = saved.room || 'lan';
+    DOM.raceName.value = saved.name || '';
+
+    DOM.raceBtn.addEventListener('click', showRace);
+    DOM.raceCloseBtn.addEventListener('click', hideRace);
+    DOM.raceJoinBtn.addEventListener('click', () => {
+        if (raceState.socket) {
+            leaveRace();
+        } else {
+            joinRace();
+        }
+    });
+    DOM.raceStartBtn.addEventListener('click', () => {
+        sendRaceMessage({ type: 'start', wordCount: state.wordCount });
+    });
+
+    // Keep race fields from typing into the test
+    [DOM.raceUrl, DOM.raceRoom, DOM.raceName].forEach(input => {
+        input.addEventListener('keydown', (e) => e.stopPropagation());
+    });
+
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && DOM.raceOverlay.classList.contains('show')) {
+            hideRace();
+        }
+    });
+
+    renderRaceLobby();
+}
+
+function showRace() {
+    openPanel(DOM.raceOverlay);
+    renderRaceLobby();
+}
+
+function hideRace() {
+    closeDialog(DOM.raceOverlay);
+}
+
+function setRaceStatus(message) {
+    DOM.raceStatus.textContent = message;
+}
+
+function renderRaceLobby() {
+    const connected = raceState.socket !== null;
+
+    DOM.raceJoinBtn.textContent = connected ? 'Leave' : 'Join';
+    DOM.raceStartBtn.disabled = raceState.phase !== 'lobby';
+    [DOM.raceUrl, DOM.raceRoom, DOM.raceName].forEach(input => {
+        input.disabled = connected;
+    });
+
+    DOM.racePlayers.innerHTML = raceState.players.map(player => `
+        <li class="history-row race-row">
+            <span>${escapeHtml(player.name)}${player.id === raceState.playerId ? ' (you)' : ''}</span>
+            <span>${player.racing ? 'racing' : 'waiting'}</span>
+        </li>
+    `).join('');
+}
+
+/**
+ * Progress bars above the glass card, one per player in the room.
+ */
+function renderRaceTrack() {
+    DOM.raceTrack.hidden = raceState.room === null;
+    if (DOM.raceTrack.hidden) return;
+
+    const length = raceState.text ? splitGraphemes(raceState.text).length : 0;
+    const places = {};
+    (raceState.standings || []).forEach(entry => {
+        places[entry.id] = entry.place;
+    });
+
+    DOM.raceTrack.innerHTML = raceState.players.map(player => {
+        const progress = raceState.progress[player.id] || { activeIndex: 0, wpm: 0 };
+        const percent = length > 0 ? Math.min(100, (progress.activeIndex / length) * 100) : 0;
+        const place = places[player.id] ? `#${places[player.id]} ` : '';
+
+        return `
+            <div class="race-lane${player.id === raceState.playerId ? ' self' : ''}">
+                <span class="race-name">${place}${escapeHtml(player.name)}</span>
+                <div class="race-bar"><div class="race-fill" style="width: ${percent}%"></div></div>
+                <span class="race-wpm">${Math.round(progress.wpm)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderRaceStandings() {
+    const standings = raceState.standings || [];
+    DOM.raceStandings.hidden = standings.length === 0;
+
+    DOM.raceStandings.innerHTML = standings.map(entry => `
+        <li class="history-row race-row">
+            <span>#${entry.place} ${escapeHtml(entry.name)}${entry.id === raceState.playerId ? ' (you)' : ''}</span>
+            <span>${describeStanding(entry)}</span>
+        </li>
+    `).join('');
+}
+
+function describeStanding(entry) {
+    if (entry.rejected) return `rejected: ${escapeHtml(entry.rejected)}`;
+    if (!entry.finished) return 'typing…';
+    const missed = entry.missed > 0 ? ` · ${entry.missed} skipped` : '';
+    return `${entry.wpm} wpm · ${entry.accuracy}% · ${(entry.elapsed / 1000).toFixed(1)}s${missed}`;
+}
+
+// ========================================
+// CONNECTION
+// ========================================
+function joinRace() {
+    const url = DOM.raceUrl.value.trim();
+    const room = DOM.raceRoom.value.trim();
+    const name = DOM.raceName.value.trim();
+
+    if (!room) {
+        setRaceStatus('Pick a room name');
+        return;
+    }
+    localStorage.setItem(RACE_SETTINGS_KEY, JSON.stringify({ url, room, name }));
+
+    let socket;
+    try {
+        socket = new WebSocket(url);
+    } catch (err) {
+        setRaceStatus(`Could not connect: ${err.message}`);
+        return;
+    }
+
+    raceState.socket = socket;
+    setRaceStatus('Connecting…');
+    renderRaceLobby();
+
+    socket.addEventListener('open', () => {
+        sendRaceMessage({ type: 'join', room, name });
+    });
+    socket.addEventListener('message', (e) => {
+        try {
+            handleRaceMessage(JSON.parse(e.data));
+        } catch (err) {
+            console.warn('⚠️ Bad race message', err);
+        }
+    });
+    socket.addEventListener('close', () => {
+        if (raceState.socket !== socket) return;
+        resetRace();
+        setRaceStatus('Disconnected');
+    });
+}
+
+function leaveRace() {
+    sendRaceMessage({ type: 'leave' });
+    const socket = raceState.socket;
+    resetRace();
+    socket.close();
+    setRaceStatus('Left the room');
+}
+
+function resetRace() {
+    stopRaceTimers();
+    Object.assign(raceState, {
+        socket: null,
+        playerId: null,
+        room: null,
+        phase: 'idle',
+        players: [],
+        progress: {},
+        standings: null,
+        text: null,
+        startsAt: null
+    });
+
+    renderRaceLobby();
+    renderRaceTrack();
+    renderRaceStandings();
+}
+
+function sendRaceMessage(message) {
+    if (raceState.socket && raceState.socket.readyState === WebSocket.OPEN) {
+        raceState.socket.send(JSON.stringify(message));
+    }
+}
+
+function handleRaceMessage(message) {
+    switch (message.type) {
+        case 'welcome':
+            raceState.playerId = message.playerId;
+            raceState.room = message.room;
+            raceState.phase = message.phase === 'lobby' ? 'lobby' : 'spectating';
+            setRaceStatus(`Joined room "${message.room}"`);
+            break;
+        case 'players':
+            raceState.players = message.players;
+            break;
+        case 'countdown':
+            startRaceCountdown(message);
+            break;
+        case 'go':
+            beginRace();
+            break;
+        case 'progress':
+            // Our own bar is drawn from the live session
+            if (message.playerId !== raceState.playerId) {
+                raceState.progress[message.playerId] = message;
+            }
+            break;
+        case 'standings':
+            raceState.standings = message.standings;
+            message.standings.forEach(entry => {
+                raceState.progress[entry.id] = entry;
+            });
+            if (message.final) endRace();
+            renderRaceStandings();
+            break;
+        case 'error':
+            setRaceStatus(message.message);
+            break;
+    }
+
+    renderRaceLobby();
+    renderRaceTrack();
+}
+
+// ========================================
+// RACE FLOW
+// ========================================
+function startRaceCountdown({ text, startsIn }) {
+    stopRaceTimers();
+    hideRace();
+    hideResults();
+
+    raceState.phase = 'countdown';
+    raceState.text = text;
+    raceState.standings = null;
+    raceState.progress = {};
+    raceState.startsAt = performance.now() + startsIn;
+    renderRaceStandings();
+
+    // Races are untimed word runs over the shared text
+    applyRunSettings({ mode: 'words', wordCount: text.split(' ').length });
+    restartTest();
+
+    updateRaceCountdown();
+    raceState.countdownTimer = setInterval(updateRaceCountdown, 100);
+}
+
+function updateRaceCountdown() {
+    const remaining = raceState.startsAt - performance.now();
+    if (remaining <= 0) {
+        beginRace();
+        return;
+    }
+    DOM.timeDisplay.textContent = Math.ceil(remaining / 1000);
+}
+
+// Unlocks typing; whichever comes first of the local countdown or the server's 'go'
+function beginRace() {
+    if (raceState.phase !== 'countdown') return;
+
+    clearInterval(raceState.countdownTimer);
+    raceState.countdownTimer = null;
+    raceState.phase = 'racing';
+    raceState.lastSent = null;
+    resetTimeDisplay();
+
+    raceState.progressTimer = setInterval(sendRaceProgress, RACE_PROGRESS_INTERVAL);
+    console.log('🏁 Race started');
+}
+
+function sendRaceProgress() {
+    const { activeIndex } = state.session.state;
+    const wpm = Math.round(state.session.getMetrics(performance.now()).wpm);
+    const key = `${activeIndex}:${wpm}`;
+
+    raceState.progress[raceState.playerId] = { activeIndex, wpm };
+    renderRaceTrack();
+
+    if (key === raceState.lastSent) return;
+    raceState.lastSent = key;
+    sendRaceMessage({ type: 'progress', activeIndex, wpm });
+}
+
+/**
+ * Called from finishTest(); only runs typed over the race text count.
+ * The keystroke log goes along so the server can validate the run.
+ */
+function reportRaceFinish(result, replay) {
+    if (raceState.phase !== 'racing' || state.text !== raceState.text) return;
+
+    clearInterval(raceState.progressTimer);
+    raceState.progressTimer = null;
+    raceState.phase = 'finished';
+    raceState.progress[raceState.playerId] = { activeIndex: state.session.state.chars.length, wpm: result.wpm };
+
+    // The server scores the run from the events; the input options change how they type
+    sendRaceMessage({
+        type: 'finish',
+        events: replay.events,
+        wordSkip: replay.wordSkip,
+        stopOnError: replay.stopOnError,
+        confineBackspace: replay.confineBackspace
+    });
+    renderRaceTrack();
+}
+
+function endRace() {
+    stopRaceTimers();
+    raceState.phase = 'lobby';
+}
+
+function stopRaceTimers() {
+    clearInterval(raceState.countdownTimer);
+    clearInterval(raceState.progressTimer);
+    raceState.countdownTimer = null;
+    raceState.progressTimer = null;
+}
+
+function getRaceText() {
+    return raceState.phase === 'countdown' || raceState.phase === 'racing' ? raceState.text : null;
+}
+
+// Typing waits for the synced start
+function isRaceLocked() {
+    return raceState.phase === 'countdown';
+}
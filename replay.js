@@ -0,0 +1,319 @@
+/**
+ * ========================================
+ * KEYSTROKE REPLAY - GLASS HUD
+ * Record, export, import and play back
+ * finished runs in the typing area
+ * ========================================
+ */
+
+// ========================================
+// REPLAY CONFIG
+// ========================================
+const REPLAY_VERSION = 1;
+const REPLAY_SPEEDS = [1, 2, 4];
+
+// Backspace is stored as a single control char to keep files small
+const REPLAY_BACKSPACE = '\b';
+
+const replayState = {
+    replay: null,
+    session: null,
+    eventIndex: 0,
+    position: 0,
+    endTime: 0,
+    speed: 1,
+    playing: false,
+    frame: null,
+    lastFrameTime: null
+};
+
+// ========================================
+// RECORDING
+// ========================================
+/**
+ * Builds a compact, self-contained replay from a finished session.
+ * Event times are ms offsets from the first keystroke; synthetic
+ * (untrusted) keys carry a trailing 0 so the log stays checkable.
+ */
+function buildReplay(session, { label, settings = {}, codeLanguage = null, result = null }) {
+    const { text, duration, skipIndentation, wordSkip, stopOnError, confineBackspace, startTime, inputLog } = session.state;
+    const round = ms => Math.round(ms * 10) / 10;
+
+    return {
+        version: REPLAY_VERSION,
+        recordedAt: new Date().toISOString(),
+        label,
+        mode: settings.mode || null,
+        wordCount: settings.wordCount || null,
+        lesson: settings.lesson || null,
+        text,
+        duration,
+        skipIndentation,
+        wordSkip,
+        stopOnError,
+        confineBackspace,
+        codeLanguage,
+        result: result && {
+            wpm: result.wpm,
+            rawWpm: result.rawWpm,
+            accuracy: result.accuracy,
+            elapsed: result.elapsed
+        },
+        events: inputLog.map(entry => {
+            const event = [
+                round(entry.timestamp - startTime),
+                entry.key === 'Backspace' ? REPLAY_BACKSPACE : entry.key
+            ];
+            if (entry.trusted === false) event.push(0);
+            return event;
+        })
+    };
+}
+
+function validateReplay(replay) {
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error('Unsupported replay version');
+    }
+    if (typeof replay.text !== 'string' || replay.text.length === 0) {
+        throw new Error('Replay has no text');
+    }
+    if (!Array.isArray(replay.events) ||
+        !replay.events.every(e => Array.isArray(e) && Number.isFinite(e[0]) && typeof e[1] === 'string')) {
+        throw new Error('Replay events are malformed');
+    }
+    return replay;
+}
+
+// Replays from before word-level options existed played without them
+function getReplaySessionOptions(replay) {
+    return {
+        text: replay.text,
+        duration: replay.duration,
+        skipIndentation: replay.skipIndentation,
+        wordSkip: Boolean(replay.wordSkip),
+        stopOnError: Boolean(replay.stopOnError),
+        confineBackspace: Boolean(replay.confineBackspace)
+    };
+}
+
+function getReplayEndTime(replay) {
+    const lastEvent = replay.events.length > 0 ? replay.events[replay.events.length - 1][0] : 0;
+    return replay.duration ? replay.duration * 1000 : lastEvent;
+}
+
+// ========================================
+// EXPORT / IMPORT
+// ========================================
+function exportReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `typing-replay-${replay.label.replace(/[^\w]+/g, '-')}-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function handleReplayImport() {
+    const file = DOM.replayImportInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const replay = validateReplay(JSON.parse(reader.result));
+            hideHistory();
+            startReplay(replay);
+        } catch (err) {
+            setHistoryStatus(`Replay import failed: ${err.message}`);
+        }
+    };
+    reader.readAsText(file);
+
+    DOM.replayImportInput.value = '';
+}
+
+// ========================================
+// PLAYBACK
+// ========================================
+function initReplay() {
+    DOM.replayBtn = document.getElementById('replay-btn');
+    DOM.replayExportBtn = document.getElementById('replay-export-btn');
+    DOM.replayImportInput = document.getElementById('replay-import-input');
+    DOM.replayBar = document.getElementById('replay-bar');
+    DOM.replayPlayBtn = document.getElementById('replay-play-btn');
+    DOM.replaySpeedPills = document.querySelectorAll('.timer-pill[data-speed]');
+    DOM.replayScrubber = document.getElementById('replay-scrubber');
+    DOM.replayTime = document.getElementById('replay-time');
+    DOM.replayLabel = document.getElementById('replay-label');
+    DOM.replayCloseBtn = document.getElementById('replay-close-btn');
+
+    DOM.replayBtn.addEventListener('click', () => {
+        if (!state.lastReplay) return;
+        hideResults();
+        startReplay(state.lastReplay);
+    });
+    DOM.replayExportBtn.addEventListener('click', () => {
+        if (state.lastReplay) exportReplay(state.lastReplay);
+    });
+    DOM.replayImportInput.addEventListener('change', handleReplayImport);
+
+    DOM.replayPlayBtn.addEventListener('click', toggleReplayPlayback);
+    DOM.replayCloseBtn.addEventListener('click', restartTest);
+    DOM.replayScrubber.addEventListener('input', () => {
+        seekReplay(Number(DOM.replayScrubber.value));
+    });
+    DOM.replaySpeedPills.forEach(pill => {
+        pill.addEventListener('click', () => setReplaySpeed(Number(pill.dataset.speed)));
+    });
+
+    window.addEventListener('keydown', (e) => {
+        if (!isReplaying() || isOverlayOpen()) return;
+
+        if (e.key === 'Escape') {
+            restartTest();
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            toggleReplayPlayback();
+        }
+    });
+}
+
+function isReplaying() {
+    return replayState.replay !== null;
+}
+
+function startReplay(replay) {
+    stopTimers();
+    stopReplay();
+    hideGhost();
+
+    replayState.replay = replay;
+    replayState.endTime = getReplayEndTime(replay);
+
+    setViewText(replay.text, replay.codeLanguage);
+
+    DOM.replayLabel.textContent = `replay · ${replay.label}`;
+    DOM.replayScrubber.max = replayState.endTime;
+    DOM.replayBar.hidden = false;
+
+    seekReplay(0);
+    playReplay();
+
+    console.log('▶️ Replay started');
+}
+
+function stopReplay() {
+    if (!isReplaying()) return;
+
+    pauseReplay();
+    replayState.replay = null;
+    replayState.session = null;
+    DOM.replayBar.hidden = true;
+}
+
+function createReplaySession(replay) {
+    const session = createTypingSession(getReplaySessionOptions(replay));
+
+    // Start/finish drive live timers and results, which a replay must not touch
+    session.subscribe(event => {
+        if (event.type !== 'start' && event.type !== 'finish') {
+            renderSessionEvent(event);
+        }
+    });
+
+    return session;
+}
+
+function seekReplay(position) {
+    replayState.session = createReplaySession(replayState.replay);
+    replayState.eventIndex = 0;
+    state.session = replayState.session;
+
+    resetViewResults();
+    DOM.glassCard.classList.remove('velocity-active');
+    DOM.wpmDisplay.textContent = '0';
+    DOM.accuracyDisplay.textContent = '100';
+    DOM.timeDisplay.textContent = replayState.replay.duration || 0;
+
+    advanceReplayTo(position);
+    requestAnimationFrame(updateCursorPosition);
+}
+
+function advanceReplayTo(position) {
+    const { events } = replayState.replay;
+    const session = replayState.session;
+    const target = Math.min(position, replayState.endTime);
+
+    while (replayState.eventIndex < events.length && events[replayState.eventIndex][0] <= target) {
+        const [time, key] = events[replayState.eventIndex];
+        if (key === REPLAY_BACKSPACE) {
+            session.backspace(time);
+        } else {
+            session.input(key, time);
+        }
+        replayState.eventIndex++;
+    }
+
+    session.tick(target);
+    replayState.position = target;
+
+    DOM.replayScrubber.value = target;
+    DOM.replayTime.textContent = `${(target / 1000).toFixed(1)}s / ${(replayState.endTime / 1000).toFixed(1)}s`;
+}
+
+// ========================================
+// TRANSPORT CONTROLS
+// ========================================
+function playReplay() {
+    if (replayState.position >= replayState.endTime) {
+        seekReplay(0);
+    }
+
+    replayState.playing = true;
+    replayState.lastFrameTime = null;
+    replayState.frame = requestAnimationFrame(replayFrame);
+    DOM.replayPlayBtn.textContent = 'pause';
+}
+
+function pauseReplay() {
+    replayState.playing = false;
+    cancelAnimationFrame(replayState.frame);
+    replayState.frame = null;
+    DOM.replayPlayBtn.textContent = 'play';
+}
+
+function toggleReplayPlayback() {
+    if (replayState.playing) {
+        pauseReplay();
+    } else {
+        playReplay();
+    }
+}
+
+function setReplaySpeed(speed) {
+    if (!REPLAY_SPEEDS.includes(speed)) return;
+
+    replayState.speed = speed;
+    DOM.replaySpeedPills.forEach(pill => {
+        pill.classList.toggle('active', Number(pill.dataset.speed) === speed);
+    });
+}
+
+function replayFrame(frameTime) {
+    if (!replayState.playing) return;
+
+    if (replayState.lastFrameTime !== null) {
+        const delta = (frameTime - replayState.lastFrameTime) * replayState.speed;
+        advanceReplayTo(replayState.position + delta);
+        requestAnimationFrame(updateCursorPosition);
+    }
+    replayState.lastFrameTime = frameTime;
+
+    if (replayState.position >= replayState.endTime) {
+        pauseReplay();
+        return;
+    }
+
+    replayState.frame = requestAnimationFrame(replayFrame);
+}
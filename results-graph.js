@@ -0,0 +1,381 @@
+/**
+ * ========================================
+ * RESULTS GRAPH - GLASS HUD
+ * Interactive speed/accuracy chart with
+ * error markers, PNG export and share card
+ * ========================================
+ */
+
+// ========================================
+// GRAPH CONFIG
+// ========================================
+const GRAPH_HEIGHT = 120;
+const GRAPH_PADDING = { top: 15, right: 35, bottom: 25, left: 35 };
+
+// Read from the active theme's CSS variables at draw time
+function getGraphColors() {
+    return {
+        wpm: getThemeColor('accent-cyan'),
+        instant: getThemeColor('accent-cyan', 0.35),
+        accuracy: getThemeColor('accent-purple'),
+        accuracyLabel: getThemeColor('accent-purple', 0.6),
+        error: getThemeColor('color-error'),
+        // Okabe-Ito orange: stays distinct from the cyan line for every color vision type
+        errorSafe: '#e69f00',
+        grid: getThemeColor('fg', 0.05),
+        label: getThemeColor('fg', 0.3),
+        empty: getThemeColor('fg', 0.2),
+        crosshair: getThemeColor('fg', 0.35),
+        text: getThemeColor('fg', 0.4),
+        textBright: getThemeColor('fg', 0.6),
+        background: getThemeColor('bg-surface'),
+        backgroundDeep: getThemeColor('bg-deep')
+    };
+}
+
+const SHARE_CARD_WIDTH = 1200;
+const SHARE_CARD_HEIGHT = 630;
+
+// Sample x positions from the last draw, for hover hit-testing
+const graphView = {
+    points: [],
+    hoverIndex: null
+};
+
+// ========================================
+// INITIALIZATION
+// ========================================
+function initResultsGraph() {
+    DOM.graphTooltip = document.getElementById('graph-tooltip');
+    DOM.graphExportBtn = document.getElementById('graph-export-btn');
+    DOM.shareCardBtn = document.getElementById('share-card-btn');
+
+    DOM.performanceGraph.addEventListener('pointermove', handleGraphHover);
+    DOM.performanceGraph.addEventListener('pointerleave', clearGraphHover);
+    DOM.performanceGraph.addEventListener('keydown', handleGraphKeydown);
+    DOM.performanceGraph.addEventListener('blur', clearGraphHover);
+    DOM.graphExportBtn.addEventListener('click', exportGraphPng);
+    DOM.shareCardBtn.addEventListener('click', exportShareCard);
+}
+
+// ========================================
+// DRAW
+// ========================================
+/**
+ * Smoothed and per-second WPM on the left axis, accuracy on the
+ * right, red markers on seconds with errors. `hoverIndex` adds a
+ * crosshair on that sample.
+ */
+function drawPerformanceGraph(hoverIndex = null) {
+    const { ctx, width, height } = prepareCanvas(DOM.performanceGraph, GRAPH_HEIGHT);
+    const colors = getGraphColors();
+    const padding = GRAPH_PADDING;
+    const graphWidth = width - padding.left - padding.right;
+    const graphHeight = height - padding.top - padding.bottom;
+
+    ctx.clearRect(0, 0, width, height);
+    graphView.points = [];
+    graphView.hoverIndex = null;
+
+    const performanceData = getGraphData();
+
+    if (performanceData.length < 2) {
+        ctx.fillStyle = colors.empty;
+        ctx.font = '12px JetBrains Mono';
+        ctx.textAlign = 'center';
+        ctx.fillText('Not enough data', width / 2, height / 2);
+        return;
+    }
+
+    // Per-second speed is jumpy, so the main line is its moving average
+    const instantWpm = performanceData.map(d => d.instantWpm);
+    const smoothedWpm = smoothSeries(instantWpm);
+    const maxWPM = Math.max(...instantWpm, 50);
+    const maxTime = performanceData[performanceData.length - 1].second;
+
+    const xAt = index => padding.left + (performanceData[index].second / maxTime) * graphWidth;
+    const yAt = (value, max) => padding.top + (1 - value / max) * graphHeight;
+    const traceLine = (values, max) => {
+        ctx.beginPath();
+        values.forEach((value, index) => {
+            if (index === 0) {
+                ctx.moveTo(xAt(index), yAt(value, max));
+            } else {
+                ctx.lineTo(xAt(index), yAt(value, max));
+            }
+        });
+        ctx.stroke();
+    };
+
+    // Draw subtle grid with WPM on the left and accuracy on the right
+    ctx.strokeStyle = colors.grid;
+    ctx.lineWidth = 1;
+    ctx.font = '9px JetBrains Mono';
+
+    for (let i = 0; i <= 4; i++) {
+        const y = padding.top + (graphHeight / 4) * i;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y);
+        ctx.lineTo(width - padding.right, y);
+        ctx.stroke();
+
+        const wpmValue = Math.round(maxWPM - (maxWPM / 4) * i);
+        ctx.fillStyle = colors.label;
+        ctx.textAlign = 'right';
+        ctx.fillText(wpmValue.toString(), padding.left - 5, y + 3);
+
+        ctx.fillStyle = colors.accuracyLabel;
+        ctx.textAlign = 'left';
+        ctx.fillText(`${100 - 25 * i}%`, width - padding.right + 5, y + 3);
+    }
+
+    // X-axis labels
+    ctx.fillStyle = colors.label;
+    ctx.textAlign = 'center';
+    const timeStep = Math.ceil(maxTime / 5);
+    for (let t = 0; t <= maxTime; t += timeStep) {
+        const x = padding.left + (t / maxTime) * graphWidth;
+        ctx.fillText(`${t}s`, x, height - 8);
+    }
+
+    // Draw instantaneous WPM, thin and faint
+    ctx.strokeStyle = colors.instant;
+    ctx.lineWidth = 1;
+    traceLine(instantWpm, maxWPM);
+
+    // Draw smoothed WPM line with glow
+    ctx.shadowColor = colors.wpm;
+    ctx.shadowBlur = 10;
+    ctx.strokeStyle = colors.wpm;
+    ctx.lineWidth = 2;
+    traceLine(smoothedWpm, maxWPM);
+    ctx.shadowBlur = 0;
+
+    // Draw Accuracy line
+    ctx.strokeStyle = colors.accuracy;
+    ctx.lineWidth = 2;
+    traceLine(performanceData.map(d => d.accuracy), 100);
+
+    // Error markers sit on the speed line, sized by how many;
+    // colorblind-safe mode draws crosses so shape carries the meaning
+    const safeMarkers = document.documentElement.classList.contains('colorblind-safe');
+    ctx.fillStyle = safeMarkers ? colors.errorSafe : colors.error;
+    ctx.strokeStyle = ctx.fillStyle;
+    ctx.lineWidth = 2;
+    performanceData.forEach((point, index) => {
+        if (!point.errors) return;
+
+        const x = xAt(index);
+        const y = yAt(smoothedWpm[index], maxWPM);
+        const size = 2 + Math.min(point.errors, 4);
+
+        ctx.beginPath();
+        if (safeMarkers) {
+            ctx.moveTo(x - size, y - size);
+            ctx.lineTo(x + size, y + size);
+            ctx.moveTo(x + size, y - size);
+            ctx.lineTo(x - size, y + size);
+            ctx.stroke();
+        } else {
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    });
+
+    graphView.points = performanceData.map((point, index) => xAt(index));
+
+    if (hoverIndex !== null && performanceData[hoverIndex]) {
+        graphView.hoverIndex = hoverIndex;
+        drawCrosshair(ctx, xAt(hoverIndex), yAt(smoothedWpm[hoverIndex], maxWPM), padding.top, height - padding.bottom);
+    }
+}
+
+function drawCrosshair(ctx, x, y, top, bottom) {
+    const colors = getGraphColors();
+    ctx.strokeStyle = colors.crosshair;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = colors.wpm;
+    ctx.beginPath();
+    ctx.arc(x, y, 4, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function getGraphData() {
+    return state.lastResult ? state.lastResult.performanceData : [];
+}
+
+// ========================================
+// HOVER
+// ========================================
+function handleGraphHover(e) {
+    if (graphView.points.length === 0) return;
+
+    const rect = DOM.performanceGraph.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+
+    let nearest = 0;
+    graphView.points.forEach((pointX, index) => {
+        if (Math.abs(pointX - x) < Math.abs(graphView.points[nearest] - x)) nearest = index;
+    });
+
+    if (nearest !== graphView.hoverIndex) {
+        drawPerformanceGraph(nearest);
+        renderGraphTooltip(nearest);
+    }
+}
+
+// Arrow keys step the crosshair a second at a time; the tooltip is a live region
+function handleGraphKeydown(e) {
+    const last = graphView.points.length - 1;
+    if (last < 0) return;
+
+    const current = graphView.hoverIndex;
+    const steps = {
+        ArrowLeft: current === null ? last : Math.max(current - 1, 0),
+        ArrowRight: current === null ? 0 : Math.min(current + 1, last),
+        Home: 0,
+        End: last
+    };
+    if (!(e.key in steps)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    drawPerformanceGraph(steps[e.key]);
+    renderGraphTooltip(steps[e.key]);
+}
+
+function clearGraphHover() {
+    if (graphView.hoverIndex === null) return;
+
+    DOM.graphTooltip.hidden = true;
+    drawPerformanceGraph();
+}
+
+function renderGraphTooltip(index) {
+    const point = getGraphData()[index];
+    const x = graphView.points[index];
+
+    DOM.graphTooltip.innerHTML = `
+        <span class="graph-tooltip-time">${point.second}s</span>
+        <span>${point.instantWpm} wpm</span>
+        <span>${point.rawInstantWpm} raw</span>
+        <span>${point.accuracy}% acc</span>
+        <span class="${point.errors ? 'graph-tooltip-errors' : ''}">${point.errors} error${point.errors === 1 ? '' : 's'}</span>
+    `;
+    DOM.graphTooltip.hidden = false;
+
+    // Flip to the left of the crosshair past the middle
+    const flip = x > DOM.performanceGraph.clientWidth / 2;
+    DOM.graphTooltip.style.left = `${DOM.performanceGraph.offsetLeft + x}px`;
+    DOM.graphTooltip.classList.toggle('flip', flip);
+}
+
+// ========================================
+// EXPORT
+// ========================================
+function downloadCanvas(canvas, name) {
+    canvas.toBlob(blob => {
+        if (!blob) return;
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}-${Date.now()}.png`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }, 'image/png');
+}
+
+function getExportLabel() {
+    return state.lastReplay ? state.lastReplay.label.replace(/[^\w]+/g, '-') : 'run';
+}
+
+// The live canvas is transparent over the glass; exports get a solid backdrop
+function exportGraphPng() {
+    if (!state.lastResult) return;
+
+    drawPerformanceGraph();
+    DOM.graphTooltip.hidden = true;
+
+    const source = DOM.performanceGraph;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = getGraphColors().background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0);
+
+    downloadCanvas(canvas, `typing-graph-${getExportLabel()}`);
+}
+
+function exportShareCard() {
+    if (!state.lastResult) return;
+
+    drawPerformanceGraph();
+    DOM.graphTooltip.hidden = true;
+    downloadCanvas(drawShareCard(state.lastResult), `typing-result-${getExportLabel()}`);
+}
+
+/**
+ * A 1200x630 card (the usual link-preview size) with the headline
+ * numbers over the graph.
+ */
+function drawShareCard(result) {
+    const canvas = document.createElement('canvas');
+    canvas.width = SHARE_CARD_WIDTH;
+    canvas.height = SHARE_CARD_HEIGHT;
+
+    const ctx = canvas.getContext('2d');
+    const colors = getGraphColors();
+    const metrics = computeRunMetrics(result);
+
+    const background = ctx.createLinearGradient(0, 0, SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT);
+    background.addColorStop(0, colors.backgroundDeep);
+    background.addColorStop(1, colors.background);
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = colors.text;
+    ctx.font = '24px JetBrains Mono';
+    ctx.fillText(`${state.lastReplay ? state.lastReplay.label : ''} · ${new Date().toLocaleDateString()}`, 60, 80);
+
+    ctx.shadowColor = colors.wpm;
+    ctx.shadowBlur = 30;
+    ctx.fillStyle = colors.wpm;
+    ctx.font = 'bold 120px JetBrains Mono';
+    ctx.fillText(result.wpm, 60, 210);
+    ctx.shadowBlur = 0;
+
+    ctx.fillStyle = colors.accuracy;
+    ctx.fillText(`${result.accuracy}%`, 460, 210);
+
+    ctx.fillStyle = colors.text;
+    ctx.font = '22px JetBrains Mono';
+    ctx.fillText('WPM', 64, 250);
+    ctx.fillText('ACC', 464, 250);
+
+    const details = [
+        `raw ${result.rawWpm}`,
+        `burst ${metrics.burstWpm}`,
+        metrics.consistency === null ? null : `consistency ${metrics.consistency}%`,
+        `${Math.round(result.elapsed)}s`
+    ].filter(Boolean);
+    ctx.fillStyle = colors.textBright;
+    ctx.fillText(details.join('  ·  '), 60, 300);
+
+    // The live graph, stretched into the lower half
+    const graph = DOM.performanceGraph;
+    ctx.drawImage(graph, 0, 0, graph.width, graph.height, 40, 340, SHARE_CARD_WIDTH - 80, 240);
+
+    return canvas;
+}
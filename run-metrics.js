@@ -0,0 +1,123 @@
+/**
+ * ========================================
+ * RUN METRICS - HEADLESS ANALYTICS
+ * Consistency, burst speed and correction
+ * cost from a finished session result
+ * ========================================
+ */
+
+// ========================================
+// METRICS CONFIG
+// ========================================
+// Matches typing-session.js CHARS_PER_WORD
+const METRIC_CHARS_PER_WORD = 5;
+
+// Peak speed is the best stretch of this length
+const BURST_WINDOW_MS = 2000;
+
+// Samples either side of each point on the smoothed speed line
+const SMOOTHING_RADIUS = 2;
+
+// ========================================
+// SPEED
+// ========================================
+/**
+ * Coefficient of variation of per-second speed. The score is
+ * 100 for perfectly even typing, falling to 0 as the spread
+ * reaches the mean. Needs at least two samples.
+ */
+function computeConsistency(performanceData) {
+    const speeds = performanceData.map(sample => sample.instantWpm).filter(Number.isFinite);
+    if (speeds.length < 2) return null;
+
+    const mean = speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length;
+    if (mean <= 0) return null;
+
+    const variance = speeds.reduce((sum, speed) => sum + (speed - mean) ** 2, 0) / speeds.length;
+    const cv = Math.sqrt(variance) / mean;
+
+    return {
+        cv: Math.round(cv * 1000) / 1000,
+        score: Math.round(Math.max(0, 100 * (1 - cv)))
+    };
+}
+
+/**
+ * Fastest WPM over any rolling window of correct keystrokes.
+ * Runs shorter than the window are measured over their length.
+ */
+function computeBurstWpm(keystrokes, elapsedMs) {
+    const windowMs = Math.min(BURST_WINDOW_MS, elapsedMs);
+    if (!(windowMs > 0)) return 0;
+
+    const times = keystrokes.filter(keystroke => keystroke.correct).map(keystroke => keystroke.timestamp);
+    let best = 0;
+    let first = 0;
+
+    times.forEach((time, last) => {
+        while (time - times[first] >= windowMs) first++;
+        best = Math.max(best, last - first + 1);
+    });
+
+    return Math.round((best / METRIC_CHARS_PER_WORD) / (windowMs / 60000));
+}
+
+// Centered moving average; the ends average over what's there
+function smoothSeries(values, radius = SMOOTHING_RADIUS) {
+    return values.map((value, i) => {
+        const window = values.slice(Math.max(0, i - radius), i + radius + 1);
+        return window.reduce((sum, item) => sum + item, 0) / window.length;
+    });
+}
+
+// ========================================
+// CORRECTIONS
+// ========================================
+/**
+ * Accuracy over every keystroke ever typed, so mistakes that
+ * were backspaced away still count against it.
+ */
+function computeErrorCorrectedAccuracy(keystrokes) {
+    if (keystrokes.length === 0) return 100;
+
+    const correct = keystrokes.filter(keystroke => keystroke.correct).length;
+    return Math.round((correct / keystrokes.length) * 100);
+}
+
+function computeAverageCorrectionMs(corrections) {
+    if (corrections.length === 0) return null;
+    return Math.round(corrections.reduce((sum, ms) => sum + ms, 0) / corrections.length);
+}
+
+// ========================================
+// RUN SUMMARY
+// ========================================
+function computeRunMetrics(result) {
+    const keystrokes = result.keystrokes || [];
+    const corrections = result.corrections || [];
+    const consistency = computeConsistency(result.performanceData || []);
+
+    return {
+        consistency: consistency ? consistency.score : null,
+        speedCv: consistency ? consistency.cv : null,
+        burstWpm: computeBurstWpm(keystrokes, result.elapsed * 1000),
+        errorCorrectedAccuracy: computeErrorCorrectedAccuracy(keystrokes),
+        corrections: corrections.length,
+        avgCorrectionMs: computeAverageCorrectionMs(corrections)
+    };
+}
+
+// ========================================
+// MODULE EXPORTS (Node / CommonJS)
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BURST_WINDOW_MS,
+        computeConsistency,
+        computeBurstWpm,
+        smoothSeries,
+        computeErrorCorrectedAccuracy,
+        computeAverageCorrectionMs,
+        computeRunMetrics
+    };
+}
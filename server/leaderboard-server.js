@@ -0,0 +1,443 @@
+/**
+ * ========================================
+ * LEADERBOARD SERVER - LOCAL REST API
+ * Run submission, leaderboards and user
+ * history, in an append-only run log
+ * ========================================
+ *
+ * Runs on Node core modules only, fully offline, and also serves
+ * the client like the race server does:
+ *
+ *   node server/leaderboard-server.js
+ *   PORT=9000 LEADERBOARD_DIR=/tmp/board node server/leaderboard-server.js
+ *
+ * A run's WPM and accuracy are never taken from the client: its
+ * replay (see replay.js) is checked by the anti-cheat validator and
+ * played back through a typing session here. Flagged runs are kept
+ * in the user's history but left off the leaderboards.
+ *
+ * Endpoints (JSON in and out, CORS open for pages on other ports):
+ *
+ *   POST /api/runs
+ *     { user, mode, duration, wordCount, language, lesson, replay }
+ *     -> 201 { run, rank }                rank on its board, all time; null if flagged
+ *   GET  /api/leaderboard?mode=time&duration=60&window=week&limit=20
+ *     -> { entries: [{ place, user, wpm, accuracy, ... }] }   best run per user
+ *   GET  /api/users/<user>/runs?limit=50
+ *     -> { runs: [...] }                  newest first
+ *
+ * Boards are per mode plus the setting that makes runs comparable:
+ * duration (time), wordCount (words, adaptive), language (code) or
+ * lesson (lesson). A submitted run's board is read from its replay -
+ * the words in its text, a snippet of its code language, a drill of
+ * its lesson, a timed run that lasted its time - and the request's
+ * own settings must agree with it. Windows: day, week, month or all.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { serveClientFile, sanitizeName, clampNumber } = require('./race-server');
+const { MAX_RUN_MS, httpError, scoreReplay } = require('./score-replay');
+const { CODE_LANGUAGES, toTabIndentation } = require('../code-snippets');
+const { getLesson, isLessonText } = require('../lessons');
+const { VALIDATION_STATUS, validateKeystrokeLog, describeValidation } = require('../anti-cheat');
+
+// ========================================
+// SERVER CONFIG
+// ========================================
+const DEFAULT_PORT = 8788;
+const DEFAULT_STORE_DIR = path.join(__dirname, 'leaderboard');
+
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const MAX_STORED_RUNS = 50000;
+
+// The log is rewritten down to the kept runs once it holds this many times more
+const LOG_COMPACT_FACTOR = 2;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const RUN_MODES = ['time', 'words', 'quote', 'adaptive', 'code', 'lesson'];
+
+const TIME_WINDOWS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    all: Infinity
+};
+
+// ========================================
+// STORE
+// ========================================
+/**
+ * Runs in `dir`: one JSON line per run in runs.jsonl, appended as
+ * runs arrive, and each run's replay in replays/<id>.json. Only the
+ * run lines are held in memory. A run is on disk before it counts:
+ * if a write fails, the submit fails and the run never ranks.
+ */
+function createRunStore(dir) {
+    const logFile = path.join(dir, 'runs.jsonl');
+    const replayDir = path.join(dir, 'replays');
+    let runs = [];
+    let nextId = 1;
+    let logLines = 0;
+
+    // A failed append may leave half a line; the next record starts on a fresh one
+    let logDirty = false;
+
+    fs.mkdirSync(replayDir, { recursive: true });
+
+    try {
+        fs.readFileSync(logFile, 'utf8').split('\n').forEach(line => {
+            if (!line) return;
+            try {
+                const run = JSON.parse(line);
+                runs.push(run);
+                nextId = Math.max(nextId, run.id + 1);
+                logLines++;
+            } catch (err) {
+                console.warn(`⚠️ Skipping an unreadable line in ${logFile}`);
+            }
+        });
+        runs = runs.slice(-MAX_STORED_RUNS);
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.warn(`⚠️ ${logFile} unreadable, starting with no runs`, err.message);
+        }
+    }
+
+    function getReplayFile(id) {
+        return path.join(replayDir, `${id}.json`);
+    }
+
+    // Synchronous, so a retry under the same id never races the removal
+    function removeReplay(id) {
+        try {
+            fs.rmSync(getReplayFile(id), { force: true });
+        } catch (err) {
+            console.warn(`⚠️ Replay ${id} not removed`, err.message);
+        }
+    }
+
+    function addRun(run, replay) {
+        const stored = { id: nextId, ...run };
+
+        try {
+            fs.writeFileSync(getReplayFile(stored.id), JSON.stringify(replay));
+            fs.appendFileSync(logFile, `${logDirty ? '\n' : ''}${JSON.stringify(stored)}\n`);
+        } catch (err) {
+            logDirty = true;
+            removeReplay(stored.id);
+            throw err;
+        }
+        logDirty = false;
+
+        nextId++;
+        logLines++;
+        runs.push(stored);
+        if (runs.length > MAX_STORED_RUNS) runs = runs.slice(-MAX_STORED_RUNS);
+        if (logLines > MAX_STORED_RUNS * LOG_COMPACT_FACTOR) compactLog();
+        return stored;
+    }
+
+    // The run is already stored, so a failed compaction only waits for the next one
+    function compactLog() {
+        const temp = `${logFile}.tmp`;
+        const kept = new Set(runs.map(run => run.id));
+        try {
+            const dropped = fs.readFileSync(logFile, 'utf8').split('\n')
+                .map(line => {
+                    try {
+                        return JSON.parse(line).id;
+                    } catch (err) {
+                        return null;
+                    }
+                })
+                .filter(id => Number.isInteger(id) && !kept.has(id));
+
+            fs.writeFileSync(temp, runs.map(run => `${JSON.stringify(run)}\n`).join(''));
+            fs.renameSync(temp, logFile);
+            logLines = runs.length;
+            dropped.forEach(removeReplay);
+        } catch (err) {
+            console.warn(`⚠️ ${logFile} not compacted`, err.message);
+        }
+    }
+
+    return {
+        addRun,
+        getRuns: () => runs
+    };
+}
+
+// ========================================
+// BOARDS
+// ========================================
+// The board a run belongs to; unrelated settings are dropped
+function getRunBoard({ mode, duration, wordCount, language, lesson }) {
+    if (!RUN_MODES.includes(mode)) {
+        throw httpError(400, `mode must be one of: ${RUN_MODES.join(', ')}`);
+    }
+
+    const board = { mode, duration: null, wordCount: null, language: null, lesson: null };
+    switch (mode) {
+        case 'time':
+            board.duration = Math.round(clampNumber(duration, 1, MAX_RUN_MS / 1000));
+            break;
+        case 'words':
+        case 'adaptive':
+            board.wordCount = Math.round(clampNumber(wordCount, 1, 1000));
+            break;
+        case 'code':
+            board.language = typeof language === 'string' ? language.slice(0, 32) : null;
+            break;
+        case 'lesson':
+            board.lesson = typeof lesson === 'string' ? lesson.slice(0, 32) : null;
+            break;
+    }
+    return board;
+}
+
+// Words the way the client splits them (splitWords in languages.js)
+function countWords(text) {
+    if (text.includes(' ') || typeof Intl === 'undefined' || !Intl.Segmenter) {
+        return text.split(' ').length;
+    }
+    return Array.from(new Intl.Segmenter(undefined, { granularity: 'word' }).segment(text)).length;
+}
+
+/**
+ * The board a replay was typed for, taken from the replay itself and
+ * checked against its text. Throws if the text can't be from that board.
+ */
+function getReplayBoard(replay) {
+    if (!replay || typeof replay.text !== 'string') throw httpError(400, 'Replay needs its text');
+
+    const board = getRunBoard({
+        mode: replay.mode,
+        duration: replay.duration,
+        wordCount: countWords(replay.text),
+        language: replay.codeLanguage,
+        lesson: replay.lesson
+    });
+
+    if ((board.mode === 'time') !== Boolean(replay.duration)) {
+        throw httpError(400, 'Replay doesn\'t match the mode');
+    }
+    if (board.wordCount !== null && replay.wordCount && replay.wordCount !== board.wordCount) {
+        throw httpError(400, `Replay has ${board.wordCount} words, not ${replay.wordCount}`);
+    }
+    if (board.mode === 'code') {
+        const language = CODE_LANGUAGES[board.language];
+        if (!language || !language.snippets.some(snippet => toTabIndentation(snippet) === replay.text)) {
+            throw httpError(400, 'Replay text isn\'t a snippet of its code language');
+        }
+    }
+    if (board.mode === 'lesson') {
+        const lesson = getLesson(board.lesson);
+        if (!lesson || !isLessonText(lesson, replay.text)) {
+            throw httpError(400, 'Replay text isn\'t a drill of its lesson');
+        }
+    }
+    return board;
+}
+
+function isOnBoard(run, board) {
+    return ['mode', 'duration', 'wordCount', 'language', 'lesson'].every(key => run[key] === board[key]);
+}
+
+// ========================================
+// QUERIES
+// ========================================
+function getLimit(value) {
+    return value ? Math.round(clampNumber(value, 1, MAX_LIMIT)) : DEFAULT_LIMIT;
+}
+
+function isBetterRun(a, b) {
+    return a.wpm !== b.wpm ? a.wpm > b.wpm
+        : a.accuracy !== b.accuracy ? a.accuracy > b.accuracy
+            : a.timestamp < b.timestamp;
+}
+
+/**
+ * Each user's best unflagged run on `board` since the window began,
+ * fastest first; ties go to higher accuracy, then the earlier run.
+ */
+function getLeaderboard(runs, board, { window = 'all', now = Date.now() } = {}) {
+    if (!Object.hasOwn(TIME_WINDOWS, window)) {
+        throw httpError(400, `window must be one of: ${Object.keys(TIME_WINDOWS).join(', ')}`);
+    }
+
+    const since = now - TIME_WINDOWS[window];
+    const bests = new Map();
+    runs.forEach(run => {
+        if (run.flagged || run.timestamp < since || !isOnBoard(run, board)) return;
+
+        const best = bests.get(run.user);
+        if (!best || isBetterRun(run, best)) bests.set(run.user, run);
+    });
+
+    return [...bests.values()]
+        .sort((a, b) => (isBetterRun(a, b) ? -1 : 1))
+        .map((run, i) => ({ place: i + 1, ...run }));
+}
+
+function getUserRuns(runs, user, limit) {
+    return runs.filter(run => run.user === user).slice(-limit).reverse();
+}
+
+// ========================================
+// HTTP HANDLERS
+// ========================================
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw httpError(413, 'Run is too large');
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (err) {
+        throw httpError(400, 'Body must be JSON');
+    }
+}
+
+async function submitRun(store, req) {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object') throw httpError(400, 'Body must be a JSON object');
+
+    const user = sanitizeName(body.user);
+    if (!user) throw httpError(400, 'A user name is required');
+
+    // The settings the client sent must be the ones the replay was typed with
+    const board = getReplayBoard(body.replay);
+    const mismatch = Object.keys(board).find(key => body[key] !== undefined && body[key] !== null && body[key] !== board[key]);
+    if (mismatch) {
+        throw httpError(400, `Run ${mismatch} doesn't match its replay`);
+    }
+    const validation = validateKeystrokeLog(Array.isArray(body.replay && body.replay.events) ? body.replay.events : []);
+    if (validation.status === VALIDATION_STATUS.rejected) {
+        throw httpError(422, `Run rejected: ${describeValidation(validation)}`);
+    }
+    const result = scoreReplay(body.replay);
+
+    // A text typed to the end before the time ran out isn't a timed run
+    if (board.mode === 'time' && result.elapsed < board.duration) {
+        throw httpError(422, 'Timed run ended before its time was up');
+    }
+
+    const run = store.addRun({
+        user,
+        timestamp: Date.now(),
+        ...board,
+        wpm: result.wpm,
+        rawWpm: result.rawWpm,
+        accuracy: result.accuracy,
+        elapsed: Math.round(result.elapsed * 10) / 10,
+        flagged: validation.status === VALIDATION_STATUS.flagged ? describeValidation(validation) : null
+    }, body.replay);
+
+    const entry = run.flagged ? null : getLeaderboard(store.getRuns(), board).find(e => e.user === user);
+    console.log(`🏆 ${user}: ${run.wpm} WPM on ${board.mode}${run.flagged ? ' (flagged)' : ''}`);
+    return { run, rank: entry ? entry.place : null };
+}
+
+function decodePathPart(part) {
+    try {
+        return decodeURIComponent(part);
+    } catch (err) {
+        throw httpError(400, 'Malformed URL escape');
+    }
+}
+
+async function handleApi(store, req, res, url) {
+    if (req.method === 'POST' && url.pathname === '/api/runs') {
+        sendJson(res, 201, await submitRun(store, req));
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/leaderboard') {
+        const params = Object.fromEntries(url.searchParams);
+        const entries = getLeaderboard(store.getRuns(), getRunBoard(params), { window: params.window || 'all' });
+        sendJson(res, 200, { entries: entries.slice(0, getLimit(params.limit)) });
+        return;
+    }
+
+    const userRuns = /^\/api\/users\/([^/]+)\/runs$/.exec(url.pathname);
+    if (req.method === 'GET' && userRuns) {
+        const user = sanitizeName(decodePathPart(userRuns[1]));
+        const runs = getUserRuns(store.getRuns(), user, getLimit(url.searchParams.get('limit')));
+        sendJson(res, 200, { runs });
+        return;
+    }
+
+    throw httpError(404, 'No such endpoint');
+}
+
+function createLeaderboardServer({ dir = DEFAULT_STORE_DIR } = {}) {
+    const store = createRunStore(dir);
+
+    const server = http.createServer((req, res) => {
+        let url;
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch (err) {
+            sendJson(res, 400, { error: 'Malformed URL' });
+            return;
+        }
+        if (!url.pathname.startsWith('/api/')) {
+            serveClientFile(req, res);
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            res.end();
+            return;
+        }
+
+        handleApi(store, req, res, url).catch(err => {
+            if (!err.status) console.error('❌ Leaderboard request failed', err);
+            sendJson(res, err.status || 500, { error: err.status ? err.message : 'Server error' });
+        });
+    });
+
+    server.store = store;
+    return server;
+}
+
+// ========================================
+// CLI ENTRY
+// ========================================
+if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    const host = process.env.HOST || '0.0.0.0';
+    const dir = process.env.LEADERBOARD_DIR || DEFAULT_STORE_DIR;
+
+    createLeaderboardServer({ dir }).listen(port, host, () => {
+        console.log(`🚀 Leaderboard server on http://${host}:${port}/ (runs in ${dir})`);
+    });
+}
+
+module.exports = {
+    createLeaderboardServer,
+    createRunStore,
+    getRunBoard,
+    getLeaderboard
+};
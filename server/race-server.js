@@ -0,0 +1,448 @@
+/**
+ * ========================================
+ * RACE SERVER - LOCAL MULTIPLAYER
+ * Rooms, shared seeded text, a synced
+ * countdown, progress relay and standings
+ * ========================================
+ *
+ * Runs on Node core modules only and also serves the client,
+ * so teammates on the LAN just open http://<host>:8787/
+ *
+ *   node server/race-server.js
+ *   PORT=9000 HOST=127.0.0.1 node server/race-server.js
+ *
+ * Protocol: JSON text frames on ws://<host>:<port>/race
+ *
+ *   client -> server
+ *     { type: 'join', room, name }
+ *     { type: 'start', wordCount }
+ *     { type: 'progress', activeIndex, wpm }
+ *     { type: 'finish', events, wordSkip, stopOnError, confineBackspace }
+ *                                      (events: replay format, see replay.js)
+ *     { type: 'leave' }
+ *
+ *   server -> client
+ *     { type: 'welcome', playerId, room, phase }
+ *     { type: 'players', players: [{ id, name, racing }] }
+ *     { type: 'countdown', seed, text, startsIn }
+ *     { type: 'go' }
+ *     { type: 'progress', playerId, activeIndex, wpm }
+ *     { type: 'standings', final, standings: [{ place, id, name, finished, rejected, activeIndex, wpm, accuracy, elapsed, missed }] }
+ *     { type: 'error', message }
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { acceptWebSocket } = require('./websocket');
+const { createSeed, generateAdaptiveText } = require('../adaptive-text');
+const { VALIDATION_STATUS, validateKeystrokeLog, describeValidation } = require('../anti-cheat');
+const { scoreReplay } = require('./score-replay');
+
+// ========================================
+// SERVER CONFIG
+// ========================================
+const DEFAULT_PORT = 8787;
+const RACE_PATH = '/race';
+const CLIENT_ROOT = path.resolve(__dirname, '..');
+
+const COUNTDOWN_MS = 3000;
+const MAX_RACE_MS = 5 * 60 * 1000;
+// Timer jitter allowed between the server's 'go' and a client's clock
+const CLOCK_SLACK_MS = 1000;
+const DEFAULT_RACE_WORDS = 30;
+const MIN_RACE_WORDS = 5;
+const MAX_RACE_WORDS = 200;
+const MAX_NAME_LENGTH = 24;
+const ROOM_ID_PATTERN = /^[\w-]{1,32}$/;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// ========================================
+// ROOMS
+// ========================================
+function createRoomRegistry() {
+    const rooms = new Map();
+    let nextPlayerId = 1;
+
+    function getRoom(id) {
+        if (!rooms.has(id)) {
+            rooms.set(id, {
+                id,
+                players: new Map(),
+                phase: 'lobby',
+                seed: null,
+                text: '',
+                goAt: null,
+                timers: []
+            });
+            console.log(`🏁 Room "${id}" opened`);
+        }
+        return rooms.get(id);
+    }
+
+    function closeRoomIfEmpty(room) {
+        if (room.players.size > 0) return;
+
+        clearRoomTimers(room);
+        rooms.delete(room.id);
+        console.log(`🏁 Room "${room.id}" closed`);
+    }
+
+    function createPlayer(connection, name) {
+        const id = nextPlayerId++;
+        return {
+            id,
+            name: sanitizeName(name) || `Player ${id}`,
+            connection,
+            racing: false,
+            activeIndex: 0,
+            wpm: 0,
+            result: null,
+            rejected: null
+        };
+    }
+
+    return { rooms, getRoom, closeRoomIfEmpty, createPlayer };
+}
+
+function sanitizeName(name) {
+    return typeof name === 'string' ? name.replace(/[\x00-\x1F]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+function clampNumber(value, min, max) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : min;
+}
+
+function clearRoomTimers(room) {
+    room.timers.forEach(timer => clearTimeout(timer));
+    room.timers = [];
+}
+
+// ========================================
+// BROADCAST
+// ========================================
+function send(player, message) {
+    player.connection.send(JSON.stringify(message));
+}
+
+function broadcast(room, message) {
+    const payload = JSON.stringify(message);
+    room.players.forEach(player => player.connection.send(payload));
+}
+
+function broadcastPlayers(room) {
+    broadcast(room, {
+        type: 'players',
+        players: [...room.players.values()].map(({ id, name, racing }) => ({ id, name, racing }))
+    });
+}
+
+/**
+ * Finishers rank by time over the shared text, and a run that skipped
+ * letters (wordSkip) behind every clean one; everyone still typing
+ * ranks behind them by how far they got. Rejected runs come last.
+ */
+function computeStandings(room) {
+    return [...room.players.values()]
+        .filter(player => player.racing)
+        .sort((a, b) => {
+            if (Boolean(a.rejected) !== Boolean(b.rejected)) return a.rejected ? 1 : -1;
+            if (a.result && b.result) {
+                return (a.result.missedChars > 0) - (b.result.missedChars > 0) ||
+                    a.result.elapsed - b.result.elapsed;
+            }
+            if (a.result || b.result) return a.result ? -1 : 1;
+            return b.activeIndex - a.activeIndex;
+        })
+        .map((player, i) => ({
+            place: i + 1,
+            id: player.id,
+            name: player.name,
+            finished: player.result !== null,
+            rejected: player.rejected,
+            activeIndex: player.activeIndex,
+            wpm: player.result ? player.result.wpm : player.wpm,
+            accuracy: player.result ? player.result.accuracy : null,
+            elapsed: player.result ? player.result.elapsed : null,
+            missed: player.result ? player.result.missedChars : null
+        }));
+}
+
+// ========================================
+// RACE FLOW
+// ========================================
+function startCountdown(room, wordCount) {
+    const count = Math.round(clampNumber(wordCount || DEFAULT_RACE_WORDS, MIN_RACE_WORDS, MAX_RACE_WORDS));
+
+    room.phase = 'countdown';
+    room.seed = createSeed();
+    room.text = generateAdaptiveText({ seed: room.seed, count });
+    room.goAt = null;
+
+    room.players.forEach(player => {
+        player.racing = true;
+        player.activeIndex = 0;
+        player.wpm = 0;
+        player.result = null;
+        player.rejected = null;
+    });
+
+    broadcastPlayers(room);
+    broadcast(room, { type: 'countdown', seed: room.seed, text: room.text, startsIn: COUNTDOWN_MS });
+
+    room.timers.push(setTimeout(() => {
+        room.phase = 'racing';
+        room.goAt = Date.now();
+        broadcast(room, { type: 'go' });
+    }, COUNTDOWN_MS));
+
+    // Nobody waits forever on an idle racer
+    room.timers.push(setTimeout(() => finishRace(room), COUNTDOWN_MS + MAX_RACE_MS));
+
+    console.log(`⏱️ Room "${room.id}" counting down (${count} words, seed ${room.seed})`);
+}
+
+function finishRace(room) {
+    if (room.phase === 'lobby') return;
+
+    clearRoomTimers(room);
+    room.phase = 'lobby';
+    broadcast(room, { type: 'standings', final: true, standings: computeStandings(room) });
+
+    console.log(`✅ Room "${room.id}" race finished`);
+}
+
+function checkRaceComplete(room) {
+    const racers = [...room.players.values()].filter(player => player.racing);
+    if (racers.every(player => player.result !== null || player.rejected !== null)) {
+        finishRace(room);
+    }
+}
+
+// ========================================
+// MESSAGE HANDLING
+// ========================================
+function handleMessage(registry, client, message) {
+    const { player } = client;
+    const room = client.room;
+
+    switch (message.type) {
+        case 'join': {
+            if (room) {
+                send(player, { type: 'error', message: 'Already in a room' });
+                return;
+            }
+            if (!ROOM_ID_PATTERN.test(message.room || '')) {
+                client.connection.send(JSON.stringify({ type: 'error', message: 'Room names use letters, digits, - and _' }));
+                return;
+            }
+
+            client.room = registry.getRoom(message.room);
+            client.player = registry.createPlayer(client.connection, message.name);
+            client.room.players.set(client.player.id, client.player);
+
+            send(client.player, {
+                type: 'welcome',
+                playerId: client.player.id,
+                room: client.room.id,
+                phase: client.room.phase
+            });
+            broadcastPlayers(client.room);
+            return;
+        }
+        case 'start':
+            if (!room) return;
+            if (room.phase !== 'lobby') {
+                send(player, { type: 'error', message: 'A race is already running' });
+                return;
+            }
+            startCountdown(room, message.wordCount);
+            return;
+        case 'progress':
+            if (!room || room.phase !== 'racing' || !player.racing || player.result || player.rejected) return;
+
+            player.activeIndex = Math.round(clampNumber(message.activeIndex, 0, room.text.length));
+            player.wpm = Math.round(clampNumber(message.wpm, 0, 1000));
+            broadcast(room, {
+                type: 'progress',
+                playerId: player.id,
+                activeIndex: player.activeIndex,
+                wpm: player.wpm
+            });
+            return;
+        case 'finish': {
+            if (!room || room.phase !== 'racing' || !player.racing || player.result || player.rejected) return;
+
+            // Same validator as the client; a missing log can't be checked, so it's rejected too
+            const validation = Array.isArray(message.events) ? validateKeystrokeLog(message.events) : null;
+            if (!validation || validation.status === VALIDATION_STATUS.rejected) {
+                rejectRun(room, player, validation ? describeValidation(validation) : 'No keystroke log');
+            } else {
+                // The standings come from the keystrokes typed over the room's text, not the client's numbers
+                try {
+                    const result = scoreReplay({
+                        text: room.text,
+                        duration: null,
+                        wordSkip: message.wordSkip,
+                        stopOnError: message.stopOnError,
+                        confineBackspace: message.confineBackspace,
+                        events: message.events
+                    });
+
+                    // Nobody types for longer than the race has been running
+                    const elapsed = Math.round(result.elapsed * 1000);
+                    if (elapsed > Date.now() - room.goAt + CLOCK_SLACK_MS) {
+                        rejectRun(room, player, 'Run is longer than the race');
+                    } else {
+                        player.activeIndex = room.text.length;
+                        player.result = {
+                            wpm: result.wpm,
+                            accuracy: result.accuracy,
+                            elapsed: Math.min(elapsed, MAX_RACE_MS),
+                            missedChars: result.missedChars
+                        };
+                    }
+                } catch (err) {
+                    rejectRun(room, player, err.message);
+                }
+            }
+
+            broadcast(room, { type: 'standings', final: false, standings: computeStandings(room) });
+            checkRaceComplete(room);
+            return;
+        }
+        case 'leave':
+            leaveRoom(registry, client);
+            return;
+        default:
+            client.connection.send(JSON.stringify({ type: 'error', message: `Unknown message "${message.type}"` }));
+    }
+}
+
+function rejectRun(room, player, reason) {
+    player.rejected = reason;
+    send(player, { type: 'error', message: `Run rejected: ${reason}` });
+    console.log(`⚠️ Room "${room.id}" rejected ${player.name}: ${reason}`);
+}
+
+function leaveRoom(registry, client) {
+    const { room, player } = client;
+    if (!room) return;
+
+    room.players.delete(player.id);
+    client.room = null;
+    client.player = null;
+
+    broadcastPlayers(room);
+    if (room.phase !== 'lobby') {
+        checkRaceComplete(room);
+    }
+    registry.closeRoomIfEmpty(room);
+}
+
+// ========================================
+// HTTP + UPGRADE
+// ========================================
+// Serves the browser client from the repo root; server code stays private
+function serveClientFile(req, res) {
+    // A malformed escape ('%E0%A4%A') is the client's mistake, not a crash
+    let relative;
+    try {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (err) {
+        res.writeHead(400).end();
+        return;
+    }
+
+    const filePath = path.resolve(CLIENT_ROOT, `.${relative}`);
+    const isPrivate = relative.split('/').some(part => part.startsWith('.')) ||
+        filePath.startsWith(__dirname + path.sep);
+
+    if (req.method !== 'GET' || !filePath.startsWith(CLIENT_ROOT + path.sep) || isPrivate) {
+        res.writeHead(404).end();
+        return;
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404).end();
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+        });
+        res.end(data);
+    });
+}
+
+function createRaceServer() {
+    const registry = createRoomRegistry();
+    const server = http.createServer(serveClientFile);
+
+    server.on('upgrade', (req, socket) => {
+        // An unparseable URL ('//') is answered like one on the HTTP path
+        let pathname;
+        try {
+            ({ pathname } = new URL(req.url, 'http://localhost'));
+        } catch (err) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (pathname !== RACE_PATH) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+
+        const connection = acceptWebSocket(req, socket);
+        if (!connection) return;
+
+        const client = { connection, room: null, player: null };
+
+        connection.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (err) {
+                connection.send(JSON.stringify({ type: 'error', message: 'Messages must be JSON' }));
+                return;
+            }
+            if (message && typeof message === 'object') {
+                handleMessage(registry, client, message);
+            }
+        });
+        connection.on('close', () => leaveRoom(registry, client));
+    });
+
+    server.registry = registry;
+    return server;
+}
+
+// ========================================
+// CLI ENTRY
+// ========================================
+if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    const host = process.env.HOST || '0.0.0.0';
+
+    createRaceServer().listen(port, host, () => {
+        console.log(`🚀 Race server on http://${host}:${port}/ (WebSocket ${RACE_PATH})`);
+    });
+}
+
+module.exports = {
+    createRaceServer,
+    computeStandings,
+    serveClientFile,
+    sanitizeName,
+    clampNumber
+};
@@ -0,0 +1,92 @@
+/**
+ * ========================================
+ * SCORE REPLAY - SERVER-SIDE SCORING
+ * Plays a keystroke log back through a
+ * fresh typing session
+ * ========================================
+ *
+ * The race and leaderboard servers never take WPM or accuracy
+ * from a client; they score its events here instead:
+ *
+ *   const { scoreReplay } = require('./score-replay');
+ *   const result = scoreReplay({ text, duration: null, events });
+ *
+ * Errors carry an HTTP `status`: 400 for a malformed replay,
+ * 422 for one that never finishes its text or time.
+ */
+
+const { createTypingSession } = require('../typing-session');
+
+// ========================================
+// SCORING CONFIG
+// ========================================
+const MAX_TEXT_LENGTH = 20000;
+const MAX_RUN_MS = 60 * 60 * 1000;
+
+// Backspace in replay events (REPLAY_BACKSPACE in replay.js)
+const REPLAY_BACKSPACE = '\b';
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// ========================================
+// SCORING
+// ========================================
+/**
+ * Plays a replay back through a fresh session and returns its result,
+ * or throws if the replay is malformed or never finishes.
+ */
+function scoreReplay(replay) {
+    if (!replay || typeof replay.text !== 'string' || replay.text.length === 0 ||
+        replay.text.length > MAX_TEXT_LENGTH) {
+        throw httpError(400, 'Replay needs its text');
+    }
+    if (!Array.isArray(replay.events) || replay.events.length === 0 ||
+        !replay.events.every(e => Array.isArray(e) && Number.isFinite(e[0]) && typeof e[1] === 'string')) {
+        throw httpError(400, 'Replay needs its keystroke events');
+    }
+
+    const duration = replay.duration ? Math.min(Math.max(Number(replay.duration), 1), MAX_RUN_MS / 1000) : null;
+    const session = createTypingSession({
+        text: replay.text,
+        duration,
+        skipIndentation: Boolean(replay.skipIndentation),
+        wordSkip: Boolean(replay.wordSkip),
+        stopOnError: Boolean(replay.stopOnError),
+        confineBackspace: Boolean(replay.confineBackspace)
+    });
+
+    let result = null;
+    session.subscribe(event => {
+        if (event.type === 'finish') result = event.result;
+    });
+
+    replay.events.forEach(([time, key, trusted]) => {
+        if (result) return;
+        session.tick(time);
+        if (result) return;
+        if (key === REPLAY_BACKSPACE) {
+            session.backspace(time, trusted !== 0);
+        } else {
+            session.input(key, time, trusted !== 0);
+        }
+    });
+    if (!result && duration) {
+        session.tick(session.state.startTime + duration * 1000);
+    }
+
+    if (!result) {
+        throw httpError(422, 'Run did not finish');
+    }
+    return result;
+}
+
+module.exports = {
+    MAX_TEXT_LENGTH,
+    MAX_RUN_MS,
+    httpError,
+    scoreReplay
+};
@@ -0,0 +1,52 @@
+/**
+ * ========================================
+ * VALIDATE LOG - ANTI-CHEAT CLI
+ * Runs the client's keystroke validator
+ * against uploaded replay files
+ * ========================================
+ *
+ *   node server/validate-log.js run.json [more.json ...]
+ *
+ * Accepts exported replays ({ events }) or a bare events /
+ * inputLog array. Exits 1 if any log is rejected.
+ */
+
+const fs = require('fs');
+const { VALIDATION_STATUS, validateKeystrokeLog, describeValidation } = require('../anti-cheat');
+
+function readLog(file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const log = Array.isArray(parsed) ? parsed : parsed && parsed.events;
+
+    if (!Array.isArray(log)) {
+        throw new Error('Expected a replay with events or a keystroke array');
+    }
+    return log;
+}
+
+function main(files) {
+    if (files.length === 0) {
+        console.error('Usage: node server/validate-log.js <replay.json> [...]');
+        return 2;
+    }
+
+    let exitCode = 0;
+    files.forEach(file => {
+        try {
+            const validation = validateKeystrokeLog(readLog(file));
+            const detail = validation.reasons.length > 0 ? ` - ${describeValidation(validation)}` : '';
+
+            console.log(`${file}: ${validation.status}${detail}`);
+            console.log(`  ${JSON.stringify(validation.stats)}`);
+
+            if (validation.status === VALIDATION_STATUS.rejected) exitCode = 1;
+        } catch (err) {
+            console.error(`${file}: unreadable - ${err.message}`);
+            exitCode = 1;
+        }
+    });
+
+    return exitCode;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,251 @@
+/**
+ * ========================================
+ * WEBSOCKET - MINIMAL RFC 6455 SERVER SIDE
+ * Handshake and text framing on Node core
+ * modules, so the race server needs no install
+ * ========================================
+ *
+ *   server.on('upgrade', (req, socket) => {
+ *       const ws = acceptWebSocket(req, socket);
+ *       if (!ws) return;
+ *       ws.on('message', text => ws.send(text));
+ *   });
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// ========================================
+// PROTOCOL CONSTANTS
+// ========================================
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Race messages are tiny; anything bigger is a misbehaving client
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+const CLOSE_CODES = {
+    normal: 1000,
+    protocolError: 1002,
+    unsupportedData: 1003,
+    tooBig: 1009
+};
+
+// ========================================
+// HANDSHAKE
+// ========================================
+function createAcceptKey(key) {
+    return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Completes the upgrade handshake and wraps the socket.
+ * Returns null (and rejects the socket) for non-WebSocket requests.
+ */
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const upgrade = (req.headers.upgrade || '').toLowerCase();
+
+    if (upgrade !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${createAcceptKey(key)}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return createConnection(socket);
+}
+
+// ========================================
+// FRAMING
+// ========================================
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    // Server frames are always final and never masked
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Reads one frame from the front of `buffer`.
+ * Returns null until the whole frame has arrived.
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        length = longLength > BigInt(MAX_PAYLOAD_BYTES) ? Infinity : Number(longLength);
+        offset = 10;
+    }
+
+    if (length > MAX_PAYLOAD_BYTES) {
+        return { error: CLOSE_CODES.tooBig };
+    }
+
+    // Clients must mask every frame
+    if (!masked) {
+        return { error: CLOSE_CODES.protocolError };
+    }
+
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+
+    return { fin, opcode, payload, size: offset + 4 + length };
+}
+
+// ========================================
+// CONNECTION
+// ========================================
+/**
+ * Emits 'message' (text) and 'close' (code). Binary frames
+ * are refused since the race protocol is JSON text only.
+ */
+function createConnection(socket) {
+    const connection = new EventEmitter();
+    let buffer = Buffer.alloc(0);
+    let fragments = null;
+    let closed = false;
+
+    function write(opcode, payload) {
+        if (!closed && socket.writable) {
+            socket.write(encodeFrame(opcode, payload));
+        }
+    }
+
+    function close(code = CLOSE_CODES.normal) {
+        if (closed) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        write(OPCODES.close, payload);
+
+        closed = true;
+        socket.end();
+        connection.emit('close', code);
+    }
+
+    function handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.ping:
+                write(OPCODES.pong, payload);
+                return;
+            case OPCODES.pong:
+                return;
+            case OPCODES.close:
+                close(payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.normal);
+                return;
+            case OPCODES.binary:
+                close(CLOSE_CODES.unsupportedData);
+                return;
+            case OPCODES.text:
+                fragments = [payload];
+                break;
+            case OPCODES.continuation:
+                if (!fragments) {
+                    close(CLOSE_CODES.protocolError);
+                    return;
+                }
+                fragments.push(payload);
+                break;
+            default:
+                close(CLOSE_CODES.protocolError);
+                return;
+        }
+
+        const message = Buffer.concat(fragments);
+        if (message.length > MAX_PAYLOAD_BYTES) {
+            close(CLOSE_CODES.tooBig);
+            return;
+        }
+        if (!fin) return;
+
+        fragments = null;
+        connection.emit('message', message.toString('utf8'));
+    }
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (!closed) {
+            const frame = decodeFrame(buffer);
+            if (!frame) break;
+
+            if (frame.error) {
+                close(frame.error);
+                break;
+            }
+
+            buffer = buffer.subarray(frame.size);
+            handleFrame(frame);
+        }
+    });
+
+    // Drops without a close frame (tab closed, network gone)
+    socket.on('close', () => {
+        if (closed) return;
+        closed = true;
+        connection.emit('close', null);
+    });
+    socket.on('error', () => socket.destroy());
+
+    connection.send = (text) => write(OPCODES.text, Buffer.from(text, 'utf8'));
+    connection.close = close;
+
+    return connection;
+}
+
+// ========================================
+// MODULE EXPORTS
+// ========================================
+module.exports = {
+    acceptWebSocket,
+    encodeFrame,
+    decodeFrame
+};
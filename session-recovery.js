@@ -0,0 +1,254 @@
+/**
+ * ========================================
+ * PAUSE & RECOVERY - GLASS HUD
+ * Pauses a test on focus loss with a
+ * resume countdown; restores it on reload
+ * ========================================
+ *
+ * The session clock excludes paused time (see typing-session.js),
+ * so speed and the timer carry on from where they stopped. While a
+ * test runs it is snapshotted to localStorage in replay format with
+ * its elapsed time; after a reload the events are fed into a fresh
+ * session, which waits paused until the user resumes.
+ */
+
+// ========================================
+// RECOVERY CONFIG
+// ========================================
+const SESSION_SNAPSHOT_KEY = 'glass-hud.session';
+const SESSION_SNAPSHOT_VERSION = 1;
+
+// A running test is snapshotted at most this often (and on pause / page hide)
+const SNAPSHOT_INTERVAL_MS = 1000;
+
+// Older snapshots are dropped instead of restored
+const SNAPSHOT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const RESUME_COUNTDOWN_SECONDS = 3;
+
+const pauseState = {
+    countdownTimer: null,
+    countdownLeft: 0,
+    lastSnapshotAt: -Infinity
+};
+
+// ========================================
+// PAUSE VIEW
+// ========================================
+function initSessionRecovery() {
+    DOM.pauseOverlay = document.getElementById('pause-overlay');
+    DOM.pauseMessage = document.getElementById('pause-message');
+    DOM.pauseCountdown = document.getElementById('pause-countdown');
+    DOM.pauseResumeBtn = document.getElementById('pause-resume-btn');
+    DOM.pauseRestartBtn = document.getElementById('pause-restart-btn');
+
+    window.addEventListener('blur', handleFocusLoss);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) handleFocusLoss();
+    });
+    window.addEventListener('pagehide', saveSessionSnapshot);
+
+    DOM.pauseResumeBtn.addEventListener('click', beginResumeCountdown);
+    DOM.pauseRestartBtn.addEventListener('click', () => {
+        hidePause();
+        restartTest();
+    });
+
+    // Any key resumes; buttons handle their own Enter/Space
+    window.addEventListener('keydown', (e) => {
+        if (!DOM.pauseOverlay.classList.contains('show')) return;
+        if (isModifierKey(e.key) || (e.target instanceof Element && e.target.closest('button'))) return;
+
+        e.preventDefault();
+        beginResumeCountdown();
+    });
+}
+
+function canPause() {
+    return isTestRunning() && !state.session.state.isPaused && !isReplaying() && !getRaceText();
+}
+
+function handleFocusLoss() {
+    // Tabbing away mid-countdown means staying paused
+    if (pauseState.countdownTimer) {
+        cancelResumeCountdown();
+        return;
+    }
+
+    if (getSetting('pauseOnBlur') && canPause()) {
+        pauseTest('Paused: the window lost focus');
+    } else {
+        // The page may not come back (mobile tab discards), so keep a fresh copy
+        saveSessionSnapshot();
+    }
+}
+
+function pauseTest(message) {
+    state.session.pause(performance.now());
+    showPause(message);
+}
+
+function showPause(message) {
+    DOM.pauseMessage.textContent = message;
+    DOM.pauseCountdown.textContent = '';
+    openDialog(DOM.pauseOverlay);
+}
+
+function hidePause() {
+    cancelResumeCountdown();
+    closeDialog(DOM.pauseOverlay);
+}
+
+// ========================================
+// RESUME COUNTDOWN
+// ========================================
+function beginResumeCountdown() {
+    if (pauseState.countdownTimer) return;
+
+    pauseState.countdownLeft = RESUME_COUNTDOWN_SECONDS;
+    DOM.pauseCountdown.textContent = pauseState.countdownLeft;
+
+    pauseState.countdownTimer = setInterval(() => {
+        pauseState.countdownLeft--;
+        if (pauseState.countdownLeft > 0) {
+            DOM.pauseCountdown.textContent = pauseState.countdownLeft;
+            return;
+        }
+
+        hidePause();
+        state.session.resume(performance.now());
+    }, 1000);
+}
+
+function cancelResumeCountdown() {
+    clearInterval(pauseState.countdownTimer);
+    pauseState.countdownTimer = null;
+    DOM.pauseCountdown.textContent = '';
+}
+
+// ========================================
+// SNAPSHOTS
+// ========================================
+// Session subscriber: keeps the snapshot current while a test runs
+function snapshotSessionEvent(event) {
+    switch (event.type) {
+        case 'tick':
+            if (event.timestamp - pauseState.lastSnapshotAt >= SNAPSHOT_INTERVAL_MS) {
+                pauseState.lastSnapshotAt = event.timestamp;
+                saveSessionSnapshot();
+            }
+            break;
+        case 'pause':
+            saveSessionSnapshot();
+            break;
+        case 'finish':
+            clearSessionSnapshot();
+            break;
+    }
+}
+
+function canSnapshot() {
+    const { isStarted, isFinished } = state.session.state;
+    return isStarted && !isFinished && !isReplaying() && !getRaceText();
+}
+
+function saveSessionSnapshot() {
+    if (!canSnapshot()) return;
+
+    const settings = getRunSettings();
+    const snapshot = {
+        version: SESSION_SNAPSHOT_VERSION,
+        savedAt: Date.now(),
+        elapsedMs: state.session.getMetrics(performance.now()).elapsed * 1000,
+        settings,
+        textSource: state.textSource,
+        textSeed: state.textSeed,
+        textWeakness: state.textWeakness,
+        replay: buildReplay(state.session, {
+            label: getModeLabel(),
+            settings,
+            codeLanguage: state.testMode === 'code' ? state.codeLanguage : null
+        })
+    };
+
+    try {
+        localStorage.setItem(SESSION_SNAPSHOT_KEY, JSON.stringify(snapshot));
+    } catch (err) {
+        console.warn('⚠️ Run snapshot could not be saved', err);
+    }
+}
+
+function clearSessionSnapshot() {
+    localStorage.removeItem(SESSION_SNAPSHOT_KEY);
+    pauseState.lastSnapshotAt = -Infinity;
+}
+
+function loadSessionSnapshot() {
+    try {
+        const snapshot = JSON.parse(localStorage.getItem(SESSION_SNAPSHOT_KEY));
+        if (!snapshot || snapshot.version !== SESSION_SNAPSHOT_VERSION) return null;
+        if (!(Date.now() - snapshot.savedAt < SNAPSHOT_MAX_AGE_MS)) return null;
+        if (!Number.isFinite(snapshot.elapsedMs) || !snapshot.settings) return null;
+
+        validateReplay(snapshot.replay);
+        return snapshot;
+    } catch (err) {
+        console.warn('⚠️ Run snapshot unreadable, discarding', err);
+        return null;
+    }
+}
+
+// ========================================
+// RESTORE
+// ========================================
+/**
+ * Rebuilds an unfinished run from the last snapshot and leaves it
+ * paused. Returns whether there was one to restore.
+ */
+function restoreSessionSnapshot() {
+    const snapshot = loadSessionSnapshot();
+    if (!snapshot) {
+        clearSessionSnapshot();
+        return false;
+    }
+
+    const { replay } = snapshot;
+    applyRunSettings(snapshot.settings);
+    if (state.testMode === 'code') {
+        state.skipIndentation = Boolean(replay.skipIndentation);
+        DOM.skipIndentToggle.classList.toggle('active', state.skipIndentation);
+        DOM.skipIndentToggle.setAttribute('aria-pressed', state.skipIndentation);
+    }
+    state.text = replay.text;
+    state.textSource = snapshot.textSource;
+    state.textSeed = snapshot.textSeed;
+    state.textWeakness = isValidWeakness(snapshot.textWeakness) ? snapshot.textWeakness : null;
+
+    // Replayed on a clock that ends now, before the renderers subscribe
+    const session = createTypingSession(getReplaySessionOptions(replay));
+    const now = performance.now();
+    const startTime = now - snapshot.elapsedMs;
+    replay.events.forEach(([time, key, trusted]) => {
+        if (key === REPLAY_BACKSPACE) {
+            session.backspace(startTime + time, trusted !== 0);
+        } else {
+            session.input(key, startTime + time, trusted !== 0);
+        }
+    });
+    if (!session.state.isStarted || session.state.isFinished) {
+        clearSessionSnapshot();
+        return false;
+    }
+    session.pause(now);
+
+    prepareGhost();
+    attachSession(session);
+    renderTestText();
+    setViewResults(session.state.results, session.state.extras);
+    renderSessionMetrics(now);
+    requestAnimationFrame(updateCursorPosition);
+
+    showPause('Your unfinished run was restored');
+    console.log(`♻️ Restored run at ${(snapshot.elapsedMs / 1000).toFixed(1)}s`);
+    return true;
+}
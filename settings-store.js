@@ -0,0 +1,222 @@
+/**
+ * ========================================
+ * SETTINGS STORE - HEADLESS
+ * Typed, validated preferences persisted
+ * to a Storage (localStorage in the app)
+ * ========================================
+ *
+ * Every setting is declared once in SETTINGS_SCHEMA with its type,
+ * bounds and default. Values are checked on the way in (set) and
+ * on the way back out of storage, so the rest of the app can trust
+ * what get() returns.
+ */
+
+/**
+ * @typedef {Object} Settings
+ * @property {'time'|'words'|'quote'|'adaptive'|'code'|'lesson'} defaultMode
+ * @property {number} defaultDuration    seconds, within DURATION_RANGE
+ * @property {'block'|'line'|'underline'} cursorStyle
+ * @property {'smooth'|'jump'} cursorMotion
+ * @property {number} velocityThreshold  WPM at which the velocity glow starts
+ * @property {boolean} pauseOnBlur       pause a running test when the window loses focus
+ * @property {number} dailyGoalMinutes   practice minutes that complete a day's goal
+ * @property {number} dailyGoalWpm       WPM a run must reach on that day too
+ * @property {string} fontFamily         key of FONT_FAMILIES
+ * @property {number} fontSize           px
+ * @property {boolean} sound
+ * @property {string} soundProfile       key of SOUND_PROFILES
+ * @property {boolean} metronome         beat once per word while a test runs
+ * @property {number} metronomeWpm       metronome pace
+ * @property {number} volume             0-100
+ * @property {string} theme              key of THEMES
+ */
+
+// ========================================
+// SCHEMA
+// ========================================
+const SETTINGS_STORAGE_KEY = 'glass-hud.settings';
+
+// Custom timed-test bounds, in seconds
+const DURATION_RANGE = { min: 5, max: 300 };
+
+const FONT_FAMILIES = {
+    jetbrains: { label: 'JetBrains Mono', stack: "'JetBrains Mono', monospace" },
+    system: { label: 'System mono', stack: 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace' },
+    courier: { label: 'Courier', stack: "'Courier New', Courier, monospace" }
+};
+
+// Synthesis for each profile lives in audio.js under SOUND_VOICES
+const SOUND_PROFILES = {
+    click: 'Click',
+    thock: 'Thock',
+    typewriter: 'Typewriter',
+    bubble: 'Bubble'
+};
+
+// Colors for each theme live in styles.css under [data-theme]
+const THEMES = {
+    glass: 'Glass',
+    matrix: 'Matrix',
+    ember: 'Ember',
+    paper: 'Paper'
+};
+
+const SETTINGS_SCHEMA = {
+    // Matches TEST_MODES in engine.js
+    defaultMode: { type: 'enum', values: ['time', 'words', 'quote', 'adaptive', 'code', 'lesson'], default: 'time' },
+    defaultDuration: { type: 'number', min: DURATION_RANGE.min, max: DURATION_RANGE.max, default: 60 },
+    cursorStyle: { type: 'enum', values: ['block', 'line', 'underline'], default: 'block' },
+    cursorMotion: { type: 'enum', values: ['smooth', 'jump'], default: 'smooth' },
+    velocityThreshold: { type: 'number', min: 20, max: 250, default: 80 },
+    pauseOnBlur: { type: 'boolean', default: true },
+    dailyGoalMinutes: { type: 'number', min: 1, max: 240, default: 10 },
+    dailyGoalWpm: { type: 'number', min: 10, max: 250, default: 40 },
+    fontFamily: { type: 'enum', values: Object.keys(FONT_FAMILIES), default: 'jetbrains' },
+    fontSize: { type: 'number', min: 14, max: 40, default: 24 },
+    sound: { type: 'boolean', default: false },
+    soundProfile: { type: 'enum', values: Object.keys(SOUND_PROFILES), default: 'click' },
+    metronome: { type: 'boolean', default: false },
+    metronomeWpm: { type: 'number', min: 10, max: 250, default: 60 },
+    volume: { type: 'number', min: 0, max: 100, default: 50 },
+    theme: { type: 'enum', values: Object.keys(THEMES), default: 'glass' }
+};
+
+// ========================================
+// VALIDATION
+// ========================================
+/**
+ * The value as the setting stores it. Numbers are rounded and
+ * clamped to range; anything of the wrong type throws.
+ */
+function coerceSetting(name, value) {
+    const field = SETTINGS_SCHEMA[name];
+    if (!field) {
+        throw new Error(`Unknown setting "${name}"`);
+    }
+
+    switch (field.type) {
+        case 'enum':
+            if (!field.values.includes(value)) {
+                throw new Error(`${name} must be one of: ${field.values.join(', ')}`);
+            }
+            return value;
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+            if (!Number.isFinite(number)) {
+                throw new Error(`${name} must be a number`);
+            }
+            return Math.min(field.max, Math.max(field.min, Math.round(number)));
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                throw new Error(`${name} must be true or false`);
+            }
+            return value;
+        default:
+            throw new Error(`Setting "${name}" has unknown type ${field.type}`);
+    }
+}
+
+/** @returns {Settings} */
+function getDefaultSettings() {
+    return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([name, field]) => [name, field.default]));
+}
+
+// Unknown keys are dropped; invalid values fall back to their default
+function parseSettings(raw) {
+    const settings = getDefaultSettings();
+    if (!raw || typeof raw !== 'object') return settings;
+
+    Object.keys(SETTINGS_SCHEMA).forEach(name => {
+        if (!(name in raw)) return;
+        try {
+            settings[name] = coerceSetting(name, raw[name]);
+        } catch (err) {
+            // Keep the default
+        }
+    });
+
+    return settings;
+}
+
+// ========================================
+// STORE
+// ========================================
+/**
+ * Creates a store over `storage` (anything with getItem/setItem).
+ * Listeners get (name, value, store) after each change.
+ */
+function createSettingsStore(storage, key = SETTINGS_STORAGE_KEY) {
+    let settings = getDefaultSettings();
+    try {
+        settings = parseSettings(JSON.parse(storage.getItem(key)));
+    } catch (err) {
+        console.warn('⚠️ Settings unreadable, using defaults', err);
+    }
+
+    const listeners = new Set();
+
+    function persist() {
+        storage.setItem(key, JSON.stringify(settings));
+    }
+
+    function notify(name) {
+        listeners.forEach(listener => listener(name, settings[name], store));
+    }
+
+    function get(name) {
+        if (!(name in SETTINGS_SCHEMA)) {
+            throw new Error(`Unknown setting "${name}"`);
+        }
+        return settings[name];
+    }
+
+    /** @returns {Settings} */
+    function getAll() {
+        return { ...settings };
+    }
+
+    function set(name, value) {
+        const next = coerceSetting(name, value);
+        if (next === settings[name]) return next;
+
+        settings[name] = next;
+        persist();
+        notify(name);
+        return next;
+    }
+
+    function reset() {
+        const previous = settings;
+        settings = getDefaultSettings();
+        persist();
+
+        Object.keys(settings)
+            .filter(name => settings[name] !== previous[name])
+            .forEach(notify);
+    }
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    const store = { get, getAll, set, reset, subscribe };
+    return store;
+}
+
+// ========================================
+// MODULE EXPORTS (Node / CommonJS)
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DURATION_RANGE,
+        FONT_FAMILIES,
+        THEMES,
+        SETTINGS_SCHEMA,
+        coerceSetting,
+        getDefaultSettings,
+        parseSettings,
+        createSettingsStore
+    };
+}
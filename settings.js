@@ -0,0 +1,198 @@
+/**
+ * ========================================
+ * SETTINGS PANEL - GLASS HUD
+ * Preferences form, themes, cursor and
+ * font applied through CSS variables
+ * ========================================
+ */
+
+const appSettings = createSettingsStore(localStorage);
+
+function getSetting(name) {
+    return appSettings.get(name);
+}
+
+// Option labels for enum settings; anything missing shows its value
+const SETTING_OPTION_LABELS = {
+    fontFamily: Object.fromEntries(Object.entries(FONT_FAMILIES).map(([key, font]) => [key, font.label])),
+    soundProfile: SOUND_PROFILES,
+    theme: THEMES
+};
+
+// ========================================
+// SETTINGS VIEW
+// ========================================
+function initSettings() {
+    DOM.settingsBtn = document.getElementById('settings-btn');
+    DOM.settingsOverlay = document.getElementById('settings-overlay');
+    DOM.settingsFields = document.querySelectorAll('[data-setting]');
+    DOM.settingsStatus = document.getElementById('settings-status');
+    DOM.settingsResetBtn = document.getElementById('settings-reset-btn');
+    DOM.settingsCloseBtn = document.getElementById('settings-close-btn');
+
+    renderSettingsFields();
+
+    DOM.settingsFields.forEach(field => {
+        // Sliders apply while dragging, everything else once committed
+        field.addEventListener(field.type === 'range' ? 'input' : 'change', () => updateSettingFromField(field));
+    });
+
+    DOM.settingsBtn.addEventListener('click', showSettings);
+    DOM.settingsCloseBtn.addEventListener('click', hideSettings);
+    DOM.settingsResetBtn.addEventListener('click', () => {
+        cancelShortcutRecording();
+        appSettings.reset();
+        resetShortcuts();
+        syncSettingsFields();
+        setSettingsStatus('Settings and shortcuts reset to defaults');
+    });
+
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && DOM.settingsOverlay.classList.contains('show')) {
+            hideSettings();
+        }
+    });
+
+    appSettings.subscribe(applySetting);
+    Object.keys(SETTINGS_SCHEMA).forEach(name => applySetting(name, getSetting(name)));
+}
+
+function showSettings() {
+    setSettingsStatus('');
+    syncSettingsFields();
+    openPanel(DOM.settingsOverlay);
+}
+
+function hideSettings() {
+    cancelShortcutRecording();
+    closeDialog(DOM.settingsOverlay);
+}
+
+function setSettingsStatus(message) {
+    DOM.settingsStatus.textContent = message;
+}
+
+// Options and bounds come from the schema so the form can't drift from it
+function renderSettingsFields() {
+    DOM.settingsFields.forEach(field => {
+        const schema = SETTINGS_SCHEMA[field.dataset.setting];
+
+        if (schema.type === 'enum') {
+            const labels = SETTING_OPTION_LABELS[field.dataset.setting] || {};
+            field.innerHTML = schema.values.map(value =>
+                `<option value="${value}">${escapeHtml(labels[value] || value)}</option>`).join('');
+        } else if (schema.type === 'number') {
+            field.min = schema.min;
+            field.max = schema.max;
+        }
+    });
+
+    syncSettingsFields();
+}
+
+function syncSettingsFields() {
+    DOM.settingsFields.forEach(field => {
+        const value = getSetting(field.dataset.setting);
+        if (field.type === 'checkbox') {
+            field.checked = value;
+        } else {
+            field.value = value;
+        }
+    });
+}
+
+function updateSettingFromField(field) {
+    const name = field.dataset.setting;
+    const value = field.type === 'checkbox' ? field.checked : field.value;
+
+    try {
+        appSettings.set(name, value);
+        setSettingsStatus('');
+    } catch (err) {
+        setSettingsStatus(err.message);
+    }
+
+    // Shows the stored value: clamped, or the previous one if rejected
+    syncSettingsFields();
+}
+
+// ========================================
+// APPLY
+// ========================================
+function applySetting(name, value) {
+    const root = document.documentElement;
+
+    switch (name) {
+        case 'theme':
+            root.dataset.theme = value;
+            redrawOpenGraphs();
+            break;
+        case 'cursorStyle':
+            root.dataset.cursor = value;
+            break;
+        case 'cursorMotion':
+            root.dataset.cursorMotion = value;
+            break;
+        case 'fontFamily':
+            root.style.setProperty('--font-mono', FONT_FAMILIES[value].stack);
+            refreshTypingFont();
+            break;
+        case 'fontSize':
+            root.style.setProperty('--text-base', `${value / 16}rem`);
+            refreshTypingFont();
+            break;
+        case 'volume':
+            setAudioVolume(value);
+            break;
+        case 'metronome':
+            if (state.session && isTestRunning() && !isReplaying()) {
+                if (value) {
+                    startMetronome();
+                } else {
+                    stopMetronome();
+                }
+            }
+            break;
+        case 'defaultMode':
+        case 'defaultDuration':
+            // Read by loadRunDefaults() at startup; changed here, they apply now
+            if (state.session) {
+                loadRunDefaults();
+                restartTest();
+            }
+            break;
+    }
+}
+
+// The typing area wraps from measured glyphs, so a new font needs a re-measure
+function refreshTypingFont() {
+    if (!textView.metrics) return;
+
+    refreshTextLayout();
+    requestAnimationFrame(updateCursorPosition);
+}
+
+function redrawOpenGraphs() {
+    if (DOM.resultsOverlay && DOM.resultsOverlay.classList.contains('show')) {
+        drawPerformanceGraph();
+    }
+    if (DOM.historyOverlay && DOM.historyOverlay.classList.contains('show')) {
+        renderHistory();
+    }
+}
+
+// ========================================
+// THEME COLORS (for canvas drawing)
+// ========================================
+/**
+ * A theme color from its CSS variable. With `alpha`, reads the
+ * matching `--name-rgb` channel list instead: getThemeColor('fg', 0.3).
+ */
+function getThemeColor(name, alpha = null) {
+    const style = getComputedStyle(document.documentElement);
+
+    if (alpha === null) {
+        return style.getPropertyValue(`--${name}`).trim();
+    }
+    return `rgba(${style.getPropertyValue(`--${name}-rgb`).trim()}, ${alpha})`;
+}
@@ -0,0 +1,239 @@
+/**
+ * ========================================
+ * SHORTCUTS - HEADLESS
+ * Key combos, saved bindings and fuzzy
+ * command search for the palette
+ * ========================================
+ *
+ * A combo is a string of modifiers and one key joined with '+',
+ * always in the order of COMBO_MODIFIERS: 'Mod+K', 'Alt+Shift+2',
+ * 'Tab+Enter'. 'Mod' is Cmd on macOS and Ctrl elsewhere; 'Tab'
+ * means the Tab key is held down. Letters and digits are matched
+ * by physical key when a modifier is held, so Alt+1 still works
+ * where Option+1 types '¡'.
+ */
+
+// ========================================
+// COMBOS
+// ========================================
+const SHORTCUTS_STORAGE_KEY = 'glass-hud.shortcuts';
+
+const COMBO_MODIFIERS = ['Tab', 'Mod', 'Ctrl', 'Meta', 'Alt', 'Shift'];
+
+const COMBO_ALIASES = {
+    cmd: 'Mod',
+    command: 'Mod',
+    control: 'Ctrl',
+    option: 'Alt',
+    space: 'Space',
+    esc: 'Escape'
+};
+
+// Named keys as KeyboardEvent.key spells them, for case-insensitive parsing
+const NAMED_KEYS = ['Enter', 'Escape', 'Space', 'Backspace', 'Delete', 'Insert', 'Home', 'End',
+    'PageUp', 'PageDown', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+    ...Array.from({ length: 12 }, (_, i) => `F${i + 1}`)];
+
+// Keys that only ever modify another key
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'OS', 'CapsLock', 'Tab',
+    'Dead', 'Process', 'Unidentified'];
+
+// Command id -> combo (null = unbound). Ids are defined in command-palette.js
+const DEFAULT_SHORTCUTS = {
+    'restart': 'Tab+Enter',
+    'palette': 'Mod+K',
+    'settings': 'Mod+,',
+    'duration-10': 'Alt+1',
+    'duration-30': 'Alt+2',
+    'duration-60': 'Alt+3',
+    'duration-90': 'Alt+4',
+    'mode-time': 'Alt+Shift+1',
+    'mode-words': 'Alt+Shift+2',
+    'mode-quote': 'Alt+Shift+3',
+    'mode-adaptive': 'Alt+Shift+4',
+    'mode-code': 'Alt+Shift+5'
+};
+
+/**
+ * Canonical form of a combo string: known modifiers in order, the
+ * key last, single characters upper-cased. Throws if malformed.
+ */
+function parseCombo(text) {
+    const parts = String(text).split(/\+(?!$)/).map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) {
+        throw new Error('Shortcut is empty');
+    }
+
+    const normalize = part => {
+        const alias = COMBO_ALIASES[part.toLowerCase()];
+        if (alias) return alias;
+        const known = [...COMBO_MODIFIERS, ...NAMED_KEYS].find(name => name.toLowerCase() === part.toLowerCase());
+        if (known) return known;
+        return part.length === 1 ? part.toUpperCase() : part;
+    };
+
+    const key = normalize(parts.pop());
+    const modifiers = new Set(parts.map(normalize));
+
+    if (COMBO_MODIFIERS.includes(key)) {
+        throw new Error(`Shortcut "${text}" has no key, only modifiers`);
+    }
+    modifiers.forEach(modifier => {
+        if (!COMBO_MODIFIERS.includes(modifier)) {
+            throw new Error(`Unknown modifier "${modifier}" in "${text}"`);
+        }
+    });
+
+    return [...COMBO_MODIFIERS.filter(modifier => modifiers.has(modifier)), key].join('+');
+}
+
+/**
+ * Whether a combo can't be confused with typing: it needs Tab, Mod,
+ * Ctrl, Meta or Alt, unless the key is a function key.
+ */
+function isTypingSafeCombo(combo) {
+    const parts = combo.split(/\+(?!$)/);
+    const key = parts[parts.length - 1];
+    return /^F\d{1,2}$/.test(key) || parts.some(part => ['Tab', 'Mod', 'Ctrl', 'Meta', 'Alt'].includes(part));
+}
+
+/**
+ * The combo a keydown event presses, or null for a lone modifier.
+ * `tabHeld` is tracked by the caller from Tab keydown/keyup.
+ */
+function comboFromEvent(e, { mac = false, tabHeld = false } = {}) {
+    if (!e.key || MODIFIER_KEYS.includes(e.key)) return null;
+
+    let key;
+    const physical = /^(?:Key|Digit)([A-Z0-9])$/.exec(e.code || '');
+    if (physical && (e.altKey || e.ctrlKey || e.metaKey)) {
+        key = physical[1];
+    } else if (e.key === ' ') {
+        key = 'Space';
+    } else {
+        key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    }
+
+    const modifiers = [];
+    if (tabHeld) modifiers.push('Tab');
+    if (mac ? e.metaKey : e.ctrlKey) modifiers.push('Mod');
+    if (mac && e.ctrlKey) modifiers.push('Ctrl');
+    if (!mac && e.metaKey) modifiers.push('Meta');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.shiftKey) modifiers.push('Shift');
+
+    return [...modifiers, key].join('+');
+}
+
+// Display form: 'Ctrl+K' elsewhere, '⌘+K' on macOS
+function formatCombo(combo, { mac = false } = {}) {
+    if (!combo) return '';
+
+    const labels = mac
+        ? { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' }
+        : { Mod: 'Ctrl', Meta: 'Win' };
+    return combo.split(/\+(?!$)/).map(part => labels[part] || part).join('+');
+}
+
+// ========================================
+// BINDINGS
+// ========================================
+/**
+ * Saved bindings over the defaults. A saved null unbinds a default;
+ * malformed or typing-unsafe combos fall back to the default.
+ */
+function parseShortcuts(raw) {
+    const bindings = { ...DEFAULT_SHORTCUTS };
+    if (!raw || typeof raw !== 'object') return bindings;
+
+    Object.entries(raw).forEach(([id, combo]) => {
+        if (combo === null) {
+            bindings[id] = null;
+            return;
+        }
+        try {
+            const parsed = parseCombo(combo);
+            if (isTypingSafeCombo(parsed)) bindings[id] = parsed;
+        } catch (err) {
+            // Keep the default
+        }
+    });
+
+    return bindings;
+}
+
+function findCommandForCombo(bindings, combo) {
+    return Object.keys(bindings).find(id => bindings[id] === combo) || null;
+}
+
+// ========================================
+// FUZZY SEARCH
+// ========================================
+/**
+ * Matches `query` as a subsequence of `text`, ignoring case.
+ * Returns null if it isn't one, otherwise a score (higher is
+ * better: runs of letters and word starts count extra) and the
+ * matched character indices for highlighting.
+ */
+function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    if (needle.length === 0) return { score: 0, indices: [] };
+
+    const indices = [];
+    let score = 0;
+    let from = 0;
+
+    for (const char of needle) {
+        const index = haystack.indexOf(char, from);
+        if (index === -1) return null;
+
+        const previous = indices[indices.length - 1];
+        score += 1;
+        if (previous === index - 1) score += 5;
+        if (index === 0 || /[\s:\-/]/.test(haystack[index - 1])) score += 8;
+        score -= Math.min(index - from, 10) * 0.1;
+
+        indices.push(index);
+        from = index + 1;
+    }
+
+    return { score, indices };
+}
+
+/**
+ * Commands ({ label, keywords? }) that match, best first; ties keep
+ * their original order. Each result is { command, indices }.
+ */
+function rankCommands(commands, query) {
+    return commands
+        .map((command, order) => {
+            const labelMatch = fuzzyMatch(query, command.label);
+            if (labelMatch) return { command, order, ...labelMatch };
+
+            // Keyword hits rank below label hits and highlight nothing
+            const keywordMatch = command.keywords && fuzzyMatch(query, command.keywords);
+            return keywordMatch && { command, order, score: keywordMatch.score - 10, indices: [] };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .map(({ command, indices }) => ({ command, indices }));
+}
+
+// ========================================
+// MODULE EXPORTS (Node / CommonJS)
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMBO_MODIFIERS,
+        DEFAULT_SHORTCUTS,
+        parseCombo,
+        isTypingSafeCombo,
+        comboFromEvent,
+        formatCombo,
+        parseShortcuts,
+        findCommandForCombo,
+        fuzzyMatch,
+        rankCommands
+    };
+}
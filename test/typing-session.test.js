@@ -0,0 +1,275 @@
+/**
+ * ========================================
+ * TYPING SESSION - TESTS
+ * Feeds timestamped key events through
+ * the headless core (node --test)
+ * ========================================
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    calculateWpm,
+    calculateAccuracy,
+    splitGraphemes,
+    getTypedKey,
+    createTypingSession
+} = require('../typing-session');
+
+// ========================================
+// HELPERS
+// ========================================
+// Starts a session and keeps the result its finish event carries
+function startSession(options) {
+    const session = createTypingSession(options);
+    const run = { session, result: null, events: [] };
+
+    session.subscribe(event => {
+        run.events.push(event.type);
+        if (event.type === 'finish') run.result = event.result;
+    });
+
+    return run;
+}
+
+// One key per `step` ms from `time`; returns the time of the next key
+function typeKeys(session, keys, time = 0, step = 100) {
+    for (const key of keys) {
+        session.input(key, time);
+        time += step;
+    }
+    return time;
+}
+
+// ========================================
+// METRIC MATH
+// ========================================
+test('calculateWpm counts five characters as a word', () => {
+    assert.equal(calculateWpm(50, 60000), 10);
+    assert.equal(calculateWpm(25, 30000), 10);
+    assert.equal(calculateWpm(5, 0), 0);
+});
+
+test('calculateAccuracy is a percentage and 100 before any key', () => {
+    assert.equal(calculateAccuracy(9, 10), 90);
+    assert.equal(calculateAccuracy(0, 0), 100);
+});
+
+// ========================================
+// UNTIMED RUNS
+// ========================================
+test('an untimed run finishes on its last character', () => {
+    const run = startSession({ text: 'hello world' });
+
+    typeKeys(run.session, 'hello ');
+    const metrics = run.session.getMetrics(500);
+    assert.equal(metrics.elapsed, 0.5);
+    assert.equal(metrics.wpm, 144);
+    assert.equal(metrics.remaining, null);
+    assert.equal(run.result, null);
+
+    typeKeys(run.session, 'world', 600);
+    assert.equal(run.session.state.isFinished, true);
+    assert.equal(run.result.elapsed, 1);
+    assert.equal(run.result.wpm, 132);
+    assert.equal(run.result.accuracy, 100);
+    assert.equal(run.result.correctChars, 11);
+    assert.equal(run.result.uncorrectedErrors, 0);
+    assert.deepEqual(run.events.filter(type => type === 'start' || type === 'finish'), ['start', 'finish']);
+});
+
+test('a fixed error counts as corrected and times the correction', () => {
+    const run = startSession({ text: 'abc' });
+
+    run.session.input('a', 0);
+    run.session.input('x', 100);
+    run.session.backspace(200);
+    run.session.input('b', 300);
+    run.session.input('c', 400);
+
+    assert.equal(run.result.correctChars, 3);
+    assert.equal(run.result.incorrectChars, 0);
+    assert.equal(run.result.correctedErrors, 1);
+    assert.equal(run.result.uncorrectedErrors, 0);
+    assert.equal(run.result.accuracy, 100);
+    assert.deepEqual(run.result.corrections, [100]);
+    assert.equal(run.result.keystrokes.length, 4);
+});
+
+test('a left error stays uncorrected', () => {
+    const run = startSession({ text: 'abcd' });
+
+    typeKeys(run.session, 'abxd');
+
+    assert.equal(run.result.incorrectChars, 1);
+    assert.equal(run.result.correctedErrors, 0);
+    assert.equal(run.result.uncorrectedErrors, 1);
+    assert.equal(run.result.accuracy, 75);
+});
+
+// ========================================
+// TIMED RUNS
+// ========================================
+test('a timed run finishes on the tick its time runs out', () => {
+    const run = startSession({ text: 'abcdefghij', duration: 2 });
+
+    run.session.input('a', 0);
+    run.session.input('b', 500);
+    run.session.tick(1000);
+    assert.equal(run.session.getMetrics(1000).remaining, 1);
+    assert.equal(run.result, null);
+
+    run.session.tick(2500);
+    assert.equal(run.session.state.isFinished, true);
+    assert.equal(run.result.elapsed, 2);
+    assert.equal(run.result.duration, 2);
+    assert.equal(run.result.wpm, 12);
+    assert.deepEqual(run.result.performanceData.map(sample => sample.second), [1, 2]);
+
+    // Keys after the end don't count
+    run.session.input('c', 2600);
+    assert.equal(run.session.state.correctChars, 2);
+});
+
+// ========================================
+// PAUSE / RESUME
+// ========================================
+test('paused time is cut out of the run', () => {
+    const run = startSession({ text: 'abcd' });
+
+    run.session.input('a', 0);
+    run.session.input('b', 1000);
+    run.session.pause(1500);
+
+    // Frozen while paused, and keys are ignored
+    assert.equal(run.session.getMetrics(5000).elapsed, 1.5);
+    run.session.input('x', 6000);
+    assert.equal(run.session.state.totalKeysPressed, 2);
+
+    run.session.resume(11500);
+    run.session.input('c', 12000);
+    run.session.input('d', 13000);
+
+    assert.equal(run.result.elapsed, 3);
+    assert.equal(run.result.wpm, 16);
+    assert.deepEqual(run.result.keystrokes.map(keystroke => keystroke.timestamp), [0, 1000, 2000, 3000]);
+});
+
+// ========================================
+// WORD OPTIONS
+// ========================================
+test('wordSkip misses the rest of a word and counts overflow letters', () => {
+    const run = startSession({ text: 'ab cd', wordSkip: true });
+
+    run.session.input(' ', 0);
+    assert.equal(run.session.state.activeIndex, 0, 'a space before the word is ignored');
+
+    run.session.input('a', 100);
+    run.session.input('b', 200);
+    run.session.input('x', 300);
+    assert.deepEqual(run.session.state.extras, { 2: 'x' });
+
+    run.session.input(' ', 400);
+    run.session.input('c', 500);
+    run.session.input(' ', 600);
+
+    assert.equal(run.session.state.isFinished, true);
+    assert.deepEqual(run.session.state.results, ['correct', 'correct', 'correct', 'correct', 'missed']);
+    assert.equal(run.result.correctChars, 4);
+    assert.equal(run.result.extraChars, 1);
+    assert.equal(run.result.missedChars, 1);
+    assert.equal(run.result.incorrectChars, 1);
+    assert.equal(run.result.uncorrectedErrors, 2);
+    assert.equal(run.result.accuracy, 80);
+});
+
+test('backspace removes overflow letters first', () => {
+    const run = startSession({ text: 'ab cd', wordSkip: true });
+
+    typeKeys(run.session, 'abxy');
+    run.session.backspace(400);
+
+    assert.deepEqual(run.session.state.extras, { 2: 'x' });
+    assert.equal(run.session.state.activeIndex, 2);
+    assert.equal(run.session.state.extraChars, 1);
+});
+
+test('stopOnError counts a wrong key without moving the cursor', () => {
+    const run = startSession({ text: 'ab', stopOnError: true });
+
+    run.session.input('x', 0);
+    assert.equal(run.session.state.activeIndex, 0);
+    assert.deepEqual(run.events, ['start', 'error']);
+
+    run.session.input('a', 100);
+    run.session.input('b', 200);
+
+    assert.equal(run.result.correctChars, 2);
+    assert.equal(run.result.incorrectChars, 0);
+    assert.equal(run.result.correctedErrors, 1);
+    assert.equal(run.result.accuracy, 67);
+});
+
+test('confineBackspace keeps a finished word', () => {
+    const run = startSession({ text: 'ab cd', confineBackspace: true });
+
+    typeKeys(run.session, 'ab ');
+    run.session.backspace(300);
+    assert.equal(run.session.state.activeIndex, 3);
+
+    run.session.input('x', 400);
+    run.session.backspace(500);
+    assert.equal(run.session.state.activeIndex, 3);
+    assert.equal(run.session.state.results[3], null);
+});
+
+// ========================================
+// GRAPHEMES
+// ========================================
+test('splitGraphemes keeps clusters whole and normalizes to NFC', () => {
+    assert.deepEqual(splitGraphemes('e\u0301👍🏽日'), ['\u00e9', '👍🏽', '日']);
+});
+
+test('text is scored per grapheme', () => {
+    const run = startSession({ text: '\u00e9👍🏽' });
+
+    // A decomposed 'é' matches the precomposed one in the text
+    run.session.input('e\u0301', 0);
+    run.session.input('👍🏽', 100);
+
+    assert.equal(run.session.state.chars.length, 2);
+    assert.equal(run.result.correctChars, 2);
+    assert.equal(run.result.accuracy, 100);
+});
+
+test('an IME commit is logged once and typed grapheme by grapheme', () => {
+    const run = startSession({ text: '日本語' });
+
+    run.session.input('日本語', 0);
+
+    assert.equal(run.session.state.inputLog.length, 1);
+    assert.equal(run.result.correctChars, 3);
+    assert.equal(run.result.keystrokes.length, 3);
+});
+
+// ========================================
+// KEYDOWN
+// ========================================
+test('getTypedKey keeps typing keys and drops the rest', () => {
+    assert.equal(getTypedKey({ key: 'a' }), 'a');
+    assert.equal(getTypedKey({ key: ' ' }), ' ');
+    assert.equal(getTypedKey({ key: 'Backspace' }), 'Backspace');
+    assert.equal(getTypedKey({ key: 'Shift' }), null);
+    assert.equal(getTypedKey({ key: 'Dead' }), null);
+    assert.equal(getTypedKey({ key: 'a', isComposing: true }), null);
+    assert.equal(getTypedKey({ key: 'a', ctrlKey: true }), null);
+    assert.equal(getTypedKey({ key: 'ł', ctrlKey: true, altKey: true, getModifierState: key => key === 'AltGraph' }), 'ł');
+});
+
+test('getTypedKey types Enter and Tab only for code', () => {
+    assert.equal(getTypedKey({ key: 'Enter' }), null);
+    assert.equal(getTypedKey({ key: 'Enter' }, { codeKeys: true }), '\n');
+    assert.equal(getTypedKey({ key: 'Tab' }, { codeKeys: true }), '\t');
+    assert.equal(getTypedKey({ key: 'Enter', ctrlKey: true }, { codeKeys: true }), null);
+    assert.equal(getTypedKey({ key: 'q', code: 'KeyQ' }, { key: 'a' }), 'a');
+});
@@ -0,0 +1,110 @@
+/**
+ * ========================================
+ * TEXT INPUT - GLASS HUD
+ * IME composition, dead keys and virtual
+ * keyboards through a hidden text field
+ * ========================================
+ *
+ * Plain keys are typed from keydown (engine.js). Text that only
+ * exists once the OS has composed it - CJK IMEs, dead-key accents,
+ * emoji pickers, mobile keyboards - arrives here instead, through
+ * composition events and beforeinput on a field that follows the
+ * cursor so candidate windows open in the right place.
+ */
+
+const textInputState = {
+    composing: false
+};
+
+// ========================================
+// INITIALIZATION
+// ========================================
+function initTextInput() {
+    DOM.textInput = document.getElementById('text-input');
+    DOM.imePreview = document.getElementById('ime-preview');
+
+    DOM.textInput.addEventListener('compositionstart', handleCompositionStart);
+    DOM.textInput.addEventListener('compositionupdate', handleCompositionUpdate);
+    DOM.textInput.addEventListener('compositionend', handleCompositionEnd);
+    DOM.textInput.addEventListener('beforeinput', handleBeforeInput);
+
+    // Anything left behind (e.g. a cancelled composition) is cleared
+    DOM.textInput.addEventListener('input', () => {
+        if (!textInputState.composing) DOM.textInput.value = '';
+    });
+
+    DOM.glassCard.addEventListener('click', focusTextInput);
+    focusTextInput();
+}
+
+function focusTextInput() {
+    if (isOverlayOpen() || document.activeElement === DOM.textInput) return;
+
+    // Other fields (custom time, seed, ...) keep their focus
+    const active = document.activeElement;
+    if (active && active !== document.body && active.matches('input, textarea, select')) return;
+
+    DOM.textInput.focus({ preventScroll: true });
+}
+
+// Keeps the field, and so the IME candidate window, at the cursor
+function positionTextInput() {
+    positionCursor(DOM.textInput, state.session.state.activeIndex);
+
+    // The preview sizes to its own text
+    DOM.imePreview.style.left = DOM.textInput.style.left;
+    DOM.imePreview.style.top = DOM.textInput.style.top;
+}
+
+// ========================================
+// COMPOSITION
+// ========================================
+function handleCompositionStart() {
+    textInputState.composing = true;
+}
+
+function handleCompositionUpdate(e) {
+    DOM.imePreview.textContent = e.data;
+    DOM.imePreview.hidden = !e.data;
+}
+
+function handleCompositionEnd(e) {
+    textInputState.composing = false;
+    DOM.imePreview.hidden = true;
+    DOM.imePreview.textContent = '';
+    DOM.textInput.value = '';
+
+    if (e.data && canType()) {
+        typeText(e.data, e.isTrusted);
+    }
+}
+
+// ========================================
+// BEFOREINPUT
+// ========================================
+/**
+ * Only sees what keydown didn't already type: composed text on
+ * platforms that skip composition events, emoji pickers and
+ * on-screen keyboards (whose keydowns say 'Unidentified').
+ */
+function handleBeforeInput(e) {
+    if (e.isComposing || textInputState.composing) return;
+
+    switch (e.inputType) {
+        case 'insertText':
+        case 'insertReplacementText':
+            e.preventDefault();
+            if (e.data && canType()) typeText(e.data, e.isTrusted);
+            break;
+        case 'deleteContentBackward':
+            e.preventDefault();
+            if (canType()) handleBackspace(e.isTrusted);
+            break;
+        case 'insertCompositionText':
+        case 'insertFromComposition':
+            break;
+        default:
+            // Paste, drag-and-drop, line breaks: not typing
+            e.preventDefault();
+    }
+}
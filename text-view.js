@@ -0,0 +1,421 @@
+/**
+ * ========================================
+ * TEXT VIEW - GLASS HUD
+ * Windowed typing-area renderer: only the
+ * lines around the cursor exist as spans
+ * ========================================
+ *
+ * Line breaks are computed here from cached glyph widths instead
+ * of being left to the browser, so the full text (thousands of
+ * characters in an endurance run) never has to be in the DOM and
+ * cursors are placed without reading layout on each keystroke.
+ * The view scrolls a line at a time, keeping the cursor on the
+ * second visible line.
+ */
+
+// ========================================
+// VIEW CONFIG
+// ========================================
+const VIEW_LINES = { text: 3, code: 8 };
+
+// Lines kept mounted above and below the visible ones
+const VIEW_BUFFER_LINES = 2;
+
+// Once the text scrolls, the cursor's line sits this many lines from the top
+const CURSOR_LINE_OFFSET = 1;
+
+const textView = {
+    chars: [],
+    tokens: [],
+    results: [],
+    extras: {},
+    codeMode: false,
+
+    // Layout: line and left edge per character, first character per line
+    lineOf: new Int32Array(0),
+    xOf: new Float64Array(0),
+    lineStarts: [0],
+    glyphWidths: new Map(),
+    metrics: null,
+
+    // Window
+    container: null,
+    topLine: 0,
+    anchorIndex: 0,
+    mounted: new Map(),
+    spans: new Map()
+};
+
+// ========================================
+// INITIALIZATION
+// ========================================
+function initTextView() {
+    // Glyph widths measured before the web font arrived are wrong
+    if (document.fonts) {
+        document.fonts.ready.then(refreshTextLayout);
+        document.fonts.addEventListener('loadingdone', refreshTextLayout);
+    }
+}
+
+/**
+ * Replaces the text. Pass a code language to render with line
+ * breaks and syntax colors.
+ */
+function setViewText(text, codeLanguage = null) {
+    const chars = splitGraphemes(text);
+    const codeTokens = codeLanguage ? highlightCode(text, codeLanguage) : null;
+
+    // Syntax tokens are indexed by code unit, the view by grapheme
+    let offset = 0;
+    textView.tokens = chars.map(char => {
+        const token = codeTokens ? codeTokens[offset] || null : null;
+        offset += char.length;
+        return token;
+    });
+
+    textView.chars = chars;
+    textView.results = new Array(chars.length).fill(null);
+    textView.extras = {};
+    textView.codeMode = Boolean(codeLanguage);
+    textView.topLine = 0;
+    textView.anchorIndex = 0;
+
+    DOM.typingArea.classList.toggle('code-mode', textView.codeMode);
+    refreshTextLayout();
+}
+
+// Clears typed state but keeps the text (replay seeking)
+function resetViewResults() {
+    textView.results.fill(null);
+    textView.extras = {};
+    layoutLines();
+    remountViewWindow();
+}
+
+// Shows typed state from a session (a run restored after a reload)
+function setViewResults(results, extras) {
+    textView.results = results.slice();
+    textView.extras = { ...extras };
+    measureGlyphs(Object.values(textView.extras).flatMap(chars => [...chars]));
+    layoutLines();
+    remountViewWindow();
+}
+
+// ========================================
+// MEASUREMENT
+// ========================================
+/**
+ * Re-measures the font and the typing area, then re-wraps. Needed
+ * whenever either can change: new text, resize, font load.
+ */
+function refreshTextLayout() {
+    measureViewMetrics();
+    measureGlyphs(textView.chars.concat(...Object.values(textView.extras).map(extras => [...extras])));
+    layoutLines();
+
+    textView.topLine = getTopLineFor(textView.anchorIndex);
+    DOM.typingArea.style.height = `${getVisibleLineCount() * textView.metrics.lineHeight}px`;
+    remountViewWindow();
+}
+
+function measureViewMetrics() {
+    DOM.typingArea.innerHTML = '';
+    textView.mounted.clear();
+    textView.spans.clear();
+    textView.glyphWidths.clear();
+
+    const probeLine = document.createElement('div');
+    probeLine.className = 'text-line';
+    const probe = document.createElement('span');
+    probe.innerHTML = '&nbsp;';
+    probeLine.appendChild(probe);
+    DOM.typingArea.appendChild(probeLine);
+
+    const lineRect = probeLine.getBoundingClientRect();
+    const probeRect = probe.getBoundingClientRect();
+
+    textView.metrics = {
+        lineHeight: lineRect.height,
+        glyphTop: probeRect.top - lineRect.top,
+        glyphHeight: probeRect.height,
+        width: DOM.typingArea.clientWidth,
+        areaLeft: DOM.typingArea.offsetLeft,
+        areaTop: DOM.typingArea.offsetTop
+    };
+
+    textView.container = document.createElement('div');
+    textView.container.className = 'text-window';
+    DOM.typingArea.replaceChildren(textView.container);
+}
+
+// Measures every glyph not yet cached, in one layout pass
+function measureGlyphs(chars) {
+    const missing = [...new Set(chars)].filter(char => !textView.glyphWidths.has(char));
+    if (missing.length === 0) return;
+
+    const probeLine = document.createElement('div');
+    probeLine.className = 'text-line';
+    const probes = missing.map(char => {
+        const span = document.createElement('span');
+        fillCharSpan(span, char);
+        probeLine.appendChild(span);
+        return span;
+    });
+    DOM.typingArea.appendChild(probeLine);
+
+    probes.forEach((span, i) => {
+        textView.glyphWidths.set(missing[i], span.getBoundingClientRect().width);
+    });
+    probeLine.remove();
+}
+
+function getExtrasWidth(index) {
+    const extras = textView.extras[index];
+    if (!extras) return 0;
+
+    return [...extras].reduce((width, char) => width + textView.glyphWidths.get(char), 0);
+}
+
+// ========================================
+// LINE LAYOUT
+// ========================================
+/**
+ * Greedy word wrap: whitespace hangs at the end of a line, a word
+ * that would overflow (with any overflow letters) moves down whole,
+ * and a word longer than a line (or text without spaces) breaks
+ * between characters. Lines before `fromLine` are kept as they are.
+ */
+function layoutLines(fromLine = 0) {
+    const { chars } = textView;
+    const { width } = textView.metrics;
+
+    const restart = Math.min(fromLine, textView.lineStarts.length - 1);
+    const lineOf = textView.lineOf.length === chars.length ? textView.lineOf : new Int32Array(chars.length);
+    const xOf = textView.xOf.length === chars.length ? textView.xOf : new Float64Array(chars.length);
+    const lineStarts = textView.lineStarts.slice(0, restart + 1);
+
+    let line = restart;
+    let lineStart = lineStarts[restart];
+    let wordStart = lineStart;
+    let x = 0;
+
+    const startLine = (index) => {
+        line++;
+        lineStarts.push(index);
+        lineStart = index;
+        x = 0;
+    };
+    const place = (index) => {
+        x += getExtrasWidth(index);
+        lineOf[index] = line;
+        xOf[index] = x;
+        x += textView.glyphWidths.get(chars[index]);
+    };
+
+    for (let i = lineStart; i < chars.length; i++) {
+        const char = chars[i];
+        if (i > lineStart && /\s/.test(chars[i - 1])) wordStart = i;
+
+        const extrasWidth = getExtrasWidth(i);
+        const overflows = x + extrasWidth + textView.glyphWidths.get(char) > width;
+        if (overflows && i > lineStart && (!/\s/.test(char) || extrasWidth > 0)) {
+            if (wordStart > lineStart) {
+                startLine(wordStart);
+                for (let j = wordStart; j < i; j++) place(j);
+            } else {
+                startLine(i);
+            }
+        }
+
+        place(i);
+
+        if (char === '\n' && i + 1 < chars.length) {
+            startLine(i + 1);
+        }
+    }
+
+    textView.lineOf = lineOf;
+    textView.xOf = xOf;
+    textView.lineStarts = lineStarts;
+}
+
+function getVisibleLineCount() {
+    return VIEW_LINES[textView.codeMode ? 'code' : 'text'];
+}
+
+function getLineEnd(line) {
+    return line + 1 < textView.lineStarts.length ? textView.lineStarts[line + 1] : textView.chars.length;
+}
+
+function getLineOf(index) {
+    const { chars, lineOf } = textView;
+    return chars.length === 0 ? 0 : lineOf[Math.min(index, chars.length - 1)];
+}
+
+function getTopLineFor(index) {
+    const lastTop = Math.max(0, textView.lineStarts.length - getVisibleLineCount());
+    return Math.min(Math.max(getLineOf(index) - CURSOR_LINE_OFFSET, 0), lastTop);
+}
+
+// ========================================
+// WINDOW
+// ========================================
+// Scrolls so the character at `index` sits on the cursor line
+function scrollViewTo(index) {
+    textView.anchorIndex = index;
+
+    const topLine = getTopLineFor(index);
+    if (topLine === textView.topLine) return;
+
+    textView.topLine = topLine;
+    renderViewWindow();
+}
+
+// Mounts the visible lines plus buffer, reusing lines already mounted
+function renderViewWindow() {
+    const { mounted, container } = textView;
+    const start = Math.max(0, textView.topLine - VIEW_BUFFER_LINES);
+    const end = Math.min(textView.lineStarts.length, textView.topLine + getVisibleLineCount() + VIEW_BUFFER_LINES);
+
+    mounted.forEach((element, line) => {
+        if (line < start || line >= end) unmountLine(line);
+    });
+
+    let next = null;
+    for (let line = end - 1; line >= start; line--) {
+        let element = mounted.get(line);
+        if (!element) {
+            element = createLineElement(line);
+            container.insertBefore(element, next);
+            mounted.set(line, element);
+        }
+        next = element;
+    }
+
+    container.style.transform = `translateY(${-(textView.topLine - start) * textView.metrics.lineHeight}px)`;
+}
+
+// Line breaks may have moved: rebuild everything mounted
+function remountViewWindow() {
+    [...textView.mounted.keys()].forEach(unmountLine);
+    renderViewWindow();
+}
+
+function unmountLine(line) {
+    textView.mounted.get(line).remove();
+    textView.mounted.delete(line);
+
+    for (let i = textView.lineStarts[line]; i < getLineEnd(line); i++) {
+        textView.spans.delete(i);
+    }
+}
+
+function createLineElement(line) {
+    const element = document.createElement('div');
+    element.className = 'text-line';
+
+    for (let i = textView.lineStarts[line]; i < getLineEnd(line); i++) {
+        appendExtraSpans(element, textView.extras[i]);
+
+        const span = document.createElement('span');
+        fillCharSpan(span, textView.chars[i]);
+        if (textView.tokens[i]) span.classList.add(`tok-${textView.tokens[i]}`);
+        if (textView.results[i]) span.classList.add(textView.results[i]);
+
+        element.appendChild(span);
+        textView.spans.set(i, span);
+    }
+
+    return element;
+}
+
+function fillCharSpan(span, char) {
+    if (char === ' ') {
+        span.innerHTML = '&nbsp;';
+    } else if (char === '\n') {
+        // Newlines stay visible at the line end so the cursor can sit on them
+        span.textContent = '↵';
+        span.classList.add('newline');
+    } else if (char === '\t') {
+        span.innerHTML = '&nbsp;'.repeat(INDENT_WIDTH);
+        span.classList.add('tab');
+    } else {
+        span.textContent = char;
+    }
+    span.dataset.char = char;
+}
+
+function appendExtraSpans(element, extras) {
+    [...(extras || '')].forEach(char => {
+        const extra = document.createElement('span');
+        extra.className = 'extra';
+        extra.textContent = char;
+        element.appendChild(extra);
+    });
+}
+
+// ========================================
+// CHARACTER STATE
+// ========================================
+function renderCharacter(index, result) {
+    textView.results[index] = result;
+
+    const span = textView.spans.get(index);
+    if (!span) return;
+
+    span.classList.remove('correct', 'incorrect', 'skipped', 'missed');
+    if (result) {
+        span.classList.add(result);
+    }
+}
+
+// Overflow letters render before the word's space and can re-wrap the line
+function renderExtras(index, extras) {
+    if (extras) {
+        textView.extras[index] = extras;
+        measureGlyphs([...extras]);
+    } else {
+        delete textView.extras[index];
+    }
+
+    // The word before may move down a line, or back up once extras go
+    layoutLines(Math.max(getLineOf(index) - 1, 0));
+    remountViewWindow();
+}
+
+// Stop-on-error: the cursor stays, so the character itself signals the miss
+function flashBlockedCharacter(index) {
+    const span = textView.spans.get(index);
+    if (!span) return;
+
+    span.classList.remove('blocked');
+    void span.offsetWidth;
+    span.classList.add('blocked');
+}
+
+// ========================================
+// CURSOR GEOMETRY
+// ========================================
+/**
+ * Where the character at `index` is drawn, relative to the glass
+ * card, from the cached layout. Null when it's scrolled out of view.
+ */
+function getCharBox(index) {
+    const { chars, xOf, metrics } = textView;
+    if (chars.length === 0) return null;
+
+    const target = Math.min(index, chars.length - 1);
+    const row = textView.lineOf[target] - textView.topLine;
+    if (row < 0 || row >= getVisibleLineCount()) return null;
+
+    return {
+        left: metrics.areaLeft + xOf[target],
+        top: metrics.areaTop + row * metrics.lineHeight + metrics.glyphTop,
+        width: textView.glyphWidths.get(chars[target]),
+        height: metrics.glyphHeight
+    };
+}
+
+function getMountedSpanCount() {
+    return textView.spans.size;
+}
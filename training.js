@@ -0,0 +1,255 @@
+/**
+ * ========================================
+ * TRAINING - GLASS HUD
+ * Lesson mode, lesson unlocking and the
+ * daily goal and streak panel
+ * ========================================
+ *
+ * Every finished run that passes validation adds its time to
+ * today's practice; lesson-mode runs are also checked against the
+ * lesson's pass criteria. Flagged runs count as practice but can't
+ * pass a lesson, the same way they can't set a personal best.
+ */
+
+// ========================================
+// TRAINING CONFIG
+// ========================================
+const TRAINING_STORAGE_KEY = 'glass-hud.training';
+
+const trainingState = {
+    // Lesson id -> { passed, bestWpm, bestAccuracy, attempts }
+    lessons: {},
+    // Date key -> { seconds, bestWpm, runs, met }
+    days: {}
+};
+
+// ========================================
+// STORAGE
+// ========================================
+// Called before the first text is generated, so lesson mode starts on the saved lesson
+function loadTraining() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(TRAINING_STORAGE_KEY));
+    } catch (err) {
+        console.warn('⚠️ Training progress unreadable, starting fresh', err);
+    }
+
+    trainingState.lessons = parseLessonProgress(saved && saved.lessons);
+    trainingState.days = parsePracticeDays(saved && saved.days);
+
+    const lesson = saved && getLesson(saved.lesson);
+    if (lesson && isLessonUnlocked(trainingState.lessons, lesson.id)) {
+        state.lessonId = lesson.id;
+    }
+}
+
+function saveTraining() {
+    try {
+        localStorage.setItem(TRAINING_STORAGE_KEY, JSON.stringify({
+            lesson: state.lessonId,
+            lessons: trainingState.lessons,
+            days: trainingState.days
+        }));
+    } catch (err) {
+        console.warn('⚠️ Training progress could not be saved', err);
+    }
+}
+
+function getDailyGoal() {
+    return { minutes: getSetting('dailyGoalMinutes'), wpm: getSetting('dailyGoalWpm') };
+}
+
+// ========================================
+// TRAINING VIEW
+// ========================================
+function initTraining() {
+    DOM.finalTraining = document.getElementById('final-training');
+    DOM.trainingBtn = document.getElementById('training-btn');
+    DOM.trainingOverlay = document.getElementById('training-overlay');
+    DOM.trainingToday = document.getElementById('training-today');
+    DOM.trainingStreak = document.getElementById('training-streak');
+    DOM.trainingBestStreak = document.getElementById('training-best-streak');
+    DOM.trainingMinutes = document.getElementById('training-minutes');
+    DOM.trainingProgress = document.getElementById('training-progress');
+    DOM.trainingLessonList = document.getElementById('training-lessons');
+    DOM.trainingCloseBtn = document.getElementById('training-close-btn');
+
+    DOM.lessonPills.forEach(pill => {
+        pill.addEventListener('click', () => {
+            selectLesson(pill.dataset.lesson);
+        });
+    });
+
+    DOM.trainingLessonList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-practice]');
+        if (!button) return;
+
+        hideTraining();
+        practiceLesson(button.dataset.practice);
+    });
+
+    DOM.trainingBtn.addEventListener('click', showTraining);
+    DOM.trainingCloseBtn.addEventListener('click', hideTraining);
+
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && DOM.trainingOverlay.classList.contains('show')) {
+            hideTraining();
+        }
+    });
+
+    // The goal fields are settings; a lowered goal may already be reached today
+    appSettings.subscribe(name => {
+        if (name !== 'dailyGoalMinutes' && name !== 'dailyGoalWpm') return;
+
+        const day = trainingState.days[toDateKey(new Date())];
+        if (day && !day.met && isGoalMet(day, getDailyGoal())) {
+            day.met = true;
+            saveTraining();
+        }
+        if (DOM.trainingOverlay.classList.contains('show')) {
+            renderTraining();
+        }
+    });
+
+    renderLessonPills();
+}
+
+function showTraining() {
+    openPanel(DOM.trainingOverlay);
+    renderTraining();
+}
+
+function hideTraining() {
+    closeDialog(DOM.trainingOverlay);
+}
+
+function renderTraining() {
+    const today = toDateKey(new Date());
+    const day = trainingState.days[today] || { seconds: 0, bestWpm: 0, runs: 0, met: false };
+    const goal = getDailyGoal();
+    const { current, best } = getStreak(trainingState.days, today);
+    const minutes = Math.floor(day.seconds / 60);
+
+    DOM.trainingStreak.textContent = current;
+    DOM.trainingBestStreak.textContent = best;
+    DOM.trainingMinutes.textContent = minutes;
+    DOM.trainingProgress.style.width = `${Math.min(100, (day.seconds / (goal.minutes * 60)) * 100)}%`;
+    DOM.trainingToday.textContent = day.met
+        ? 'Today\'s goal is done'
+        : `Today: ${minutes} of ${goal.minutes} min · best ${day.bestWpm} of ${goal.wpm} WPM`;
+
+    DOM.trainingLessonList.innerHTML = LESSONS.map(lesson => {
+        const progress = trainingState.lessons[lesson.id];
+        const unlocked = isLessonUnlocked(trainingState.lessons, lesson.id);
+        const status = !unlocked ? '🔒 locked' : progress && progress.passed ? '✓ passed' : 'open';
+
+        return `
+            <li class="history-row lesson-row${unlocked ? '' : ' locked'}">
+                <span>${escapeHtml(lesson.title)}<span class="history-date"> · ${escapeHtml(lesson.description)}</span></span>
+                <span>${formatLessonCriteria(lesson)}</span>
+                <span class="history-wpm">${progress ? `best ${progress.bestWpm} WPM` : '—'}</span>
+                <span>${status}</span>
+                <button class="timer-pill" data-practice="${lesson.id}"${unlocked ? '' : ' disabled'}>Practice</button>
+            </li>
+        `;
+    }).join('');
+}
+
+// ========================================
+// LESSON SELECTION
+// ========================================
+function formatLessonCriteria(lesson) {
+    return `${lesson.pass.wpm} WPM · ${lesson.pass.accuracy}%`;
+}
+
+// Locked lessons stay visible, but can't be picked until the one before is passed
+function renderLessonPills() {
+    DOM.lessonPills.forEach(pill => {
+        const lesson = getLesson(pill.dataset.lesson);
+        const unlocked = isLessonUnlocked(trainingState.lessons, lesson.id);
+        const progress = trainingState.lessons[lesson.id];
+
+        pill.disabled = !unlocked;
+        pill.classList.toggle('passed', Boolean(progress && progress.passed));
+        pill.title = unlocked
+            ? `${lesson.title}: pass at ${formatLessonCriteria(lesson)}`
+            : `${lesson.title}: pass the lesson before to unlock`;
+    });
+}
+
+function selectLesson(id) {
+    if (!getLesson(id) || !isLessonUnlocked(trainingState.lessons, id)) return;
+
+    state.lessonId = id;
+    saveTraining();
+    syncModePills();
+
+    restartTest();
+}
+
+// From the training panel and the palette: switches to lesson mode first
+function practiceLesson(id) {
+    if (state.testMode !== 'lesson') {
+        state.testMode = 'lesson';
+        syncModePills();
+    }
+    selectLesson(id);
+}
+
+// ========================================
+// RECORDING
+// ========================================
+/**
+ * Adds a finished run to today's practice and, in lesson mode,
+ * checks it against the lesson. Shows the outcome on the results.
+ */
+function recordTrainingRun(result, validation) {
+    DOM.finalTraining.textContent = '';
+    DOM.finalTraining.classList.remove('passed');
+    if (validation.status === VALIDATION_STATUS.rejected) return;
+
+    const messages = [];
+
+    if (state.testMode === 'lesson') {
+        messages.push(recordLessonRun(getLesson(state.lessonId), result, validation));
+    }
+
+    const today = toDateKey(new Date());
+    const wasMet = Boolean(trainingState.days[today] && trainingState.days[today].met);
+    trainingState.days = recordPractice(trainingState.days, today, {
+        seconds: Math.round(result.elapsed),
+        wpm: result.wpm
+    }, getDailyGoal());
+
+    if (trainingState.days[today].met && !wasMet) {
+        const { current } = getStreak(trainingState.days, today);
+        messages.push(`Daily goal reached · ${current} day streak`);
+    }
+
+    saveTraining();
+    DOM.finalTraining.textContent = messages.join(' · ');
+}
+
+function recordLessonRun(lesson, result, validation) {
+    if (validation.status === VALIDATION_STATUS.flagged) {
+        return 'Flagged runs can\'t pass a lesson';
+    }
+
+    const attempt = recordLessonAttempt(trainingState.lessons, lesson, result);
+    trainingState.lessons = attempt.progress;
+
+    if (!attempt.check.passed) {
+        const missed = [
+            !attempt.check.wpmMet && `${lesson.pass.wpm} WPM`,
+            !attempt.check.accuracyMet && `${lesson.pass.accuracy}% accuracy`
+        ].filter(Boolean);
+        return `Lesson not passed: needs ${missed.join(' and ')}`;
+    }
+
+    DOM.finalTraining.classList.add('passed');
+    renderLessonPills();
+    return attempt.unlocked
+        ? `Lesson passed · ${attempt.unlocked.title} unlocked`
+        : 'Lesson passed';
+}
@@ -0,0 +1,588 @@
+/**
+ * ========================================
+ * TYPING SESSION - HEADLESS CORE
+ * DOM-free scoring engine driven by
+ * timestamped key events
+ * ========================================
+ *
+ * Works as a plain browser script (globals) and as a
+ * CommonJS module under Node:
+ *
+ *   const { createTypingSession } = require('./typing-session');
+ *   const session = createTypingSession({ text: 'hello', duration: 30 });
+ *   session.subscribe(event => console.log(event.type));
+ *   session.input('h', 0);
+ *
+ * Text is scored per grapheme cluster (what a reader sees as one
+ * character: 'é', '👍🏽', '日'), so indexes count graphemes, not
+ * UTF-16 code units.
+ */
+
+// ========================================
+// METRIC MATH
+// ========================================
+const CHARS_PER_WORD = 5;
+
+// Overflow letters allowed past the end of a word
+const MAX_EXTRA_CHARS = 10;
+
+function calculateWpm(chars, elapsedMs) {
+    const elapsedMinutes = elapsedMs / 60000;
+    return elapsedMinutes > 0 ? (chars / CHARS_PER_WORD) / elapsedMinutes : 0;
+}
+
+function calculateAccuracy(correctChars, totalKeysPressed) {
+    return totalKeysPressed > 0 ? (correctChars / totalKeysPressed) * 100 : 100;
+}
+
+// ========================================
+// GRAPHEMES
+// ========================================
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+/**
+ * NFC-normalizes text and splits it into grapheme clusters, so a
+ * precomposed 'é' and 'e' + combining accent compare equal.
+ * Without Intl.Segmenter, code points with their combining marks
+ * are close enough.
+ */
+function splitGraphemes(text) {
+    const normalized = text.normalize('NFC');
+    if (graphemeSegmenter) {
+        return Array.from(graphemeSegmenter.segment(normalized), part => part.segment);
+    }
+    return normalized.match(/\P{M}\p{M}*|\p{M}+/gu) || [];
+}
+
+// ========================================
+// KEYDOWN
+// ========================================
+// Keys that type newlines and indentation in code
+const CODE_KEYS = {
+    Enter: '\n',
+    Tab: '\t'
+};
+
+/**
+ * What a keydown types into a session: 'Backspace', one grapheme, or
+ * null for keys that aren't typing. `key` is the event's key after any
+ * layout remapping; with `codeKeys`, Enter and Tab type '\n' and '\t'.
+ * Only reads the event, so callers decide about preventDefault.
+ */
+function getTypedKey(e, { key = e.key, codeKeys = false } = {}) {
+    // IME compositions and dead keys finish in composition events
+    if (e.isComposing) return null;
+
+    const typed = codeKeys && CODE_KEYS[key] ? CODE_KEYS[key] : key;
+    if (typed === 'Backspace') return typed;
+
+    // Named keys (Shift, ArrowUp, Dead, ...) are more than one grapheme
+    if (splitGraphemes(typed).length !== 1) return null;
+
+    // Shortcuts aren't typing; AltGr reports as Ctrl+Alt on Windows
+    if ((e.ctrlKey || e.metaKey) && !(e.getModifierState && e.getModifierState('AltGraph'))) return null;
+
+    return typed;
+}
+
+// ========================================
+// SESSION FACTORY
+// ========================================
+/**
+ * Creates a typing session over `text`.
+ * `duration` is in seconds; pass null for an untimed session
+ * that only finishes on the last character.
+ * With `skipIndentation`, leading tabs/spaces after a correctly
+ * typed newline are stepped over and marked 'skipped'.
+ * Word-level options:
+ *   wordSkip         - space mid-word jumps to the next word, marking the
+ *                      rest 'missed'; letters typed where a space belongs
+ *                      become overflow `extras` instead of errors on the space
+ *   stopOnError      - a wrong key is counted but the cursor doesn't advance
+ *   confineBackspace - backspace never crosses back into a finished word
+ * Every method takes a millisecond timestamp so runs can be
+ * replayed deterministically. pause()/resume() stop the clock:
+ * everything the session records (start, keystrokes, corrections,
+ * the input log) is in active time, with paused spans cut out, so
+ * a paused run scores and replays as if the pause never happened.
+ * Input methods also take whether the
+ * key came from a real keyboard (KeyboardEvent.isTrusted) so the
+ * log can be validated (see anti-cheat.js).
+ */
+function createTypingSession({
+    text,
+    duration = null,
+    skipIndentation = false,
+    wordSkip = false,
+    stopOnError = false,
+    confineBackspace = false
+}) {
+    const chars = splitGraphemes(text);
+
+    const state = {
+        text,
+        chars,
+        duration,
+        skipIndentation,
+        wordSkip,
+        stopOnError,
+        confineBackspace,
+        results: new Array(chars.length).fill(null),
+        activeIndex: 0,
+        correctChars: 0,
+        incorrectChars: 0,
+        totalKeysPressed: 0,
+
+        // Overflow letters keyed by the index of the space they precede
+        extras: {},
+        extraChars: 0,
+        missedChars: 0,
+
+        // Every wrong keystroke ever; the ones still on screen are uncorrected
+        errorCount: 0,
+
+        startTime: null,
+        endTime: null,
+        isStarted: false,
+        isFinished: false,
+
+        // Total paused ms so far, and when the current pause began
+        isPaused: false,
+        pausedAt: null,
+        pausedMs: 0,
+
+        performanceData: [],
+        lastRecordedSecond: 0,
+
+        // Counters at the last sample, for per-second (instantaneous) speed
+        sampleCorrectChars: 0,
+        sampleKeystrokes: 0,
+
+        // Open correction ({ startTime, resumeIndex }) and finished ones in ms
+        correction: null,
+        corrections: [],
+
+        // Per-keystroke log: expected vs typed char and inter-key latency
+        keystrokes: [],
+        lastKeyTime: null,
+
+        // Raw input calls, enough to replay (and validate) the session exactly
+        inputLog: []
+    };
+
+    const listeners = new Set();
+
+    function emit(type, detail = {}) {
+        const event = { type, ...detail };
+        listeners.forEach(listener => listener(event, session));
+    }
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    // Wall clock to active time; stands still while paused
+    function activeTime(now) {
+        return (state.isPaused ? state.pausedAt : now) - state.pausedMs;
+    }
+
+    // Clamped to the duration and frozen once the session finishes
+    function elapsedMs(now) {
+        if (state.startTime === null) return 0;
+
+        const end = state.isFinished ? state.endTime : activeTime(now);
+        const ms = end - state.startTime;
+        return state.duration === null ? ms : Math.min(ms, state.duration * 1000);
+    }
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+    function start(now) {
+        if (state.isStarted) return;
+
+        state.isStarted = true;
+        state.startTime = activeTime(now);
+        emit('start', { timestamp: now });
+    }
+
+    function pause(now) {
+        if (!state.isStarted || state.isFinished || state.isPaused) return;
+
+        state.isPaused = true;
+        state.pausedAt = now;
+        emit('pause', { elapsed: elapsedMs(now) / 1000, timestamp: now });
+    }
+
+    function resume(now) {
+        if (!state.isPaused) return;
+
+        state.pausedMs += Math.max(0, now - state.pausedAt);
+        state.isPaused = false;
+        state.pausedAt = null;
+        emit('resume', { elapsed: elapsedMs(now) / 1000, timestamp: now });
+    }
+
+    function tick(now) {
+        if (!state.isStarted || state.isFinished || state.isPaused) return;
+
+        const elapsed = elapsedMs(now) / 1000;
+        const remaining = state.duration === null ? null : Math.max(0, state.duration - elapsed);
+
+        const currentSecond = Math.floor(elapsed);
+        if (currentSecond > state.lastRecordedSecond &&
+            (state.duration === null || currentSecond <= state.duration)) {
+            recordSample(currentSecond);
+        }
+
+        emit('tick', { elapsed, remaining, timestamp: now });
+
+        if (remaining !== null && remaining <= 0) {
+            finish(now);
+        }
+    }
+
+    function finish(now) {
+        if (state.isFinished) return;
+
+        state.isFinished = true;
+        state.endTime = activeTime(now);
+        state.isPaused = false;
+
+        // Time ran out mid-correction
+        if (state.correction) endCorrection(state.endTime);
+
+        // The trailing part-second gets its own sample at the exact end
+        const totalSeconds = elapsedMs(now) / 1000;
+        const lastSecond = Math.round(totalSeconds * 10) / 10;
+        if (lastSecond > state.lastRecordedSecond) {
+            recordSample(lastSecond);
+        }
+
+        emit('finish', { result: buildResult(totalSeconds) });
+    }
+
+    // ========================================
+    // INPUT
+    // ========================================
+    /**
+     * `key` is one grapheme, or a whole IME commit ('日本語') that is
+     * logged as a single event and typed grapheme by grapheme.
+     */
+    function input(key, now, trusted = true) {
+        if (state.isFinished || state.isPaused) return;
+        if (!state.isStarted) start(now);
+
+        state.inputLog.push({ key, timestamp: activeTime(now), trusted });
+
+        for (const char of splitGraphemes(key)) {
+            if (state.isFinished) break;
+            typeKey(char, now);
+            settleCorrection(now);
+        }
+    }
+
+    function typeKey(key, now) {
+        if (state.activeIndex >= state.chars.length) {
+            finish(now);
+            return;
+        }
+
+        if (state.wordSkip && !state.stopOnError) {
+            const expectsSpace = state.chars[state.activeIndex] === ' ';
+
+            if (key === ' ' && !expectsSpace) {
+                // A space before any letter of the word is a stray press
+                if (!hasTypedInWord()) return;
+
+                missRestOfWord();
+                if (state.activeIndex >= state.chars.length) {
+                    finish(now);
+                    return;
+                }
+            } else if (key !== ' ' && expectsSpace) {
+                addExtra(key, now);
+                return;
+            }
+        }
+
+        const index = state.activeIndex;
+        const expected = state.chars[index];
+        const correct = key === expected;
+
+        recordKeystroke(index, expected, key, correct, now);
+
+        state.totalKeysPressed++;
+        if (!correct) {
+            state.errorCount++;
+        }
+
+        // Stop on error: the miss is counted but the cursor stays put
+        if (!correct && state.stopOnError) {
+            emit('error', { index, key, expected, timestamp: now });
+            return;
+        }
+
+        state.results[index] = correct ? 'correct' : 'incorrect';
+        if (correct) {
+            state.correctChars++;
+        } else {
+            state.incorrectChars++;
+        }
+
+        state.activeIndex++;
+        emit('input', { index, key, expected, correct, timestamp: now });
+
+        if (correct && key === '\n' && state.skipIndentation) {
+            skipLeadingWhitespace();
+        }
+
+        if (state.activeIndex >= state.chars.length) {
+            finish(now);
+        }
+    }
+
+    function recordKeystroke(index, expected, typed, correct, now) {
+        const time = activeTime(now);
+        state.keystrokes.push({
+            index,
+            expected,
+            typed,
+            correct,
+            timestamp: time,
+            latency: state.lastKeyTime === null ? null : time - state.lastKeyTime
+        });
+        state.lastKeyTime = time;
+    }
+
+    function hasTypedInWord() {
+        const previous = state.activeIndex - 1;
+        return previous >= 0 && !/\s/.test(state.chars[previous]);
+    }
+
+    function missRestOfWord() {
+        while (state.activeIndex < state.chars.length && state.chars[state.activeIndex] !== ' ') {
+            state.results[state.activeIndex] = 'missed';
+            state.missedChars++;
+            emit('miss', { index: state.activeIndex });
+            state.activeIndex++;
+        }
+    }
+
+    // The missed space is what the user should have pressed, so it carries the error
+    function addExtra(key, now) {
+        const index = state.activeIndex;
+        const extras = state.extras[index] || '';
+        if (extras.length >= MAX_EXTRA_CHARS) return;
+
+        recordKeystroke(index, ' ', key, false, now);
+
+        state.extras[index] = extras + key;
+        state.extraChars++;
+        state.incorrectChars++;
+        state.totalKeysPressed++;
+        state.errorCount++;
+
+        emit('extra', { index, key, extras: state.extras[index], timestamp: now });
+    }
+
+    // ========================================
+    // CORRECTIONS
+    // ========================================
+    // A correction runs from the first backspace until the cursor is
+    // back where that backspace started, retyping included
+    function beginCorrection(now) {
+        if (state.correction) return;
+        state.correction = { startTime: activeTime(now), resumeIndex: state.activeIndex };
+    }
+
+    function settleCorrection(now) {
+        if (state.correction && state.activeIndex >= state.correction.resumeIndex) {
+            endCorrection(activeTime(now));
+        }
+    }
+
+    // `time` is already active time
+    function endCorrection(time) {
+        state.corrections.push(time - state.correction.startTime);
+        state.correction = null;
+    }
+
+    function removeExtra(now) {
+        const index = state.activeIndex;
+        const extras = state.extras[index].slice(0, -1);
+
+        if (extras) {
+            state.extras[index] = extras;
+        } else {
+            delete state.extras[index];
+        }
+        state.extraChars--;
+        state.incorrectChars--;
+        state.totalKeysPressed--;
+        state.lastKeyTime = activeTime(now);
+
+        emit('backspace', { index, extra: true, extras, timestamp: now });
+    }
+
+    // Backspacing past a correctly typed space would leave the current word
+    function isWordStart() {
+        let index = state.activeIndex;
+        while (index > 0 && state.results[index - 1] === 'skipped') index--;
+
+        return index > 0 && /\s/.test(state.chars[index - 1]) && state.results[index - 1] === 'correct';
+    }
+
+    function skipLeadingWhitespace() {
+        while (state.activeIndex < state.chars.length &&
+            (state.chars[state.activeIndex] === '\t' || state.chars[state.activeIndex] === ' ')) {
+            state.results[state.activeIndex] = 'skipped';
+            emit('skip', { index: state.activeIndex });
+            state.activeIndex++;
+        }
+    }
+
+    function backspace(now, trusted = true) {
+        if (state.isFinished || state.isPaused) return;
+        if (state.isStarted) {
+            state.inputLog.push({ key: 'Backspace', timestamp: activeTime(now), trusted });
+        }
+
+        // Overflow letters go first
+        if (state.extras[state.activeIndex]) {
+            beginCorrection(now);
+            removeExtra(now);
+            return;
+        }
+
+        if (state.activeIndex === 0) return;
+        if (state.confineBackspace && isWordStart()) return;
+
+        beginCorrection(now);
+
+        // Step back over auto-skipped indentation to the newline itself
+        while (state.activeIndex > 0 && state.results[state.activeIndex - 1] === 'skipped') {
+            state.activeIndex--;
+            state.results[state.activeIndex] = null;
+            emit('backspace', { index: state.activeIndex, timestamp: now });
+        }
+        if (state.activeIndex === 0) return;
+
+        state.activeIndex--;
+        state.lastKeyTime = activeTime(now);
+
+        const index = state.activeIndex;
+        if (state.results[index] === 'correct') {
+            state.correctChars--;
+        } else if (state.results[index] === 'incorrect') {
+            state.incorrectChars--;
+        }
+        state.results[index] = null;
+
+        if (state.totalKeysPressed > 0) {
+            state.totalKeysPressed--;
+        }
+
+        emit('backspace', { index, timestamp: now });
+
+        // Un-typing a skip-word space returns to where the word was left
+        while (state.activeIndex > 0 && state.results[state.activeIndex - 1] === 'missed') {
+            state.activeIndex--;
+            state.results[state.activeIndex] = null;
+            state.missedChars--;
+            emit('backspace', { index: state.activeIndex, timestamp: now });
+        }
+    }
+
+    // ========================================
+    // METRICS
+    // ========================================
+    /**
+     * wpm and accuracy are running totals; instantWpm, rawInstantWpm and
+     * errors cover only the keystrokes since the previous sample.
+     */
+    function recordSample(second) {
+        const ms = second * 1000;
+        const intervalMs = (second - state.lastRecordedSecond) * 1000;
+        const typed = state.keystrokes.slice(state.sampleKeystrokes);
+        const correctGained = Math.max(0, state.correctChars - state.sampleCorrectChars);
+
+        state.performanceData.push({
+            second,
+            wpm: Math.round(calculateWpm(state.correctChars, ms)),
+            accuracy: Math.round(calculateAccuracy(state.correctChars, state.totalKeysPressed)),
+            instantWpm: Math.round(calculateWpm(correctGained, intervalMs)),
+            rawInstantWpm: Math.round(calculateWpm(typed.length, intervalMs)),
+            errors: typed.filter(keystroke => !keystroke.correct).length
+        });
+        state.lastRecordedSecond = second;
+        state.sampleCorrectChars = state.correctChars;
+        state.sampleKeystrokes = state.keystrokes.length;
+    }
+
+    function getMetrics(now) {
+        const ms = elapsedMs(now);
+        return {
+            wpm: calculateWpm(state.correctChars, ms),
+            rawWpm: calculateWpm(state.correctChars + state.incorrectChars, ms),
+            accuracy: calculateAccuracy(state.correctChars, state.totalKeysPressed),
+            elapsed: ms / 1000,
+            remaining: state.duration === null ? null : Math.max(0, state.duration - ms / 1000)
+        };
+    }
+
+    function buildResult(totalSeconds) {
+        const ms = totalSeconds * 1000;
+        return {
+            wpm: Math.round(calculateWpm(state.correctChars, ms)),
+            rawWpm: Math.round(calculateWpm(state.correctChars + state.incorrectChars, ms)),
+            accuracy: Math.round(calculateAccuracy(state.correctChars, state.totalKeysPressed)),
+            correctChars: state.correctChars,
+            incorrectChars: state.incorrectChars,
+            totalChars: state.correctChars + state.incorrectChars,
+            missedChars: state.missedChars,
+            extraChars: state.extraChars,
+            correctedErrors: state.errorCount - state.incorrectChars,
+            uncorrectedErrors: state.incorrectChars + state.missedChars,
+            elapsed: totalSeconds,
+            duration: state.duration,
+            performanceData: state.performanceData.slice(),
+            keystrokes: state.keystrokes.slice(),
+            corrections: state.corrections.slice()
+        };
+    }
+
+    const session = {
+        state,
+        subscribe,
+        start,
+        pause,
+        resume,
+        tick,
+        finish,
+        input,
+        backspace,
+        getMetrics
+    };
+
+    return session;
+}
+
+// ========================================
+// MODULE EXPORTS (Node / CommonJS)
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHARS_PER_WORD,
+        MAX_EXTRA_CHARS,
+        CODE_KEYS,
+        calculateWpm,
+        calculateAccuracy,
+        splitGraphemes,
+        getTypedKey,
+        createTypingSession
+    };
+}
@@ -0,0 +1,591 @@
+/**
+ * ========================================
+ * TYPING TEST ELEMENT - EMBEDDABLE
+ * <typing-test> Web Component with its own
+ * session, shadow DOM and event API
+ * ========================================
+ *
+ * Every element owns its text, session, timer and rendering, so any
+ * number of them can sit on one page, with or without the Glass HUD
+ * app around them. It only needs the headless scripts, in this order:
+ *
+ *   typing-session.js, run-metrics.js, anti-cheat.js, languages.js,
+ *   replay.js, typing-test-element.js
+ *
+ * with lessons.js and code-snippets.js before it for the lesson: and
+ * code: text sources.
+ *
+ *   <typing-test mode="words" words="25" text-source="lesson:home-row"></typing-test>
+ *
+ * Attributes (changing one starts a new test):
+ *   mode         'time' (default), 'words' or 'quote', as in the app
+ *   duration     seconds in time mode, 5-300 (default 30)
+ *   words        words in words mode, 5-500 (default 25)
+ *   text-source  'sample'           built-in passages in the page's lang (default)
+ *                'inline'           the element's own text content
+ *                'lesson:<id>'      a lesson's drill (see LESSONS)
+ *                'code:<language>'  one code snippet; Enter and Tab type
+ *
+ * Events (CustomEvent with `detail`; they don't bubble, so an 'error'
+ * never reaches window.onerror):
+ *   start     { text, mode, duration, textSource }
+ *   progress  { wpm, rawWpm, accuracy, elapsed, remaining, index, length },
+ *             after every keystroke and timer tick
+ *   error     { index, expected, typed, kind }, for each wrong key;
+ *             kind is 'incorrect' or 'extra' (a letter past the word)
+ *   finish    { result, metrics, validation, replay, text, textSource }:
+ *             the session result, computeRunMetrics, validateKeystrokeLog
+ *             (rejected runs are reported too) and a buildReplay replay
+ *
+ * Methods:
+ *   restart()       a new test, with fresh text from the source
+ *   loadText(text)  a new test on `text` as given; restart() keeps it
+ *                   until the text-source attribute changes
+ */
+
+// ========================================
+// ELEMENT CONFIG
+// ========================================
+const TYPING_TEST_TAG = 'typing-test';
+const TYPING_TEST_MODES = ['time', 'words', 'quote'];
+
+// Same ranges as the app's custom time and word inputs
+const TYPING_TEST_DURATION = { min: 5, max: 300, default: 30 };
+const TYPING_TEST_WORDS = { min: 5, max: 500, default: 25 };
+
+const TYPING_TEST_TICK_MS = 100;
+
+// Falls back to the app's theme variables when embedded in it
+const TYPING_TEST_STYLES = `
+    :host {
+        display: block;
+        font-family: var(--font-mono, 'JetBrains Mono', monospace);
+        color: var(--text-dim, rgba(255, 255, 255, 0.4));
+    }
+    :host([hidden]) { display: none; }
+    .card {
+        position: relative;
+        padding: 1rem 1.25rem;
+        border: 1px solid var(--glass-border, rgba(255, 255, 255, 0.08));
+        border-radius: 12px;
+        background: var(--glass-bg, rgba(255, 255, 255, 0.03));
+        cursor: text;
+    }
+    :host(:focus-within) .card { border-color: var(--accent-cyan, #22d3ee); }
+    .stats {
+        display: flex;
+        align-items: center;
+        gap: 1.25rem;
+        margin-bottom: 0.75rem;
+        font-size: 0.8rem;
+        color: var(--text-muted, rgba(255, 255, 255, 0.6));
+    }
+    .stats b { color: var(--accent-cyan, #22d3ee); font-weight: 600; }
+    .restart {
+        margin-left: auto;
+        padding: 0.2rem 0.6rem;
+        border: 1px solid var(--glass-border, rgba(255, 255, 255, 0.08));
+        border-radius: 6px;
+        background: none;
+        color: inherit;
+        font: inherit;
+        cursor: pointer;
+    }
+    .text {
+        position: relative;
+        max-height: 7.5em;
+        overflow: hidden;
+        font-size: var(--typing-test-font-size, 1.25rem);
+        line-height: 1.5;
+        white-space: pre-wrap;
+        word-break: break-word;
+        tab-size: 4;
+    }
+    .correct { color: var(--text-correct, #fff); }
+    .incorrect, .extra { color: var(--color-error, #f43f5e); }
+    .incorrect.space { background: rgba(244, 63, 94, 0.3); }
+    .missed { text-decoration: underline wavy var(--color-error, #f43f5e); }
+    .skipped { color: var(--text-ghost, rgba(255, 255, 255, 0.2)); }
+    :host(:focus-within) .active { box-shadow: inset 2px 0 var(--accent-cyan, #22d3ee); }
+    .capture {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        padding: 0;
+        border: 0;
+        opacity: 0;
+        pointer-events: none;
+    }
+`;
+
+// ========================================
+// TEXT
+// ========================================
+/**
+ * 'lesson:home-row' -> { type: 'lesson', id: 'home-row' }; a bare
+ * 'lesson' or 'code' is the first lesson or the default language.
+ * Unknown sources, or ones whose script isn't loaded, fall back to
+ * 'sample'.
+ */
+function parseTypingTestSource(value) {
+    const [type, id = null] = (value || 'sample').split(':');
+
+    switch (type) {
+        case 'sample':
+        case 'inline':
+            return { type, id: null };
+        case 'lesson':
+            if (typeof getLesson === 'function' && getLesson(id || LESSONS[0].id)) {
+                return { type, id: id || LESSONS[0].id };
+            }
+            break;
+        case 'code':
+            if (typeof pickCodeSnippet === 'function' && CODE_LANGUAGES[id || DEFAULT_CODE_LANGUAGE]) {
+                return { type, id: id || DEFAULT_CODE_LANGUAGE };
+            }
+            break;
+    }
+
+    console.warn(`⚠️ <${TYPING_TEST_TAG}> text-source "${value}" unavailable, using sample`);
+    return { type: 'sample', id: null };
+}
+
+// 'en-GB' -> 'en'; languages without built-in passages get English
+function getTypingTestLanguage(element) {
+    const holder = element.closest('[lang]');
+    const code = holder ? holder.lang.split('-')[0].toLowerCase() : DEFAULT_TEXT_LANGUAGE;
+    return TEXT_LANGUAGES[code] ? code : DEFAULT_TEXT_LANGUAGE;
+}
+
+/**
+ * Sizes generated text to the mode (see TEXT SIZING in languages.js):
+ * one passage for a quote, `words` words, or enough to outlast `duration`.
+ */
+function shapeTypingTestText(pick, { mode, duration, words }) {
+    if (mode === 'quote') return pick();
+    return mode === 'words' ? buildWordText(pick, words) : buildTimedText(pick, duration);
+}
+
+function readTypingTestNumber(element, name, range) {
+    const value = Number(element.getAttribute(name));
+    if (!element.hasAttribute(name) || !Number.isFinite(value)) return range.default;
+    return Math.min(range.max, Math.max(range.min, Math.round(value)));
+}
+
+// ========================================
+// ELEMENT
+// ========================================
+class TypingTestElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['mode', 'duration', 'words', 'text-source'];
+    }
+
+    #dom = null;
+    #session = null;
+    #text = '';
+    #textSource = 'sample';
+    #loadedText = null;
+    #spans = [];
+    #extraSpans = new Map();
+    #activeSpan = null;
+    #tickTimer = null;
+    #composing = false;
+    #restartQueued = false;
+
+    constructor() {
+        super();
+
+        // delegatesFocus: focusing or clicking the element focuses the capture field
+        const root = this.attachShadow({ mode: 'open', delegatesFocus: true });
+        root.innerHTML = `
+            <style>${TYPING_TEST_STYLES}</style>
+            <div class="card" part="card">
+                <input class="capture" aria-label="Typing test input" autocomplete="off"
+                       autocapitalize="off" autocorrect="off" spellcheck="false">
+                <div class="stats" part="stats">
+                    <span><b class="wpm">0</b> wpm</span>
+                    <span><b class="accuracy">100</b>%</span>
+                    <span><b class="time">0</b>s</span>
+                    <button class="restart" part="restart" type="button" aria-label="Restart test">↻</button>
+                </div>
+                <div class="text" part="text"></div>
+            </div>
+        `;
+
+        this.#dom = {
+            capture: root.querySelector('.capture'),
+            wpm: root.querySelector('.wpm'),
+            accuracy: root.querySelector('.accuracy'),
+            time: root.querySelector('.time'),
+            restart: root.querySelector('.restart'),
+            text: root.querySelector('.text')
+        };
+
+        this.#dom.capture.addEventListener('keydown', (e) => this.#handleKeydown(e));
+        this.#dom.capture.addEventListener('compositionstart', () => { this.#composing = true; });
+        this.#dom.capture.addEventListener('compositionend', (e) => this.#handleCompositionEnd(e));
+        this.#dom.capture.addEventListener('beforeinput', (e) => this.#handleBeforeInput(e));
+        this.#dom.capture.addEventListener('input', () => {
+            if (!this.#composing) this.#dom.capture.value = '';
+        });
+        this.#dom.restart.addEventListener('click', () => {
+            this.restart();
+            this.#dom.capture.focus({ preventScroll: true });
+        });
+    }
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+    connectedCallback() {
+        // Moving the element keeps its test
+        if (this.#session) {
+            if (this.#session.state.isStarted && !this.#session.state.isFinished) this.#startTimer();
+            return;
+        }
+
+        // Inline text isn't parsed yet when the element is defined in <head>
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.#queueRestart(), { once: true });
+        } else {
+            this.restart();
+        }
+    }
+
+    disconnectedCallback() {
+        this.#stopTimer();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue || !this.#session) return;
+
+        if (name === 'text-source') this.#loadedText = null;
+        this.#queueRestart();
+    }
+
+    // Setting several attributes in a row starts one test, not one each
+    #queueRestart() {
+        if (this.#restartQueued) return;
+        this.#restartQueued = true;
+
+        queueMicrotask(() => {
+            this.#restartQueued = false;
+            if (this.isConnected) this.restart();
+        });
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+    restart() {
+        this.#stopTimer();
+
+        this.#text = this.#buildText();
+        const code = this.#textSource.startsWith('code:');
+
+        this.#session = createTypingSession({
+            text: this.#text,
+            duration: this.#getMode() === 'time' ? readTypingTestNumber(this, 'duration', TYPING_TEST_DURATION) : null,
+            // Code has no space-separated words to skip
+            wordSkip: !code
+        });
+        this.#session.subscribe(event => this.#handleSessionEvent(event));
+
+        this.#renderText();
+        this.#renderStats(0);
+    }
+
+    loadText(text) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new Error('loadText needs some text to type');
+        }
+
+        this.#loadedText = text.normalize('NFC');
+        this.restart();
+    }
+
+    // ========================================
+    // TEXT
+    // ========================================
+    #getMode() {
+        const mode = this.getAttribute('mode');
+        return TYPING_TEST_MODES.includes(mode) ? mode : TYPING_TEST_MODES[0];
+    }
+
+    // Loaded, inline and code text is typed as is; the rest is sized to the mode
+    #buildText() {
+        if (this.#loadedText !== null) {
+            this.#textSource = 'loaded';
+            return this.#loadedText;
+        }
+
+        let source = parseTypingTestSource(this.getAttribute('text-source'));
+        if (source.type === 'inline') {
+            const inline = this.textContent.replace(/\s+/g, ' ').trim();
+            this.#textSource = 'inline';
+            if (inline) return inline;
+
+            console.warn(`⚠️ <${TYPING_TEST_TAG}> has no inline text, using sample`);
+            source = { type: 'sample', id: null };
+        }
+        this.#textSource = source.id ? `${source.type}:${source.id}` : source.type;
+
+        if (source.type === 'code') return pickCodeSnippet(source.id);
+
+        const passages = getLanguagePassages(getTypingTestLanguage(this));
+        const pick = source.type === 'lesson'
+            ? () => generateLessonText(getLesson(source.id))
+            : () => passages[Math.floor(Math.random() * passages.length)];
+
+        return shapeTypingTestText(pick, {
+            mode: this.#getMode(),
+            duration: readTypingTestNumber(this, 'duration', TYPING_TEST_DURATION),
+            words: readTypingTestNumber(this, 'words', TYPING_TEST_WORDS)
+        });
+    }
+
+    // ========================================
+    // INPUT
+    // ========================================
+    #canType() {
+        return this.isConnected && !this.#session.state.isFinished;
+    }
+
+    #handleKeydown(e) {
+        // Keeps bubbling listeners from typing these too; capture-phase
+        // listeners on window or document have already seen the key
+        e.stopPropagation();
+        if (!this.#canType()) return;
+
+        // Enter and Tab only type in code, the text with newlines or tabs
+        const key = getTypedKey(e, { codeKeys: /[\n\t]/.test(this.#text) });
+        if (key === null) return;
+
+        e.preventDefault();
+        if (key === 'Backspace') {
+            this.#session.backspace(performance.now(), e.isTrusted);
+        } else {
+            this.#session.input(key, performance.now(), e.isTrusted);
+        }
+    }
+
+    // IME commits and dead-key accents, as in text-input.js
+    #handleCompositionEnd(e) {
+        this.#composing = false;
+        this.#dom.capture.value = '';
+
+        if (e.data && this.#canType()) {
+            this.#session.input(e.data, performance.now(), e.isTrusted);
+        }
+    }
+
+    // Emoji pickers and on-screen keyboards, whose keydowns say 'Unidentified'
+    #handleBeforeInput(e) {
+        if (e.isComposing || this.#composing) return;
+
+        switch (e.inputType) {
+            case 'insertText':
+            case 'insertReplacementText':
+                e.preventDefault();
+                if (e.data && this.#canType()) this.#session.input(e.data, performance.now(), e.isTrusted);
+                break;
+            case 'deleteContentBackward':
+                e.preventDefault();
+                if (this.#canType()) this.#session.backspace(performance.now(), e.isTrusted);
+                break;
+            case 'insertCompositionText':
+            case 'insertFromComposition':
+                break;
+            default:
+                // Paste, drag-and-drop, line breaks: not typing
+                e.preventDefault();
+        }
+    }
+
+    // ========================================
+    // SESSION EVENTS
+    // ========================================
+    #handleSessionEvent(event) {
+        switch (event.type) {
+            case 'start':
+                this.#startTimer();
+                this.#emit('start', {
+                    text: this.#text,
+                    mode: this.#getMode(),
+                    duration: this.#session.state.duration,
+                    textSource: this.#textSource
+                });
+                break;
+            case 'input':
+                this.#renderChar(event.index, event.correct ? 'correct' : 'incorrect');
+                if (!event.correct) {
+                    this.#emit('error', { index: event.index, expected: event.expected, typed: event.key, kind: 'incorrect' });
+                }
+                this.#emitProgress(event.timestamp);
+                break;
+            case 'skip':
+                this.#renderChar(event.index, 'skipped');
+                break;
+            case 'miss':
+                this.#renderChar(event.index, 'missed');
+                break;
+            case 'extra':
+                this.#renderExtras(event.index, event.extras);
+                this.#emit('error', { index: event.index, expected: ' ', typed: event.key, kind: 'extra' });
+                this.#emitProgress(event.timestamp);
+                break;
+            case 'backspace':
+                if (event.extra) {
+                    this.#renderExtras(event.index, event.extras);
+                } else {
+                    this.#renderChar(event.index, null);
+                }
+                this.#emitProgress(event.timestamp);
+                break;
+            case 'tick':
+                this.#emitProgress(event.timestamp);
+                break;
+            case 'finish':
+                this.#finish(event.result);
+                break;
+        }
+    }
+
+    #emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    #emitProgress(timestamp) {
+        const metrics = this.#session.getMetrics(timestamp);
+
+        this.#renderStats(timestamp);
+        this.#markActive();
+        this.#emit('progress', {
+            wpm: Math.round(metrics.wpm),
+            rawWpm: Math.round(metrics.rawWpm),
+            accuracy: Math.round(metrics.accuracy),
+            elapsed: metrics.elapsed,
+            remaining: metrics.remaining,
+            index: this.#session.state.activeIndex,
+            length: this.#session.state.chars.length
+        });
+    }
+
+    #finish(result) {
+        this.#stopTimer();
+
+        // Labelled and tagged like the app's replays, so the leaderboard server takes them
+        const mode = this.#getMode();
+        const wordCount = mode === 'words' ? readTypingTestNumber(this, 'words', TYPING_TEST_WORDS) : null;
+        const labels = { time: `time ${result.duration}s`, words: `words ${wordCount}`, quote: 'quote' };
+        const replay = buildReplay(this.#session, {
+            label: labels[mode],
+            settings: { mode, wordCount },
+            codeLanguage: this.#textSource.startsWith('code:') ? this.#textSource.slice('code:'.length) : null,
+            result
+        });
+
+        this.#renderStats(null, result);
+        this.#markActive();
+        this.#emit('finish', {
+            result,
+            metrics: computeRunMetrics(result),
+            validation: validateKeystrokeLog(this.#session.state.inputLog),
+            replay,
+            text: this.#text,
+            textSource: this.#textSource
+        });
+    }
+
+    // Polls the session so a timed test ends on time without a keystroke
+    #startTimer() {
+        this.#stopTimer();
+        this.#tickTimer = setInterval(() => {
+            this.#session.tick(performance.now());
+        }, TYPING_TEST_TICK_MS);
+    }
+
+    #stopTimer() {
+        clearInterval(this.#tickTimer);
+        this.#tickTimer = null;
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+    #renderText() {
+        const fragment = document.createDocumentFragment();
+
+        this.#spans = this.#session.state.chars.map(char => {
+            const span = document.createElement('span');
+            // Newlines stay visible as a return sign before the break
+            span.textContent = char === '\n' ? '↵\n' : char;
+            if (char === ' ') span.className = 'space';
+            fragment.appendChild(span);
+            return span;
+        });
+
+        // The end of the text gets a cursor slot too
+        const end = document.createElement('span');
+        this.#spans.push(end);
+        fragment.appendChild(end);
+
+        this.#extraSpans.clear();
+        this.#activeSpan = null;
+        this.#dom.text.replaceChildren(fragment);
+        this.#dom.text.scrollTop = 0;
+        this.#markActive();
+    }
+
+    #renderChar(index, result) {
+        const span = this.#spans[index];
+        span.classList.remove('correct', 'incorrect', 'missed', 'skipped');
+        if (result) span.classList.add(result);
+    }
+
+    #renderExtras(index, extras) {
+        let span = this.#extraSpans.get(index);
+
+        if (!extras) {
+            if (span) span.remove();
+            this.#extraSpans.delete(index);
+            return;
+        }
+        if (!span) {
+            span = document.createElement('span');
+            span.className = 'extra';
+            this.#spans[index].before(span);
+            this.#extraSpans.set(index, span);
+        }
+        span.textContent = extras;
+    }
+
+    // Moves the cursor and scrolls its line into view without scrolling the page
+    #markActive() {
+        const span = this.#spans[this.#session.state.activeIndex];
+        if (this.#activeSpan) this.#activeSpan.classList.remove('active');
+        this.#activeSpan = span;
+        if (!span) return;
+        span.classList.add('active');
+
+        const box = this.#dom.text;
+        const top = span.offsetTop;
+        if (top < box.scrollTop || top + span.offsetHeight > box.scrollTop + box.clientHeight) {
+            box.scrollTop = Math.max(0, top - span.offsetHeight);
+        }
+    }
+
+    // `timestamp` null with a result shows the final numbers
+    #renderStats(timestamp, result = null) {
+        const metrics = result || this.#session.getMetrics(timestamp);
+        const remaining = result ? null : metrics.remaining;
+
+        this.#dom.wpm.textContent = Math.round(metrics.wpm);
+        this.#dom.accuracy.textContent = Math.round(metrics.accuracy);
+        this.#dom.time.textContent = remaining === null ? Math.round(metrics.elapsed) : Math.ceil(remaining);
+    }
+}
+
+if (window.customElements && !customElements.get(TYPING_TEST_TAG)) {
+    customElements.define(TYPING_TEST_TAG, TypingTestElement);
+}